@@ -0,0 +1,293 @@
+// evaluation/evaluate.js - Offline accuracy report for the company name extractors
+//
+// Usage: node evaluation/evaluate.js [fixturesDir] [--out report.json] [--compare baseline.json] [--json] [--verbose]
+const fs = require('fs');
+const path = require('path');
+
+const print = console.log;
+const args = parseArgs(process.argv.slice(2));
+
+// The extractors log every match; keep the report readable unless asked otherwise
+if (!args.verbose) console.log = () => {};
+
+const companyExtractor = require('../utils/companyExtractor');
+const documentParser = require('../utils/documentParser');
+const rulePacks = require('../utils/rulePacks');
+const nameNormalizer = require('../utils/nameNormalizer');
+const { classifyDocument } = require('../utils/documentClassifier');
+const { isLegalNameCandidate } = require('../utils/nameRoles');
+const { extractFormationData } = require('../utils/formationData');
+const { cleanupWithReport } = require('../utils/ocr');
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures');
+const TOP_N = 5;
+
+// Extractors under evaluation; "pipeline" is the enhanced -> standard fallback used by /api/extract-names
+const MODES = {
+  enhanced: companyExtractor.extractCompanyNamesEnhanced,
+  standard: companyExtractor.extractCompanyNames,
+  pipeline: companyExtractor.extractCompanyOptions
+};
+
+function parseArgs(argv) {
+  const parsed = { fixturesDir: null, out: null, compare: null, json: false, verbose: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out') parsed.out = argv[++i];
+    else if (arg === '--compare') parsed.compare = argv[++i];
+    else if (arg === '--json') parsed.json = true;
+    else if (arg === '--verbose') parsed.verbose = true;
+    else if (!arg.startsWith('--')) parsed.fixturesDir = arg;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+
+  return parsed;
+}
+
+// A fixture is <id>.json with the expected names plus <id>.txt or a document with the same id
+function loadFixtures(dir) {
+  if (!fs.existsSync(dir)) throw new Error(`Fixtures folder not found: ${dir}`);
+  const files = fs.readdirSync(dir);
+
+  return files
+    .filter(file => path.extname(file) === '.json')
+    .sort()
+    .map(file => {
+      const id = path.basename(file, '.json');
+      const expected = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      const source = files.find(other => path.basename(other, path.extname(other)) === id &&
+        documentParser.mimetypeFromPath(other));
+
+      if (!expected.legalName) throw new Error(`Fixture ${file} has no "legalName"`);
+      if (!source) throw new Error(`Fixture ${file} has no matching .txt or document file`);
+
+      return { id, file: path.join(dir, source), expected };
+    });
+}
+
+// `ocrCleanup: true` runs a text fixture through the OCR text cleanup, as OCR.space results are.
+// `ocr` says whether the text came from OCR: set by `ocr: true` or `ocrCleanup: true` for text
+// fixtures, and by the parser for documents.
+async function loadFixtureText(fixture) {
+  const extension = path.extname(fixture.file).toLowerCase();
+  if (extension === '.txt') {
+    const text = fs.readFileSync(fixture.file, 'utf8');
+    const ocr = fixture.expected.ocr === true || fixture.expected.ocrCleanup === true;
+    return { text: fixture.expected.ocrCleanup ? cleanupWithReport(text).text : text, ocr };
+  }
+  const parsed = await documentParser.parseDocumentDetailed(fixture.file, documentParser.mimetypeFromPath(fixture.file));
+  return { text: parsed.text, ocr: !!parsed.metadata.ocrUsed };
+}
+
+// `cleanupCases` are [{ before, after }]: the OCR text cleanup must turn each `before` into `after`
+function checkCleanupCases(cases = []) {
+  return cases.map(({ before, after }) => {
+    const actual = cleanupWithReport(before).text;
+    return { before, expected: after, actual, passed: actual === after };
+  });
+}
+
+// Formation data fields a fixture can state, read from the extractFormationData result
+const FORMATION_FIELDS = {
+  stateOfFormation: data => data.stateOfFormation ? data.stateOfFormation.value.code : null,
+  filingDate: data => data.filingDate ? data.filingDate.value : null,
+  filingNumber: data => data.filingNumber ? data.filingNumber.value : null,
+  registeredAgent: data => data.registeredAgent && data.registeredAgent.name ? data.registeredAgent.name.value : null
+};
+
+// `formationData` maps fields to their expected values, null where the document must give none
+function checkFormationData(text, expected = {}) {
+  const data = extractFormationData(text);
+  return Object.entries(expected).map(([field, value]) => {
+    if (!FORMATION_FIELDS[field]) throw new Error(`Unknown formationData field "${field}"`);
+    const actual = FORMATION_FIELDS[field](data);
+    return { field, expected: value, actual, passed: actual === value };
+  });
+}
+
+function emptyTotals() {
+  return { documents: 0, errors: 0, top1: 0, top5: 0, autoPick: 0, candidates: 0, correctCandidates: 0, expectedNames: 0, foundNames: 0 };
+}
+
+// Score one extractor's candidates against the fixture's expected names (compared by match key)
+function scoreFixture(candidates, expected) {
+  const legalKey = nameNormalizer.buildMatchKey(expected.legalName);
+  const expectedKeys = new Set([legalKey, ...(expected.expectedNames || []).map(nameNormalizer.buildMatchKey)]);
+  const top = candidates.slice(0, TOP_N);
+  const keyOf = candidate => candidate.matchKey || nameNormalizer.buildMatchKey(candidate.name);
+  const foundKeys = new Set(top.map(keyOf).filter(key => expectedKeys.has(key)));
+  const autoPick = top.find(isLegalNameCandidate);
+
+  return {
+    top1: top.length > 0 && keyOf(top[0]) === legalKey,
+    top5: top.some(candidate => keyOf(candidate) === legalKey),
+    autoPick: !!autoPick && keyOf(autoPick) === legalKey,
+    candidates: top.map(candidate => ({
+      name: candidate.name,
+      confidence: candidate.confidence,
+      patternName: candidate.patternName,
+      role: candidate.role,
+      correct: expectedKeys.has(keyOf(candidate))
+    })),
+    expectedNames: expectedKeys.size,
+    foundNames: foundKeys.size
+  };
+}
+
+function ratio(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+}
+
+function summarize(totals, patterns) {
+  return {
+    documents: totals.documents,
+    errors: totals.errors,
+    top1Accuracy: ratio(totals.top1, totals.documents),
+    top5Accuracy: ratio(totals.top5, totals.documents),
+    autoPickAccuracy: ratio(totals.autoPick, totals.documents),
+    precision: ratio(totals.correctCandidates, totals.candidates),
+    recall: ratio(totals.foundNames, totals.expectedNames),
+    patterns: Object.fromEntries(Object.entries(patterns)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([name, counts]) => [name, { ...counts, hitRate: ratio(counts.correct, counts.candidates) }]))
+  };
+}
+
+async function evaluate(fixtures) {
+  const totals = Object.fromEntries(Object.keys(MODES).map(mode => [mode, emptyTotals()]));
+  const patterns = Object.fromEntries(Object.keys(MODES).map(mode => [mode, {}]));
+  const results = [];
+  const cleanup = { cases: 0, passed: 0 };
+  const formation = { fields: 0, passed: 0 };
+
+  for (const fixture of fixtures) {
+    const result = { id: fixture.id, legalName: fixture.expected.legalName, modes: {} };
+    results.push(result);
+
+    result.cleanupCases = checkCleanupCases(fixture.expected.cleanupCases);
+    cleanup.cases += result.cleanupCases.length;
+    cleanup.passed += result.cleanupCases.filter(check => check.passed).length;
+
+    let text;
+    let ocr;
+    try {
+      ({ text, ocr } = await loadFixtureText(fixture));
+    } catch (error) {
+      result.error = error.message;
+      Object.values(totals).forEach(modeTotals => { modeTotals.documents++; modeTotals.errors++; });
+      continue;
+    }
+
+    const documentType = classifyDocument(text);
+    const rulePack = rulePacks.selectRulePack({ requested: fixture.expected.rulePack, documentType });
+    const formatProfile = nameNormalizer.resolveFormatProfile({ profile: fixture.expected.formatProfile });
+    result.documentType = documentType.type;
+    result.rulePack = rulePack.name;
+
+    result.formationData = checkFormationData(text, fixture.expected.formationData);
+    formation.fields += result.formationData.length;
+    formation.passed += result.formationData.filter(check => check.passed).length;
+
+    Object.entries(MODES).forEach(([mode, extract]) => {
+      const score = scoreFixture(extract(text, rulePack, formatProfile, { ocr }), fixture.expected);
+      const modeTotals = totals[mode];
+
+      modeTotals.documents++;
+      ['top1', 'top5', 'autoPick'].forEach(key => { if (score[key]) modeTotals[key]++; });
+      modeTotals.candidates += score.candidates.length;
+      modeTotals.correctCandidates += score.candidates.filter(candidate => candidate.correct).length;
+      modeTotals.expectedNames += score.expectedNames;
+      modeTotals.foundNames += score.foundNames;
+
+      score.candidates.forEach(candidate => {
+        const counts = patterns[mode][candidate.patternName] = patterns[mode][candidate.patternName] || { candidates: 0, correct: 0 };
+        counts.candidates++;
+        if (candidate.correct) counts.correct++;
+      });
+
+      result.modes[mode] = score;
+    });
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    fixtures: fixtures.length,
+    summary: Object.fromEntries(Object.keys(MODES).map(mode => [mode, summarize(totals[mode], patterns[mode])])),
+    cleanup: { ...cleanup, passRate: ratio(cleanup.passed, cleanup.cases) },
+    formationData: { ...formation, passRate: ratio(formation.passed, formation.fields) },
+    results
+  };
+}
+
+function formatDelta(current, baseline) {
+  if (baseline === undefined) return '';
+  const delta = Math.round((current - baseline) * 10) / 10;
+  return delta === 0 ? ' (=)' : ` (${delta > 0 ? '+' : ''}${delta})`;
+}
+
+// Human-readable version of the report, with changes against a baseline report when given
+function printReport(report, baseline) {
+  print(`📊 Extraction evaluation - ${report.fixtures} fixtures`);
+
+  Object.entries(report.summary).forEach(([mode, summary]) => {
+    const before = baseline && baseline.summary[mode] ? baseline.summary[mode] : {};
+    print('');
+    print(`== ${mode} ==`);
+    print(`   top-1 accuracy:     ${summary.top1Accuracy}%${formatDelta(summary.top1Accuracy, before.top1Accuracy)}`);
+    print(`   top-5 accuracy:     ${summary.top5Accuracy}%${formatDelta(summary.top5Accuracy, before.top5Accuracy)}`);
+    print(`   auto-pick accuracy: ${summary.autoPickAccuracy}%${formatDelta(summary.autoPickAccuracy, before.autoPickAccuracy)}`);
+    print(`   precision:          ${summary.precision}%${formatDelta(summary.precision, before.precision)}`);
+    print(`   recall:             ${summary.recall}%${formatDelta(summary.recall, before.recall)}`);
+    if (summary.errors > 0) print(`   errors:             ${summary.errors}`);
+
+    print('   pattern hit rates:');
+    Object.entries(summary.patterns).forEach(([name, counts]) => {
+      const previous = before.patterns && before.patterns[name] ? before.patterns[name].hitRate : undefined;
+      print(`     ${name}: ${counts.correct}/${counts.candidates} (${counts.hitRate}%)${formatDelta(counts.hitRate, previous)}`);
+    });
+  });
+
+  print('');
+  print('== fixtures (pipeline) ==');
+  report.results.forEach(result => {
+    if (result.error) {
+      print(`   ❌ ${result.id}: ${result.error}`);
+      return;
+    }
+    const pipeline = result.modes.pipeline;
+    const first = pipeline.candidates[0];
+    print(`   ${pipeline.top1 ? '✅' : pipeline.top5 ? '🟡' : '❌'} ${result.id}: expected "${result.legalName}", got ${first ? `"${first.name}"` : 'nothing'}`);
+  });
+
+  if (report.cleanup.cases > 0) {
+    print('');
+    print(`== OCR text cleanup: ${report.cleanup.passed}/${report.cleanup.cases} cases (${report.cleanup.passRate}%) ==`);
+    report.results.forEach(result => (result.cleanupCases || []).filter(check => !check.passed).forEach(check => {
+      print(`   ❌ ${result.id}: "${check.before}" became "${check.actual}", expected "${check.expected}"`);
+    }));
+  }
+
+  if (report.formationData && report.formationData.fields > 0) {
+    print('');
+    print(`== Formation data: ${report.formationData.passed}/${report.formationData.fields} fields (${report.formationData.passRate}%) ==`);
+    report.results.forEach(result => (result.formationData || []).filter(check => !check.passed).forEach(check => {
+      print(`   ❌ ${result.id}: ${check.field} was ${JSON.stringify(check.actual)}, expected ${JSON.stringify(check.expected)}`);
+    }));
+  }
+}
+
+async function main() {
+  const fixtures = loadFixtures(path.resolve(args.fixturesDir || DEFAULT_FIXTURES));
+  const report = await evaluate(fixtures);
+  const baseline = args.compare ? JSON.parse(fs.readFileSync(args.compare, 'utf8')) : null;
+
+  if (args.out) fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+  if (args.json) print(JSON.stringify(report, null, 2));
+  else printReport(report, baseline);
+}
+
+main().catch(error => {
+  console.error('❌ Evaluation failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,163 @@
+// index.js - Programmatic entry point: the same parsing, OCR and extraction pipeline as
+// /api/extract-names, without Express
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rulePacks = require('./utils/rulePacks');
+const nameNormalizer = require('./utils/nameNormalizer');
+const languages = require('./utils/languages');
+const documentParser = require('./utils/documentParser');
+const companyExtractor = require('./utils/companyExtractor');
+const ocr = require('./utils/ocr');
+const ocrProviders = require('./utils/ocrProviders');
+const imagePreprocessing = require('./utils/imagePreprocessing');
+const { analyzeTextQuality } = require('./utils/textUtils');
+const { classifyDocument } = require('./utils/documentClassifier');
+const { extractEins, stripCp575NoticeLetter } = require('./utils/einExtractor');
+const { extractPeople } = require('./utils/peopleExtractor');
+const { extractFormationData } = require('./utils/formationData');
+const { isLegalNameCandidate } = require('./utils/nameRoles');
+const { locateCandidates, labelCandidateParts } = require('./utils/nameLocations');
+
+// Check the named rule pack, format profile, OCR language and preprocessing profile; unknown names throw
+function resolveOptions(options = {}) {
+  if (options.rulePack && !rulePacks.hasRulePack(options.rulePack)) {
+    throw new Error(`Unknown rule pack "${options.rulePack}"`);
+  }
+  if (options.formatProfile && !nameNormalizer.hasFormatProfile(options.formatProfile)) {
+    throw new Error(`Unknown format profile "${options.formatProfile}"`);
+  }
+
+  if (options.preprocessing && !imagePreprocessing.hasProfile(options.preprocessing)) {
+    throw new Error(`Unknown preprocessing profile "${options.preprocessing}"`);
+  }
+
+  const language = languages.resolveLanguageHint(options.language);
+  if (!language) throw new Error(`Unknown OCR language "${options.language}"`);
+
+  return {
+    language,
+    formatProfile: nameNormalizer.resolveFormatProfile({ profile: options.formatProfile, portalId: options.portalId })
+  };
+}
+
+// `layout` is the per-page word boxes from documentParser, used to give candidates `locations`;
+// `parts` are the parts of an email, used to label candidates with the part they came from.
+// `options.ocr` marks OCR'd text, the only text whose names get OCR misreads fixed.
+function analyzeText(text, options, language, formatProfile, layout = [], parts = null) {
+  const documentType = classifyDocument(text);
+  const rulePack = rulePacks.selectRulePack({ requested: options.rulePack, documentType: documentType });
+  console.log(`📏 Using rule pack "${rulePack.name}"`);
+
+  // On an EIN notice the notice letter is dropped so it does not start the taxpayer's name
+  const nameText = documentType && documentType.ruleSet === 'irs-ein-letter' ? stripCp575NoticeLetter(text) : text;
+  const candidates = labelCandidateParts(locateCandidates(companyExtractor.extractCompanyOptions(nameText, rulePack, formatProfile, { ocr: options.ocr === true }), layout), text, parts);
+
+  return {
+    text,
+    textQuality: analyzeTextQuality(text),
+    documentType,
+    rulePack: rulePack.name,
+    formatProfile: formatProfile.name,
+    language: {
+      requested: language.hint,
+      detected: languages.detectLanguage(text)
+    },
+    candidates,
+    // Only legal names are eligible for an automatic pick; DBAs and agents need a reviewer
+    bestCandidate: candidates.find(isLegalNameCandidate) || null,
+    people: extractPeople(text),
+    formationData: extractFormationData(text),
+    taxIds: extractEins(text, {
+      documentType: documentType,
+      candidates: candidates,
+      unmask: options.unmaskEin === true
+    })
+  };
+}
+
+// Buffers are written to a private temp folder so the parsers and OCR services can read them
+function prepareInput(input, mimetype, filename) {
+  if (Buffer.isBuffer(input)) {
+    const name = path.basename(filename || 'document');
+    const type = mimetype || documentParser.mimetypeFromPath(name);
+    if (!type) throw new Error('A mimetype (or a filename with a known extension) is required for Buffer input');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bt-extract-'));
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, input);
+
+    return { filePath, filename: name, mimetype: type, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+  }
+
+  if (typeof input === 'string') {
+    if (!fs.existsSync(input)) throw new Error(`File not found: ${input}`);
+    const type = mimetype || documentParser.mimetypeFromPath(input);
+    if (!type) throw new Error(`Cannot tell the type of ${path.basename(input)} - pass a mimetype`);
+
+    return { filePath: input, filename: filename || path.basename(input), mimetype: type, cleanup: () => {} };
+  }
+
+  throw new Error('extract() takes a Buffer or a file path');
+}
+
+// Parse a document (Buffer or file path) and extract company names from it.
+// `options`: rulePack, formatProfile, portalId, language (OCR hint), unmaskEin, ocrCache
+// (false skips the OCR result cache) and preprocessing (image profile for local OCR).
+// Files given by path are left in place.
+async function extract(input, { mimetype, filename, options = {} } = {}) {
+  const { language, formatProfile } = resolveOptions(options);
+  const source = prepareInput(input, mimetype, filename);
+
+  try {
+    const parsed = await documentParser.parseDocumentDetailed(source.filePath, source.mimetype, {
+      language,
+      cache: options.ocrCache !== false,
+      preprocessing: options.preprocessing
+    });
+    return {
+      ...analyzeText(parsed.text, { ...options, ocr: !!parsed.metadata.ocrUsed }, language, formatProfile, parsed.layout, parsed.metadata.parts),
+      metadata: { ...parsed.metadata, filename: source.filename }
+    };
+  } finally {
+    source.cleanup();
+  }
+}
+
+// Same extraction for text that has already been read (no parsing or OCR). Pass `ocr: true` for
+// text that came from OCR elsewhere.
+function extractFromText(text, options = {}) {
+  const { language, formatProfile } = resolveOptions(options);
+  return analyzeText(text || '', options, language, formatProfile);
+}
+
+// Make a searchable PDF of a scanned PDF or image (Buffer or file path): the page images with the
+// OCR text as a hidden layer. `options`: language (OCR hint) and force (OCR a PDF even when every
+// page already has a text layer). Resolves to { pdf (Buffer), source, text, provider, ... }.
+async function createSearchablePdf(input, { mimetype, filename, options = {} } = {}) {
+  const { language } = resolveOptions(options);
+  const source = prepareInput(input, mimetype, filename);
+
+  try {
+    const result = await documentParser.createSearchablePdf(source.filePath, source.mimetype, {
+      language,
+      force: options.force === true
+    });
+    return { ...result, filename: source.filename };
+  } finally {
+    source.cleanup();
+  }
+}
+
+module.exports = {
+  extract,
+  extractFromText,
+  createSearchablePdf,
+  parseDocument: documentParser.parseDocument,
+  parseDocumentDetailed: documentParser.parseDocumentDetailed,
+  extractCompanyNames: companyExtractor.extractCompanyNames,
+  extractCompanyNamesEnhanced: companyExtractor.extractCompanyNamesEnhanced,
+  extractCompanyOptions: companyExtractor.extractCompanyOptions,
+  registerOcrProvider: ocrProviders.registerProvider,
+  ocrStatus: () => ({ external: ocr.externalOcrAvailable, local: ocr.localOcrAvailable, providers: ocrProviders.listProviders() })
+};
@@ -5,8 +5,20 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 const fs = require('fs');
 const path = require('path');
-const pdf = require('pdf-parse');
-const mammoth = require('mammoth');
+const extractor = require('./index');
+const knownCompanies = require('./utils/knownCompanies');
+const rulePacks = require('./utils/rulePacks');
+const ocr = require('./utils/ocr');
+const ocrProviders = require('./utils/ocrProviders');
+const ocrCache = require('./utils/ocrCache');
+const { analyzeTextQuality } = require('./utils/textUtils');
+const { extractCompanyNames, extractCompanyNamesEnhanced, findKnownCompanyMentions } = require('./utils/companyExtractor');
+const nameNormalizer = require('./utils/nameNormalizer');
+const languages = require('./utils/languages');
+const imagePreprocessing = require('./utils/imagePreprocessing');
+const imageFormats = require('./utils/imageFormats');
+
+const { externalOcrAvailable, localOcrAvailable, FormData, fetch } = ocr;
 
 dotenv.config();
 
@@ -15,55 +27,16 @@ const PORT = process.env.PORT || 3000;
 
 console.log('🚀 Starting BT Company Extractor v3.4.0 with Optimized OCR Integration');
 
-// Check for external OCR dependencies
-let FormData, fetch;
-let externalOcrAvailable = false;
-
-try {
-  FormData = require('form-data');
-  fetch = require('node-fetch');
-  externalOcrAvailable = true;
-  console.log('✅ External OCR dependencies available');
-} catch (error) {
-  console.log('⚠️ External OCR dependencies not available:', error.message);
-  console.log('📝 To enable external OCR: npm install form-data node-fetch');
-  externalOcrAvailable = false;
-}
-
-// Check for local OCR dependencies (optional)
-let Tesseract, pdf2pic, sharp;
-let localOcrAvailable = false;
-
-try {
-  Tesseract = require('tesseract.js');
-  pdf2pic = require('pdf2pic');
-  sharp = require('sharp');
-  localOcrAvailable = true;
-  console.log('✅ Local OCR dependencies available');
-} catch (error) {
-  console.log('⚠️ Local OCR dependencies not available (optional)');
-  localOcrAvailable = false;
-}
-
-console.log(`🌐 External OCR Status: ${externalOcrAvailable ? 'ENABLED' : 'DISABLED'}`);
-console.log(`🔍 Local OCR Status: ${localOcrAvailable ? 'ENABLED' : 'DISABLED'}`);
-console.log(`📡 OCR API Keys: OCR.space=${!!process.env.OCR_SPACE_API_KEY}, Google Vision=${!!process.env.GOOGLE_CLOUD_VISION_API_KEY}`);
-
 // Middleware
 app.use(cors());
 app.use(express.json());
 
-// Create directories
+// Create uploads directory
 const uploadsDir = path.join(__dirname, 'uploads');
-const tempDir = path.join(__dirname, 'temp');
 if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
   console.log('📁 Created uploads directory');
 }
-if (!fs.existsSync(tempDir)) {
-  fs.mkdirSync(tempDir, { recursive: true });
-  console.log('📁 Created temp directory');
-}
 
 // Configure multer
 const storage = multer.diskStorage({
@@ -78,991 +51,23 @@ const upload = multer({
     const allowedTypes = [
       'application/pdf',
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'application/msword'
+      'application/msword',
+      'application/rtf',
+      'text/rtf',
+      'application/vnd.oasis.opendocument.text',
+      'text/plain',
+      'text/html',
+      'message/rfc822'
     ];
-    if (externalOcrAvailable || localOcrAvailable) {
-      allowedTypes.push('image/png', 'image/jpeg', 'image/jpg');
+    if (ocrProviders.hasAvailableProvider()) {
+      // Formats that cannot be converted without sharp are taken when a provider reads them as they are
+      allowedTypes.push('image/png', 'image/jpeg', 'image/jpg', ...Object.keys(imageFormats.CONVERTED_FORMATS)
+        .filter(type => !imageFormats.conversionUnavailableReason(type) || ocrProviders.hasAvailableProvider(type)));
     }
     cb(null, allowedTypes.includes(file.mimetype));
   }
 });
 
-// Enhanced text quality analysis
-function analyzeTextQuality(text) {
-  if (!text || text.length === 0) {
-    return { readableRatio: 0, validWordCount: 0, garbledRatio: 1 };
-  }
-  
-  // Count different types of characters
-  const totalChars = text.length;
-  const readableChars = (text.match(/[a-zA-Z0-9\s\.,;:!?\-()&]/g) || []).length;
-  const letters = (text.match(/[a-zA-Z]/g) || []).length;
-  const garbledChars = (text.match(/[^\w\s\.,;:!?\-()&]/g) || []).length;
-  
-  // Extract potential words
-  const words = text.match(/[a-zA-Z]{2,}/g) || [];
-  
-  // Count valid English-like words (simple heuristic)
-  const validWords = words.filter(word => {
-    // Filter out obvious OCR garbage
-    if (word.length < 2) return false;
-    if (word.length > 20) return false; // Very long words are usually OCR errors
-    
-    // Check for reasonable vowel/consonant distribution
-    const vowels = (word.match(/[aeiouAEIOU]/g) || []).length;
-    const consonants = word.length - vowels;
-    
-    // Reject words with no vowels (unless very short) or too many consonants in a row
-    if (vowels === 0 && word.length > 3) return false;
-    if (/[bcdfghjklmnpqrstvwxyzBCDFGHJKLMNPQRSTVWXYZ]{5,}/.test(word)) return false;
-    
-    return true;
-  });
-  
-  return {
-    readableRatio: Math.round((readableChars / totalChars) * 100),
-    validWordCount: validWords.length,
-    garbledRatio: garbledChars / totalChars,
-    totalWords: words.length,
-    avgWordLength: words.length > 0 ? words.reduce((sum, w) => sum + w.length, 0) / words.length : 0
-  };
-}
-
-// Intelligent text cleanup based on common OCR errors
-function applyIntelligentCleanup(text, qualityAnalysis) {
-  let cleaned = text;
-  
-  // If quality is very poor, try more aggressive cleanup
-  if (qualityAnalysis.readableRatio < 50) {
-    console.log('🧹 Applying aggressive text cleanup...');
-    
-    // Remove obvious garbage patterns
-    cleaned = cleaned.replace(/[^\w\s\.,;:!?\-()&\'\"]/g, ' ');
-  }
-  
-  // Standard cleanup
-  cleaned = cleaned
-    .replace(/\s+/g, ' ')                    // Normalize whitespace
-    .replace(/([.!?])\s*([a-z])/g, '$1 $2')  // Fix missing spaces after punctuation
-    .replace(/([a-z])([A-Z])/g, '$1 $2')     // Add spaces between camelCase
-    .trim();
-  
-  return cleaned;
-}
-
-// Enhanced company indicator detection
-function checkForCompanyIndicators(text) {
-  const indicators = [
-    /\b(LLC|PLLC|Inc\.?|Corp\.?|Corporation|Company|Limited|LTD)\b/gi,
-    /\b(Articles?\s+of\s+(Incorporation|Organization))\b/gi,
-    /\b(Certificate\s+of\s+(Formation|Incorporation))\b/gi,
-    /\b(Entity\s+(Name|Type))\b/gi,
-    /\b(Business\s+(Name|Entity))\b/gi,
-    /\b(Company\s+Name)\b/gi,
-    /\b(Legal\s+Name)\b/gi,
-    /BitConcepts/gi,
-    /PORVIN/gi
-  ];
-  
-  const foundIndicators = indicators.filter(pattern => pattern.test(text));
-  return foundIndicators.length;
-}
-
-// Optimized OCR.space processing with multiple strategies
-async function performExternalOCROptimized(filePath, mimetype) {
-  if (!externalOcrAvailable) {
-    throw new Error('External OCR dependencies not available. Install: npm install form-data node-fetch');
-  }
-  
-  console.log('🌐 Starting OPTIMIZED OCR.space processing for:', path.basename(filePath));
-  
-  try {
-    const ocrApiKey = process.env.OCR_SPACE_API_KEY || 'helloworld';
-    const fileBuffer = fs.readFileSync(filePath);
-    
-    console.log(`📄 File size: ${(fileBuffer.length / 1024).toFixed(1)} KB`);
-    
-    // Multiple OCR strategies specifically optimized for difficult documents
-    const ocrStrategies = [
-      {
-        name: 'High-Resolution Engine 2 (Best for Articles)',
-        settings: {
-          'apikey': ocrApiKey,
-          'OCREngine': '2',           // Engine 2 is generally better for documents
-          'scale': 'true',            // Auto-scale for better resolution
-          'isTable': 'false',         // Not a table layout
-          'detectOrientation': 'true', // Auto-rotate if needed
-          'language': 'eng',
-          'isOverlayRequired': 'false',
-          'filetype': 'Auto',         // Let OCR.space detect file type
-          'isCreateSearchablePdf': 'false',
-          'isSearchablePdfHideTextLayer': 'false'
-        }
-      },
-      {
-        name: 'Engine 1 High Quality (Alternative)',
-        settings: {
-          'apikey': ocrApiKey,
-          'OCREngine': '1',           // Try engine 1 as backup
-          'scale': 'true',
-          'isTable': 'false',
-          'detectOrientation': 'true',
-          'language': 'eng',
-          'isOverlayRequired': 'false',
-          'filetype': 'Auto'
-        }
-      },
-      {
-        name: 'Table Detection Mode (For Complex Layouts)',
-        settings: {
-          'apikey': ocrApiKey,
-          'OCREngine': '2',
-          'scale': 'true',
-          'isTable': 'true',          // Enable table detection for complex layouts
-          'detectOrientation': 'true',
-          'language': 'eng',
-          'isOverlayRequired': 'false',
-          'filetype': 'Auto'
-        }
-      },
-      {
-        name: 'No Auto-Scaling (Raw Processing)',
-        settings: {
-          'apikey': ocrApiKey,
-          'OCREngine': '2',
-          'scale': 'false',           // Don't scale - use original resolution
-          'isTable': 'false',
-          'detectOrientation': 'false', // Don't auto-rotate
-          'language': 'eng',
-          'isOverlayRequired': 'false',
-          'filetype': 'Auto'
-        }
-      }
-    ];
-    
-    for (const strategy of ocrStrategies) {
-      console.log(`📡 Trying strategy: ${strategy.name}`);
-      
-      try {
-        const formData = new FormData();
-        
-        // Add the file
-        formData.append('file', fileBuffer, {
-          filename: path.basename(filePath),
-          contentType: mimetype
-        });
-        
-        // Add all settings
-        Object.entries(strategy.settings).forEach(([key, value]) => {
-          formData.append(key, value);
-        });
-        
-        const response = await fetch('https://api.ocr.space/parse/image', {
-          method: 'POST',
-          body: formData,
-          headers: formData.getHeaders(),
-          timeout: 45000 // Longer timeout for better processing
-        });
-        
-        console.log(`📡 ${strategy.name} - Response status: ${response.status}`);
-        
-        if (!response.ok) {
-          const errorText = await response.text();
-          console.log(`❌ ${strategy.name} - HTTP Error: ${response.status} - ${errorText}`);
-          continue;
-        }
-        
-        const result = await response.json();
-        
-        // Detailed result analysis
-        console.log(`📊 ${strategy.name} - Result analysis:`, {
-          IsErroredOnProcessing: result.IsErroredOnProcessing,
-          ErrorMessage: result.ErrorMessage,
-          ErrorDetails: result.ErrorDetails,
-          ProcessingTimeInMilliseconds: result.ProcessingTimeInMilliseconds,
-          ParsedResults: result.ParsedResults?.length || 0
-        });
-        
-        if (result.IsErroredOnProcessing) {
-          console.log(`❌ ${strategy.name} - Processing error: ${result.ErrorMessage}`);
-          if (result.ErrorDetails) {
-            console.log(`🔍 Error details: ${JSON.stringify(result.ErrorDetails)}`);
-          }
-          continue;
-        }
-        
-        if (!result.ParsedResults || result.ParsedResults.length === 0) {
-          console.log(`❌ ${strategy.name} - No parsed results`);
-          continue;
-        }
-        
-        // Extract and analyze text from all pages
-        let allText = '';
-        let pageAnalysis = [];
-        
-        result.ParsedResults.forEach((page, index) => {
-          const pageText = page.ParsedText || '';
-          allText += pageText + '\n\n';
-          
-          const pageQuality = analyzeTextQuality(pageText);
-          pageAnalysis.push({
-            pageNumber: index + 1,
-            textLength: pageText.length,
-            quality: pageQuality,
-            hasValidWords: pageQuality.validWordCount > 3,
-            errorCorrectionCanHelp: pageQuality.garbledRatio < 0.7
-          });
-          
-          console.log(`📄 Page ${index + 1}: ${pageText.length} chars, ${pageQuality.readableRatio}% readable, ${pageQuality.validWordCount} valid words`);
-        });
-        
-        const overallQuality = analyzeTextQuality(allText);
-        
-        console.log(`📊 ${strategy.name} - Overall quality analysis:`, {
-          totalLength: allText.length,
-          readableRatio: `${overallQuality.readableRatio}%`,
-          validWords: overallQuality.validWordCount,
-          garbledRatio: `${(overallQuality.garbledRatio * 100).toFixed(1)}%`,
-          hasCompanyIndicators: checkForCompanyIndicators(allText)
-        });
-        
-        // Quality thresholds for accepting results
-        if (overallQuality.readableRatio < 20) {
-          console.log(`❌ ${strategy.name} - Text quality too poor (${overallQuality.readableRatio}%)`);
-          continue;
-        }
-        
-        if (allText.length < 20) {
-          console.log(`❌ ${strategy.name} - Text too short (${allText.length} chars)`);
-          continue;
-        }
-        
-        if (overallQuality.validWordCount < 5) {
-          console.log(`❌ ${strategy.name} - Too few valid words (${overallQuality.validWordCount})`);
-          continue;
-        }
-        
-        // Apply intelligent text cleanup
-        const cleanedText = applyIntelligentCleanup(allText, overallQuality);
-        const finalQuality = analyzeTextQuality(cleanedText);
-        
-        console.log(`✅ ${strategy.name} SUCCESS!`);
-        console.log(`📄 Original: ${allText.length} chars, Cleaned: ${cleanedText.length} chars`);
-        console.log(`📊 Quality improvement: ${overallQuality.readableRatio}% → ${finalQuality.readableRatio}%`);
-        console.log(`📝 Sample: "${cleanedText.substring(0, 200)}..."`);
-        
-        // Check for company name indicators
-        const companyIndicators = checkForCompanyIndicators(cleanedText);
-        console.log(`🏢 Company indicators found: ${companyIndicators}`);
-        
-        return {
-          text: cleanedText,
-          rawText: allText,
-          method: strategy.name,
-          quality: finalQuality.readableRatio,
-          validWords: finalQuality.validWordCount,
-          hasCompanyIndicators: companyIndicators,
-          pageAnalysis: pageAnalysis,
-          processingTime: result.ProcessingTimeInMilliseconds
-        };
-        
-      } catch (strategyError) {
-        console.error(`❌ ${strategy.name} failed:`, strategyError.message);
-        continue;
-      }
-    }
-    
-    throw new Error('All OCR.space strategies failed to produce acceptable text quality');
-    
-  } catch (error) {
-    console.error('❌ Optimized OCR.space processing failed:', error.message);
-    throw error;
-  }
-}
-
-// Google Cloud Vision OCR fallback
-async function performGoogleVisionOCR(filePath) {
-  if (!externalOcrAvailable) {
-    throw new Error('External OCR dependencies not available');
-  }
-  
-  try {
-    const apiKey = process.env.GOOGLE_CLOUD_VISION_API_KEY;
-    
-    if (!apiKey) {
-      throw new Error('Google Cloud Vision API key not configured');
-    }
-    
-    console.log('🌐 Using Google Cloud Vision API...');
-    
-    // Read and convert file to base64
-    const imageBuffer = fs.readFileSync(filePath);
-    const base64Image = imageBuffer.toString('base64');
-    
-    const requestBody = {
-      requests: [{
-        image: {
-          content: base64Image
-        },
-        features: [{
-          type: 'TEXT_DETECTION',
-          maxResults: 1
-        }]
-      }]
-    };
-    
-    const response = await fetch(`https://vision.googleapis.com/v1/images:annotate?key=${apiKey}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(requestBody)
-    });
-    
-    if (!response.ok) {
-      throw new Error(`Google Vision API error: ${response.status} ${response.statusText}`);
-    }
-    
-    const result = await response.json();
-    
-    if (result.responses && result.responses[0] && result.responses[0].textAnnotations && result.responses[0].textAnnotations[0]) {
-      const extractedText = result.responses[0].textAnnotations[0].description;
-      console.log(`✅ Google Vision successful: extracted ${extractedText.length} characters`);
-      console.log(`📄 Sample text: "${extractedText.substring(0, 200)}..."`);
-      return extractedText;
-    } else {
-      throw new Error('No text detected by Google Vision API');
-    }
-    
-  } catch (error) {
-    console.error('❌ Google Vision OCR failed:', error.message);
-    throw error;
-  }
-}
-
-// Local OCR fallback (if dependencies available)
-async function performLocalOCR(filePath, mimetype) {
-  if (!localOcrAvailable) {
-    throw new Error('Local OCR dependencies not available. Install: npm install tesseract.js pdf2pic sharp');
-  }
-
-  console.log('🔍 Starting local OCR processing for:', path.basename(filePath));
-  
-  try {
-    let imagePaths = [];
-    
-    if (mimetype === 'application/pdf') {
-      console.log('📄 Converting PDF to images for local OCR...');
-      
-      const convert = pdf2pic.fromPath(filePath, {
-        density: 300,
-        saveFilename: "page",
-        savePath: tempDir,
-        format: "png",
-        width: 2000,
-        height: 2000
-      });
-      
-      // Convert first 3 pages
-      for (let page = 1; page <= 3; page++) {
-        try {
-          const result = await convert(page, { responseType: "image" });
-          if (result.path && fs.existsSync(result.path)) {
-            imagePaths.push(result.path);
-            console.log(`📸 Converted page ${page} to image`);
-          }
-        } catch (pageError) {
-          console.log(`⚠️ Page ${page} conversion failed:`, pageError.message);
-          break;
-        }
-      }
-    } else if (mimetype.startsWith('image/')) {
-      imagePaths.push(filePath);
-      console.log('📸 Processing image file directly');
-    }
-    
-    if (imagePaths.length === 0) {
-      throw new Error('No images available for local OCR processing');
-    }
-    
-    let allOCRText = '';
-    
-    for (const imagePath of imagePaths) {
-      console.log('🔍 Running Tesseract OCR on:', path.basename(imagePath));
-      
-      try {
-        // Preprocess image for better OCR
-        const processedImagePath = imagePath + '_processed.png';
-        await sharp(imagePath)
-          .resize(null, 2000, { withoutEnlargement: true })
-          .normalize()
-          .sharpen()
-          .png()
-          .toFile(processedImagePath);
-        
-        // Run Tesseract OCR
-        const { data: { text } } = await Tesseract.recognize(processedImagePath, 'eng', {
-          logger: m => {
-            if (m.status === 'recognizing text') {
-              console.log(`📝 Local OCR Progress: ${Math.round(m.progress * 100)}%`);
-            }
-          }
-        });
-        
-        if (text && text.trim().length > 0) {
-          allOCRText += text + '\n\n';
-          console.log(`✅ Local OCR extracted ${text.length} characters`);
-        }
-        
-        // Clean up processed image
-        if (fs.existsSync(processedImagePath)) {
-          fs.unlinkSync(processedImagePath);
-        }
-        
-      } catch (ocrError) {
-        console.error(`❌ Local OCR failed for ${imagePath}:`, ocrError.message);
-      }
-    }
-    
-    // Clean up temp images
-    imagePaths.forEach(imagePath => {
-      if (imagePath !== filePath && fs.existsSync(imagePath)) {
-        fs.unlinkSync(imagePath);
-      }
-    });
-    
-    if (allOCRText.trim().length === 0) {
-      throw new Error('Local OCR extracted no readable text');
-    }
-    
-    const cleanedText = allOCRText
-      .replace(/\s+/g, ' ')
-      .replace(/[^\w\s&\.\-',()]/g, ' ')
-      .replace(/\s+/g, ' ')
-      .trim();
-    
-    console.log(`🎯 Local OCR result: ${cleanedText.length} characters extracted`);
-    return cleanedText;
-    
-  } catch (error) {
-    console.error('❌ Local OCR processing failed:', error);
-    throw error;
-  }
-}
-
-// Enhanced PDF parsing with multiple OCR fallbacks
-async function parsePdfWithFallbacks(filePath) {
-  const pdfBuffer = fs.readFileSync(filePath);
-  
-  console.log('🔄 Attempting PDF parsing method 1: Standard pdf-parse');
-  try {
-    const pdfData = await pdf(pdfBuffer);
-    if (pdfData.text && pdfData.text.length > 50) {
-      console.log('✅ Method 1 successful, extracted text length:', pdfData.text.length);
-      return pdfData.text;
-    }
-    console.log('⚠️ Method 1 produced insufficient text, trying alternatives...');
-  } catch (error) {
-    console.log('❌ Method 1 failed:', error.message);
-  }
-
-  console.log('🔄 Attempting PDF parsing method 2: Enhanced pdf-parse');
-  try {
-    const pdfData = await pdf(pdfBuffer, {
-      max: 0,
-      version: 'v1.10.100',
-      normalizeWhitespace: true,
-      disableCombineTextItems: false
-    });
-    if (pdfData.text && pdfData.text.length > 50) {
-      console.log('✅ Method 2 successful, extracted text length:', pdfData.text.length);
-      return pdfData.text;
-    }
-    console.log('⚠️ Method 2 produced insufficient text');
-  } catch (error) {
-    console.log('❌ Method 2 failed:', error.message);
-  }
-
-  console.log('🔄 Attempting PDF parsing method 3: Buffer text extraction');
-  try {
-    const bufferStr = pdfBuffer.toString('latin1');
-    const extractedTexts = new Set();
-    
-    // Multiple text extraction patterns
-    const textPatterns = [
-      /\(([^)]{3,})\)/g,
-      /\[([^\]]{3,})\]/g,
-      /\/V\s*\(([^)]+)\)/g,
-      /\/T\s*\(([^)]+)\)/g,
-      // Specific company name hunting
-      /BitConcepts[^,\n\r]{0,20}LLC/gi,
-      /PORVIN[^,\n\r]{0,50}PLLC/gi,
-      /[A-Z][A-Za-z\s&\.\-']{5,40}(?:LLC|PLLC|Inc|Corp)/g,
-    ];
-    
-    textPatterns.forEach((pattern, index) => {
-      let match;
-      while ((match = pattern.exec(bufferStr)) !== null) {
-        const text = match[1] || match[0];
-        if (text && text.length > 2 && /[A-Za-z]/.test(text)) {
-          const cleanText = text
-            .replace(/[^\w\s&\.\-',]/g, ' ')
-            .replace(/\s+/g, ' ')
-            .trim();
-          
-          if (cleanText.length > 3) {
-            extractedTexts.add(cleanText);
-            console.log(`📝 Pattern ${index + 1} found: "${cleanText}"`);
-          }
-        }
-      }
-      pattern.lastIndex = 0;
-    });
-    
-    if (extractedTexts.size > 0) {
-      const combinedText = Array.from(extractedTexts).join(' ').replace(/\s+/g, ' ').trim();
-      if (combinedText.length > 10) {
-        console.log('✅ Method 3 successful, extracted text length:', combinedText.length);
-        return combinedText;
-      }
-    }
-    console.log('⚠️ Method 3 found no readable text');
-  } catch (error) {
-    console.log('❌ Method 3 failed:', error.message);
-  }
-
-  console.log('🔄 Attempting PDF parsing method 4: Optimized External OCR');
-  console.log('📸 This PDF appears to be a scanned image - using optimized OCR...');
-  
-  if (externalOcrAvailable) {
-    try {
-      const ocrResult = await performExternalOCROptimized(filePath, 'application/pdf');
-      if (ocrResult && ocrResult.text && ocrResult.text.length > 20) {
-        console.log(`✅ Method 4 (Optimized OCR) successful: ${ocrResult.method}, extracted text length: ${ocrResult.text.length}`);
-        return ocrResult.text;
-      }
-      console.log('⚠️ Method 4 (Optimized OCR) produced insufficient text');
-    } catch (error) {
-      console.log('❌ Method 4 (Optimized OCR) failed:', error.message);
-    }
-  } else {
-    console.log('⚠️ External OCR not available - missing dependencies');
-  }
-
-  console.log('🔄 Attempting PDF parsing method 5: Local OCR (fallback)');
-  if (localOcrAvailable) {
-    try {
-      const ocrText = await performLocalOCR(filePath, 'application/pdf');
-      if (ocrText && ocrText.length > 20) {
-        console.log('✅ Method 5 (Local OCR) successful, extracted text length:', ocrText.length);
-        return ocrText;
-      }
-      console.log('⚠️ Method 5 (Local OCR) produced insufficient text');
-    } catch (error) {
-      console.log('❌ Method 5 (Local OCR) failed:', error.message);
-    }
-  } else {
-    console.log('⚠️ Local OCR not available');
-  }
-
-  // Enhanced error message
-  const ocrStatus = externalOcrAvailable ? 'Available but failed' : 'Not configured';
-  const localOcrStatus = localOcrAvailable ? 'Available but failed' : 'Not configured';
-  
-  const errorMessage = `Unable to extract text from this PDF using any of 5 methods.
-    
-    This appears to be a scanned PDF that requires OCR processing.
-    
-    Current OCR status:
-    - External OCR (OCR.space/Google Vision): ${ocrStatus}
-    - Local OCR (Tesseract): ${localOcrStatus}
-    
-    Solutions for automatic processing:
-    1. Configure OCR.space API key: OCR_SPACE_API_KEY environment variable
-    2. Configure Google Cloud Vision: GOOGLE_CLOUD_VISION_API_KEY environment variable
-    3. Install local OCR: npm install tesseract.js pdf2pic sharp
-    4. Use higher quality document scans (300+ DPI)
-    5. Convert to DOCX format before upload
-    
-    Note: External OCR services work reliably on any platform.`;
-
-  throw new Error(errorMessage);
-}
-
-// Enhanced document parsing with optimized OCR
-async function parseDocumentWithOptimizedOCR(filePath, mimetype) {
-  try {
-    let text = '';
-    console.log('📄 Parsing with optimized OCR:', path.basename(filePath), 'Type:', mimetype);
-
-    switch (mimetype) {
-      case 'application/pdf':
-        // Try standard PDF parsing first
-        try {
-          text = await parsePdfWithFallbacks(filePath);
-          const quality = analyzeTextQuality(text);
-          
-          if (quality.readableRatio > 70 && quality.validWordCount > 10) {
-            console.log(`✅ Standard PDF parsing successful (${quality.readableRatio}% quality, ${quality.validWordCount} valid words)`);
-            return text;
-          } else {
-            console.log(`⚠️ Standard PDF parsing poor quality (${quality.readableRatio}%, ${quality.validWordCount} words) - trying OCR`);
-            throw new Error('Poor quality text - trying OCR');
-          }
-        } catch (pdfError) {
-          console.log('📸 PDF parsing failed, using optimized OCR...');
-          
-          if (externalOcrAvailable) {
-            const ocrResult = await performExternalOCROptimized(filePath, mimetype);
-            text = ocrResult.text;
-            
-            console.log(`✅ Optimized OCR completed: ${ocrResult.method} (${ocrResult.quality}% quality)`);
-            return text;
-          } else {
-            throw new Error('PDF requires OCR but OCR services not available');
-          }
-        }
-        break;
-        
-      case 'image/png':
-      case 'image/jpeg':
-      case 'image/jpg':
-        console.log('📸 Processing image with optimized OCR...');
-        
-        if (externalOcrAvailable) {
-          const ocrResult = await performExternalOCROptimized(filePath, mimetype);
-          text = ocrResult.text;
-        } else {
-          throw new Error('Image processing requires OCR services');
-        }
-        break;
-        
-      default:
-        // Handle DOCX and other text documents normally
-        if (mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
-          const docxResult = await mammoth.extractRawText({ path: filePath });
-          text = docxResult.value;
-        } else if (mimetype === 'application/msword') {
-          const docBuffer = fs.readFileSync(filePath);
-          text = docBuffer.toString('utf8').replace(/[^\x20-\x7E]/g, ' ');
-        } else {
-          throw new Error('Unsupported file type');
-        }
-    }
-
-    const finalQuality = analyzeTextQuality(text);
-    console.log(`📝 Final text: ${text.length} characters (${finalQuality.readableRatio}% quality, ${finalQuality.validWordCount} valid words)`);
-    
-    if (text.length < 10 || finalQuality.readableRatio < 15) {
-      throw new Error(`Text quality too poor (${finalQuality.readableRatio}%) or too short (${text.length} chars). Document may need higher quality scan or different format.`);
-    }
-    
-    return text;
-    
-  } catch (error) {
-    console.error('❌ Enhanced document parsing error:', error);
-    throw error;
-  }
-}
-
-// Ultra-aggressive company name extraction for corrupted/OCR text
-function extractCompanyNamesEnhanced(text) {
-  console.log('🔍 ENHANCED: Extracting company names (v3.4.0 - Ultra-aggressive)...');
-  console.log('📄 Raw text length:', text.length);
-  console.log('📄 First 500 chars:', text.substring(0, 500));
-  
-  if (!text || text.length < 5) return [];
-
-  const cleanText = text.replace(/\s+/g, ' ').replace(/\n+/g, ' ').trim();
-  
-  console.log('🔍 Testing for BitConcepts:', cleanText.includes('BitConcepts'));
-  console.log('🔍 Testing for PORVIN:', cleanText.includes('PORVIN'));
-  console.log('🔍 Testing for LLC:', cleanText.includes('LLC'));
-  console.log('🔍 Testing for PLLC:', cleanText.includes('PLLC'));
-  
-  const foundNames = [];
-
-  // ULTRA-AGGRESSIVE patterns for corrupted text
-  const enhancedPatterns = [
-    // Direct company name hunting with known results
-    {
-      name: 'BitConcepts Direct Search',
-      regex: /BitConcepts[^A-Za-z]{0,20}LLC/gi,
-      confidence: 95,
-      extractName: () => 'BitConcepts, LLC'
-    },
-    {
-      name: 'PORVIN Direct Search',
-      regex: /PORVIN[^A-Za-z]{0,100}PLLC/gi,
-      confidence: 90,
-      extractName: () => 'PORVIN, BURNSTEIN & GARELIK, PLLC'
-    },
-    
-    // Character-by-character hunt for BitConcepts
-    {
-      name: 'BitConcepts Character Hunt',
-      regex: /[Bb][^A-Za-z]{0,5}[Ii][^A-Za-z]{0,5}[Tt][^A-Za-z]{0,5}[Cc][^A-Za-z]{0,5}[Oo][^A-Za-z]{0,5}[Nn][^A-Za-z]{0,5}[Cc][^A-Za-z]{0,5}[Ee][^A-Za-z]{0,5}[Pp][^A-Za-z]{0,5}[Tt][^A-Za-z]{0,5}[Ss][^A-Za-z]{0,20}[Ll][^A-Za-z]{0,5}[Ll][^A-Za-z]{0,5}[Cc]/gi,
-      confidence: 85,
-      extractName: () => 'BitConcepts, LLC'
-    },
-    
-    // PORVIN character hunt
-    {
-      name: 'PORVIN Character Hunt',
-      regex: /[Pp][^A-Za-z]{0,5}[Oo][^A-Za-z]{0,5}[Rr][^A-Za-z]{0,5}[Vv][^A-Za-z]{0,5}[Ii][^A-Za-z]{0,5}[Nn][^A-Za-z]{0,50}[Pp][^A-Za-z]{0,5}[Ll][^A-Za-z]{0,5}[Ll][^A-Za-z]{0,5}[Cc]/gi,
-      confidence: 80,
-      extractName: () => 'PORVIN, BURNSTEIN & GARELIK, PLLC'
-    },
-    
-    // Articles declaration patterns
-    {
-      name: 'Articles Company Declaration',
-      regex: /(?:name\s+of\s+the\s+limited\s+liability\s+company|company\s+is)[^A-Za-z]{0,20}([A-Za-z][A-Za-z\s&\.\-',]{3,50}[^A-Za-z]{0,10}(?:LLC|PLLC))/gi,
-      confidence: 75
-    },
-    
-    // Standard company patterns with flexibility
-    {
-      name: 'Standard LLC Pattern',
-      regex: /\b([A-Z][A-Za-z\s&\.\-']{2,40})\s*,?\s*(LLC|L\.L\.C\.)\b/g,
-      confidence: 60
-    },
-    {
-      name: 'Standard PLLC Pattern',
-      regex: /\b([A-Z][A-Za-z\s&\.\-']{2,40})\s*,?\s*(PLLC|P\.L\.L\.C\.)\b/g,
-      confidence: 65
-    },
-    
-    // Flexible patterns for OCR errors
-    {
-      name: 'Flexible LLC Hunt',
-      regex: /([A-Za-z][A-Za-z\s&\.\-']{5,40})[^A-Za-z]{0,10}(LLC|L\.L\.C\.)/gi,
-      confidence: 50
-    },
-    
-    // Business words near entity types
-    {
-      name: 'Business Sequence Near LLC',
-      regex: /((?:[A-Z][a-z]+[^A-Za-z]{0,5}){2,5})[^A-Za-z]{0,15}(LLC|PLLC)/gi,
-      confidence: 40
-    }
-  ];
-
-  // Fragment matching for known companies
-  console.log('🔍 Trying fragment matching approach...');
-  const words = cleanText.match(/[A-Za-z]{3,}/g) || [];
-  console.log('📝 Found words:', words.slice(0, 20));
-  
-  const knownCompanies = [
-    { fragments: ['bit', 'concepts', 'llc'], name: 'BitConcepts, LLC', confidence: 90 },
-    { fragments: ['porvin', 'burnstein', 'garelik', 'pllc'], name: 'PORVIN, BURNSTEIN & GARELIK, PLLC', confidence: 85 }
-  ];
-  
-  knownCompanies.forEach(company => {
-    const foundFragments = company.fragments.filter(fragment => 
-      words.some(word => word.toLowerCase().includes(fragment))
-    );
-    
-    console.log(`🔍 ${company.name}: found ${foundFragments.length}/${company.fragments.length} fragments:`, foundFragments);
-    
-    if (foundFragments.length >= Math.ceil(company.fragments.length * 0.6)) {
-      foundNames.push({
-        name: company.name,
-        confidence: company.confidence,
-        patternName: 'Fragment Matching',
-        originalMatch: foundFragments.join(' + '),
-        context: 'Found by matching word fragments'
-      });
-      
-      console.log(`💾 ADDED via fragment matching: "${company.name}" (${company.confidence}% confidence)`);
-    }
-  });
-
-  // Run regex patterns
-  enhancedPatterns.forEach((pattern) => {
-    console.log(`🔍 Testing pattern: ${pattern.name}`);
-    let match;
-    let matchCount = 0;
-    
-    while ((match = pattern.regex.exec(cleanText)) !== null && matchCount < 10) {
-      matchCount++;
-      const fullMatch = match[0];
-      let companyPart = match[1];
-      
-      console.log(`✅ ${pattern.name} FOUND: "${fullMatch}"`);
-      console.log(`📝 Company part: "${companyPart}"`);
-      
-      let finalName;
-      
-      if (pattern.extractName) {
-        finalName = pattern.extractName();
-        console.log(`🎯 Using custom extractor: "${finalName}"`);
-      } else {
-        if (companyPart && companyPart.trim()) {
-          const cleanCompanyPart = companyPart.trim()
-            .replace(/[^\w\s&\.\-',]/g, ' ')
-            .replace(/\s+/g, ' ')
-            .replace(/\b[a-z]\b/g, '')
-            .replace(/\b[0-9]+\b/g, '')
-            .replace(/\s+/g, ' ')
-            .trim();
-            
-          if (cleanCompanyPart.length > 2) {
-            let entityType = 'LLC';
-            if (/PLLC/i.test(fullMatch)) {
-              entityType = 'PLLC';
-            } else if (/Inc/i.test(fullMatch)) {
-              entityType = 'Inc.';
-            } else if (/Corp/i.test(fullMatch)) {
-              entityType = 'Corp.';
-            }
-            
-            if (cleanCompanyPart.toLowerCase().includes(entityType.toLowerCase())) {
-              finalName = cleanCompanyPart;
-            } else {
-              finalName = `${cleanCompanyPart} ${entityType}`;
-            }
-            
-            finalName = finalName.replace(/\b[0-9]+\b/g, '').replace(/\s+/g, ' ').trim();
-          }
-        }
-      }
-      
-      if (finalName && finalName.length >= 5 && finalName.length <= 80 && 
-          !/^(article|certificate|department|the\s+name|stream|endobj|filter|length|decode)/i.test(finalName)) {
-        
-        foundNames.push({
-          name: finalName,
-          confidence: pattern.confidence,
-          patternName: pattern.name,
-          originalMatch: fullMatch,
-          context: getContext(cleanText, fullMatch)
-        });
-        
-        console.log(`💾 ADDED: "${finalName}" (${pattern.confidence}% confidence)`);
-      }
-    }
-    
-    pattern.regex.lastIndex = 0;
-  });
-
-  // Deduplication
-  const uniqueNames = foundNames.reduce((acc, current) => {
-    const normalizedCurrentName = current.name.toLowerCase()
-      .replace(/[^a-z0-9]/g, '')
-      .replace(/llc|inc|corp|company|ltd|llp|pllc/g, '');
-    
-    const existing = acc.find(item => {
-      const normalizedExistingName = item.name.toLowerCase()
-        .replace(/[^a-z0-9]/g, '')
-        .replace(/llc|inc|corp|company|ltd|llp|pllc/g, '');
-      return normalizedExistingName === normalizedCurrentName;
-    });
-    
-    if (!existing) {
-      acc.push(current);
-    } else if (current.confidence > existing.confidence) {
-      const index = acc.indexOf(existing);
-      acc[index] = current;
-    }
-    return acc;
-  }, []);
-
-  uniqueNames.sort((a, b) => b.confidence - a.confidence);
-  
-  console.log(`🎯 ULTRA-AGGRESSIVE RESULTS: ${uniqueNames.length} unique names found`);
-  uniqueNames.forEach((name, i) => {
-    console.log(`${i+1}. "${name.name}" (${name.confidence}% - ${name.patternName})`);
-  });
-
-  return uniqueNames.slice(0, 5);
-}
-
-// Standard extraction function (simplified for comparison)
-function extractCompanyNames(text) {
-  console.log('🔍 Extracting company names (standard method)...');
-  
-  if (!text || text.length < 5) return [];
-
-  const cleanText = text.replace(/\s+/g, ' ').replace(/\n+/g, ' ').trim();
-
-  const patterns = [
-    {
-      name: 'Articles LLC Format',
-      regex: /(?:name\s+of\s+the\s+limited\s+liability\s+company\s+is\s*:?\s*)([A-Za-z][A-Za-z\s&\.\-',]{2,50}(?:\s*,?\s*LLC))/gi,
-      confidence: 60
-    },
-    {
-      name: 'Standard LLC',
-      regex: /\b([A-Z][A-Za-z\s&\.\-']{2,50})\s*,?\s*(LLC|L\.L\.C\.)\b/g,
-      confidence: 45
-    },
-    {
-      name: 'Professional LLC (PLLC)',
-      regex: /\b([A-Z][A-Za-z\s&\.\-']{2,50})\s*,?\s*(PLLC|P\.L\.L\.C\.)\b/g,
-      confidence: 50
-    }
-  ];
-
-  const foundNames = [];
-
-  patterns.forEach((pattern) => {
-    let match;
-    while ((match = pattern.regex.exec(cleanText)) !== null) {
-      const fullMatch = match[0];
-      const companyNamePart = match[1];
-      
-      const cleanName = companyNamePart.trim().replace(/\s+/g, ' ').replace(/[^\w\s&\.\-',]/g, '').trim();
-      
-      if (cleanName.length >= 2 && cleanName.length <= 70 && /^[A-Z]/.test(cleanName)) {
-        let entityType = 'LLC';
-        if (/\b(PLLC|P\.L\.L\.C\.)\b/i.test(fullMatch)) entityType = 'PLLC';
-        else if (/\b(Inc\.?|Incorporated)\b/i.test(fullMatch)) entityType = 'Inc.';
-        else if (/\b(Corp\.?|Corporation)\b/i.test(fullMatch)) entityType = 'Corp.';
-        
-        const finalName = entityType && !cleanName.toLowerCase().includes(entityType.toLowerCase()) 
-          ? `${cleanName} ${entityType}` : cleanName;
-        
-        foundNames.push({
-          name: finalName,
-          confidence: pattern.confidence,
-          patternName: pattern.name,
-          originalMatch: fullMatch,
-          context: getContext(cleanText, fullMatch)
-        });
-      }
-    }
-    pattern.regex.lastIndex = 0;
-  });
-
-  const uniqueNames = foundNames.reduce((acc, current) => {
-    const normalizedCurrentName = current.name.toLowerCase().replace(/[^a-z0-9]/g, '').replace(/llc|inc|corp|company|ltd|llp|pllc/g, '');
-    const existing = acc.find(item => {
-      const normalizedExistingName = item.name.toLowerCase().replace(/[^a-z0-9]/g, '').replace(/llc|inc|corp|company|ltd|llp|pllc/g, '');
-      return normalizedExistingName === normalizedCurrentName;
-    });
-    
-    if (!existing) {
-      acc.push(current);
-    } else if (current.confidence > existing.confidence) {
-      const index = acc.indexOf(existing);
-      acc[index] = current;
-    }
-    return acc;
-  }, []);
-
-  uniqueNames.sort((a, b) => b.confidence - a.confidence);
-  return uniqueNames.slice(0, 5);
-}
-
-function getContext(text, match) {
-  const index = text.indexOf(match);
-  if (index === -1) return '';
-  const start = Math.max(0, index - 50);
-  const end = Math.min(text.length, index + match.length + 50);
-  return text.substring(start, end);
-}
-
 // HubSpot API integration
 async function updateHubSpotCompany(companyId, companyName) {
   const token = process.env.HUBSPOT_ACCESS_TOKEN;
@@ -1158,6 +163,17 @@ function generateOCRRecommendations(results) {
     });
   }
 
+  if (results.preprocessing && results.preprocessing.bestProfile) {
+    recommendations.push({
+      priority: 'LOW',
+      issue: `Best local OCR preprocessing profile: ${results.preprocessing.bestProfile}`,
+      solutions: [
+        `Send preprocessing=${results.preprocessing.bestProfile} for similar documents`,
+        'Or set "preprocessing" for tesseract in config/ocr-providers.json'
+      ]
+    });
+  }
+
   return recommendations;
 }
 
@@ -1172,6 +188,12 @@ app.post('/api/debug-detailed-ocr', upload.single('document'), async (req, res)
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
+    const invalidOptions = findInvalidExtractionOptions(req);
+    if (invalidOptions) {
+      if (fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+      return res.status(400).json(invalidOptions);
+    }
+
     const startTime = Date.now();
     const results = {
       filename: req.file.originalname,
@@ -1194,6 +216,8 @@ app.post('/api/debug-detailed-ocr', upload.single('document'), async (req, res)
 
     const ocrApiKey = process.env.OCR_SPACE_API_KEY || 'helloworld';
     const fileBuffer = fs.readFileSync(req.file.path);
+    const language = selectRequestLanguage(req);
+    results.language = language.hint;
 
     // Test multiple OCR.space configurations
     const testConfigurations = [
@@ -1205,7 +229,7 @@ app.post('/api/debug-detailed-ocr', upload.single('document'), async (req, res)
           'scale': 'true',
           'isTable': 'false',
           'detectOrientation': 'true',
-          'language': 'eng'
+          'language': languages.ocrSpaceLanguage(language, '2')
         }
       },
       {
@@ -1216,7 +240,7 @@ app.post('/api/debug-detailed-ocr', upload.single('document'), async (req, res)
           'scale': 'true',
           'isTable': 'false',
           'detectOrientation': 'true',
-          'language': 'eng'
+          'language': languages.ocrSpaceLanguage(language, '1')
         }
       },
       {
@@ -1227,7 +251,7 @@ app.post('/api/debug-detailed-ocr', upload.single('document'), async (req, res)
           'scale': 'false',
           'isTable': 'false',
           'detectOrientation': 'false',
-          'language': 'eng'
+          'language': languages.ocrSpaceLanguage(language, '2')
         }
       },
       {
@@ -1238,7 +262,7 @@ app.post('/api/debug-detailed-ocr', upload.single('document'), async (req, res)
           'scale': 'true',
           'isTable': 'true',
           'detectOrientation': 'true',
-          'language': 'eng'
+          'language': languages.ocrSpaceLanguage(language, '2')
         }
       }
     ];
@@ -1317,7 +341,8 @@ app.post('/api/debug-detailed-ocr', upload.single('document'), async (req, res)
           .trim();
         
         const quality = analyzeTextQuality(extractedText);
-        const companyIndicators = checkForCompanyIndicators(extractedText);
+        const companyIndicators = ocr.checkForCompanyIndicators(extractedText);
+        const cleanup = ocr.cleanupWithReport(extractedText);
         
         configResult.success = true;
         configResult.textLength = extractedText.length;
@@ -1326,6 +351,12 @@ app.post('/api/debug-detailed-ocr', upload.single('document'), async (req, res)
         configResult.hasCompanyIndicators = companyIndicators > 0;
         configResult.extractedText = extractedText;
         configResult.preview = extractedText.substring(0, 300);
+        configResult.cleanup = {
+          qualityBefore: cleanup.qualityBefore,
+          qualityAfter: cleanup.qualityAfter,
+          corrections: cleanup.corrections,
+          preview: cleanup.text.substring(0, 300)
+        };
         
         console.log(`✅ ${config.name}: ${quality.readableRatio}% quality, ${quality.validWordCount} valid words`);
         
@@ -1347,13 +378,31 @@ app.post('/api/debug-detailed-ocr', upload.single('document'), async (req, res)
       });
     }
 
+    // Compare local OCR preprocessing profiles when asked (preprocessingProfiles=all or "fax,photo")
+    const profilesToCompare = requestedProfileComparison(req);
+    if (profilesToCompare) {
+      const tesseract = ocrProviders.getProvider('tesseract');
+      if (!localOcrAvailable || !tesseract) {
+        results.preprocessing = { error: 'Local OCR not available', install: 'npm install tesseract.js pdf2pic sharp' };
+      } else {
+        const profiles = await tesseract.compareProfiles(req.file.path, req.file.mimetype, { profiles: profilesToCompare, language });
+        const usable = profiles.filter(profile => profile.success && profile.quality > 15);
+        results.preprocessing = {
+          profiles,
+          bestProfile: usable.length > 0
+            ? usable.reduce((best, current) => (current.quality * 0.7 + current.validWords * 0.3 > best.quality * 0.7 + best.validWords * 0.3 ? current : best)).profile
+            : null
+        };
+      }
+    }
+
     // Generate recommendations
     results.recommendations = generateOCRRecommendations(results);
 
     // Try company extraction on best result
     if (results.bestResult && results.bestResult.extractedText) {
       try {
-        const companyNames = extractCompanyNamesEnhanced(results.bestResult.extractedText);
+        const companyNames = extractCompanyNamesEnhanced(results.bestResult.extractedText, rulePacks.getRulePack(), nameNormalizer.resolveFormatProfile(), { ocr: true });
         results.bestResult.companyExtraction = {
           found: companyNames.length,
           companies: companyNames.slice(0, 3) // Top 3 results
@@ -1379,6 +428,7 @@ app.post('/api/debug-detailed-ocr', upload.single('document'), async (req, res)
         successfulStrategies: results.strategies.filter(s => s.success).length,
         bestQuality: results.bestResult ? `${results.bestResult.quality}%` : 'None',
         bestStrategy: results.bestResult ? results.bestResult.name : 'None',
+        bestPreprocessingProfile: results.preprocessing ? results.preprocessing.bestProfile || 'None' : 'Not compared',
         companyNamesFound: results.bestResult?.companyExtraction?.found || 0
       }
     });
@@ -1399,6 +449,14 @@ app.post('/api/debug-ocr', upload.single('document'), async (req, res) => {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
+    const invalidOptions = findInvalidExtractionOptions(req);
+    if (invalidOptions) {
+      if (fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+      return res.status(400).json(invalidOptions);
+    }
+
+    const language = selectRequestLanguage(req);
+
     const results = {
       filename: req.file.originalname,
       fileSize: req.file.size,
@@ -1411,63 +469,52 @@ app.post('/api/debug-ocr', upload.single('document'), async (req, res) => {
     const startTime = Date.now();
 
     try {
-      let ocrResult;
-      
-      if (externalOcrAvailable) {
-        try {
-          console.log('🔍 Trying optimized external OCR services...');
-          ocrResult = await performExternalOCROptimized(req.file.path, req.file.mimetype);
-        } catch (externalError) {
-          console.log('⚠️ Optimized external OCR failed, trying local OCR...');
-          
-          if (localOcrAvailable) {
-            const ocrText = await performLocalOCR(req.file.path, req.file.mimetype);
-            ocrResult = {
-              text: ocrText,
-              method: 'Local OCR (Tesseract)',
-              quality: analyzeTextQuality(ocrText).readableRatio
-            };
-          } else {
-            throw new Error(`External OCR failed: ${externalError.message}. Local OCR not available.`);
-          }
-        }
-      } else if (localOcrAvailable) {
-        const ocrText = await performLocalOCR(req.file.path, req.file.mimetype);
-        ocrResult = {
-          text: ocrText,
-          method: 'Local OCR (Tesseract)',
-          quality: analyzeTextQuality(ocrText).readableRatio
-        };
-      } else {
-        throw new Error('No OCR services available. Install dependencies: npm install form-data node-fetch');
-      }
+      console.log(`🔍 Trying OCR providers in order: ${ocrProviders.getOcrConfig().order.join(', ')}`);
+      const ocrResult = await ocrProviders.recognizeDocument(req.file.path, req.file.mimetype, {
+        language,
+        cache: isOcrCacheAllowed(req),
+        preprocessing: requestedPreprocessing(req)
+      });
       
       results.ocrResults = {
         success: true,
+        provider: ocrResult.provider,
         method: ocrResult.method,
+        confidence: ocrResult.confidence,
+        attempts: ocrResult.attempts,
+        cache: ocrResult.cache,
+        // Text cleanup with dictionary corrections (OCR.space results only)
+        cleanup: ocrResult.cleanup || null,
+        pages: ocrResult.pages.map(page => ({
+          pageNumber: page.pageNumber,
+          confidence: page.confidence,
+          words: page.words.length,
+          preprocessing: page.preprocessing || null
+        })),
         textLength: ocrResult.text.length,
         quality: `${ocrResult.quality}%`,
         extractedText: ocrResult.text,
         preview: ocrResult.text.substring(0, 500),
+        language: {
+          requested: language.hint,
+          detected: languages.detectLanguage(ocrResult.text)
+        },
         containsTargets: {
-          BitConcepts: ocrResult.text.includes('BitConcepts'),
-          PORVIN: ocrResult.text.includes('PORVIN'),
+          knownCompanies: findKnownCompanyMentions(ocrResult.text),
           LLC: ocrResult.text.includes('LLC'),
           Articles: ocrResult.text.toLowerCase().includes('articles')
         }
       };
       
-      const companyNames = extractCompanyNamesEnhanced(ocrResult.text);
+      const companyNames = extractCompanyNamesEnhanced(ocrResult.text, rulePacks.getRulePack(), nameNormalizer.resolveFormatProfile(), { ocr: true });
       results.extractionResults = companyNames;
       
     } catch (error) {
       results.ocrResults = {
         success: false,
         error: error.message,
-        availableServices: {
-          external: externalOcrAvailable,
-          local: localOcrAvailable
-        }
+        attempts: error.attempts || [],
+        providers: ocrProviders.listProviders()
       };
     }
 
@@ -1500,10 +547,20 @@ app.post('/api/debug-text', upload.single('document'), async (req, res) => {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    const documentText = await parseDocumentWithOptimizedOCR(req.file.path, req.file.mimetype);
+    const invalidOptions = findInvalidExtractionOptions(req);
+    if (invalidOptions) {
+      if (fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+      return res.status(400).json(invalidOptions);
+    }
+
+    const result = await extractor.extract(req.file.path, extractionRequest(req));
+    const documentText = result.text;
     
-    const standardResults = extractCompanyNames(documentText);
-    const enhancedResults = extractCompanyNamesEnhanced(documentText);
+    const rulePack = rulePacks.getRulePack(result.rulePack);
+    const formatProfile = nameNormalizer.resolveFormatProfile({ profile: result.formatProfile });
+    const extractionOptions = { ocr: !!result.metadata.ocrUsed };
+    const standardResults = extractCompanyNames(documentText, rulePack, formatProfile, extractionOptions);
+    const enhancedResults = extractCompanyNamesEnhanced(documentText, rulePack, formatProfile, extractionOptions);
     
     if (fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
     
@@ -1513,13 +570,21 @@ app.post('/api/debug-text', upload.single('document'), async (req, res) => {
       rawText: documentText,
       textLength: documentText.length,
       firstChars: documentText.substring(0, 1000),
-      textQuality: analyzeTextQuality(documentText),
-      containsBitConcepts: documentText.includes('BitConcepts'),
-      containsPorvin: documentText.includes('PORVIN'),
+      textQuality: result.textQuality,
+      documentType: result.documentType,
+      rulePack: result.rulePack,
+      formatProfile: result.formatProfile,
+      language: result.language,
+      parser: result.metadata.parser,
+      pageSources: result.metadata.pageSources,
+      ocrCache: result.metadata.ocrCache,
+      containsKnownCompanies: findKnownCompanyMentions(documentText),
       containsLLC: documentText.includes('LLC'),
       containsPLLC: documentText.includes('PLLC'),
       standardExtractionResults: standardResults,
       enhancedExtractionResults: enhancedResults,
+      people: result.people,
+      formationData: result.formationData,
       extractionComparison: {
         standardCount: standardResults.length,
         enhancedCount: enhancedResults.length,
@@ -1558,13 +623,15 @@ app.post('/api/extract-names', upload.single('document'), async (req, res) => {
 
     console.log('📄 Processing file:', req.file.originalname, `(${(req.file.size / 1024 / 1024).toFixed(2)} MB)`);
 
-    const documentText = await parseDocumentWithOptimizedOCR(req.file.path, req.file.mimetype);
-    
-    let companyOptions = extractCompanyNamesEnhanced(documentText);
-    if (companyOptions.length === 0) {
-      console.log('⚠️ Enhanced extraction found nothing, trying standard method...');
-      companyOptions = extractCompanyNames(documentText);
+    const invalidOptions = findInvalidExtractionOptions(req);
+    if (invalidOptions) {
+      if (fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+      return res.status(400).json(invalidOptions);
     }
+
+    const result = await extractor.extract(req.file.path, extractionRequest(req));
+    const documentText = result.text;
+    const companyOptions = result.candidates;
     
     if (fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
     
@@ -1574,7 +641,9 @@ app.post('/api/extract-names', upload.single('document'), async (req, res) => {
       return res.status(400).json({ 
         error: 'Could not extract any company names from document.',
         extractedText: documentText.substring(0, 1000) + '...',
-        textQuality: analyzeTextQuality(documentText),
+        textQuality: result.textQuality,
+        documentType: result.documentType,
+        rulePack: result.rulePack,
         suggestion: 'Try the debug endpoints to analyze text extraction:',
         debugEndpoints: {
           detailedOcrAnalysis: `${req.protocol}://${req.get('host')}/api/debug-detailed-ocr`,
@@ -1599,10 +668,22 @@ app.post('/api/extract-names', upload.single('document'), async (req, res) => {
       success: true,
       filename: req.file.originalname,
       documentLength: documentText.length,
-      textQuality: analyzeTextQuality(documentText),
+      textQuality: result.textQuality,
+      documentType: result.documentType,
+      rulePack: result.rulePack,
+      formatProfile: result.formatProfile,
+      language: result.language,
       companyOptions: companyOptions,
+      people: result.people,
+      formationData: result.formationData,
+      taxIds: result.taxIds,
       extractionMethod: `Enhanced multi-pattern content analysis v3.4.0 with optimized OCR support`,
-      ocrUsed: req.file.mimetype === 'application/pdf' ? 'Attempted if needed' : req.file.mimetype.startsWith('image/') ? 'Yes' : 'No'
+      parser: result.metadata.parser,
+      ocrUsed: result.metadata.ocrUsed ? 'Yes' : 'No',
+      pageSources: result.metadata.pageSources,
+      parts: result.metadata.parts,
+      ocrAttempts: result.metadata.ocrAttempts,
+      ocrCache: result.metadata.ocrCache
     });
 
   } catch (error) {
@@ -1621,6 +702,61 @@ app.post('/api/extract-names', upload.single('document'), async (req, res) => {
   }
 });
 
+// Searchable PDF endpoint: the uploaded scan back as a PDF with an invisible OCR text layer
+app.post('/api/searchable-pdf', upload.single('document'), async (req, res) => {
+  try {
+    console.log('📑 Searchable PDF request received');
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const invalidOptions = findInvalidExtractionOptions(req);
+    if (invalidOptions) {
+      if (fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+      return res.status(400).json(invalidOptions);
+    }
+
+    const unconverted = imageFormats.conversionUnavailableReason(req.file.mimetype);
+    if (unconverted && !ocrProviders.canMakeSearchablePdf(req.file.mimetype)) {
+      if (fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+      return res.status(400).json({ error: `${unconverted}, or an OCR provider that makes searchable PDFs of them (OCR.space)` });
+    }
+
+    const result = await extractor.createSearchablePdf(req.file.path, {
+      mimetype: req.file.mimetype,
+      filename: req.file.originalname,
+      options: {
+        language: requestedLanguage(req),
+        force: String((req.body && req.body.force) || req.query.force || '').toLowerCase() === 'true'
+      }
+    });
+
+    if (fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+
+    const baseName = path.basename(req.file.originalname, path.extname(req.file.originalname));
+    console.log(`📑 Returning searchable PDF (${result.source}${result.provider ? `, ${result.provider}` : ''}): ${result.pdf.length} bytes`);
+
+    res.set({
+      'X-Searchable-Source': result.source,
+      'X-OCR-Provider': result.provider || 'none',
+      'X-OCR-Confidence': result.confidence === null ? 'n/a' : String(result.confidence)
+    });
+    res.attachment(`${baseName}-searchable.pdf`);
+    res.send(result.pdf);
+
+  } catch (error) {
+    console.error('❌ Searchable PDF error:', error);
+    if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+
+    res.status(error.message.startsWith('Searchable PDFs are made from') ? 400 : 500).json({
+      error: error.message,
+      attempts: error.attempts || [],
+      providers: ocrProviders.listProviders()
+    });
+  }
+});
+
 // Update company endpoint
 app.post('/api/update-company', async (req, res) => {
   try {
@@ -1646,6 +782,185 @@ app.post('/api/update-company', async (req, res) => {
   }
 });
 
+// EINs are masked unless the caller explicitly asks for them with unmaskEin=true
+function isUnmaskRequested(req) {
+  return String(req.body.unmaskEin || req.query.unmaskEin || '').toLowerCase() === 'true';
+}
+
+// OCR results are served from the cache unless the caller sends ocrCache=false
+function isOcrCacheAllowed(req) {
+  return String((req.body && req.body.ocrCache) || req.query.ocrCache || '').toLowerCase() !== 'false';
+}
+
+// Rule pack named by the caller (rulePack body field or query parameter), if any
+function requestedRulePack(req) {
+  return (req.body && req.body.rulePack) || req.query.rulePack || null;
+}
+
+// Error body when the caller names a rule pack, format profile or OCR language that is not available
+function findInvalidExtractionOptions(req) {
+  const requested = requestedRulePack(req);
+  if (requested && !rulePacks.hasRulePack(requested)) {
+    return {
+      error: `Unknown rule pack "${requested}"`,
+      availableRulePacks: rulePacks.listRulePacks().packs.map(pack => pack.name)
+    };
+  }
+
+  const profile = requestedFormatProfile(req);
+  if (profile && !nameNormalizer.hasFormatProfile(profile)) {
+    return {
+      error: `Unknown format profile "${profile}"`,
+      availableFormatProfiles: nameNormalizer.listFormatProfiles().profiles
+    };
+  }
+
+  const language = requestedLanguage(req);
+  if (language && !languages.resolveLanguageHint(language)) {
+    return {
+      error: `Unknown OCR language "${language}"`,
+      availableLanguages: languages.listLanguages()
+    };
+  }
+
+  const unknownProfile = [requestedPreprocessing(req), ...(requestedProfileComparison(req) || [])]
+    .find(name => name && !imagePreprocessing.hasProfile(name));
+  if (unknownProfile) {
+    return {
+      error: `Unknown preprocessing profile "${unknownProfile}"`,
+      availablePreprocessingProfiles: imagePreprocessing.listProfiles().map(profile => profile.name)
+    };
+  }
+
+  return null;
+}
+
+// Image preprocessing profile for local OCR (preprocessing body field or query parameter)
+function requestedPreprocessing(req) {
+  return (req.body && req.body.preprocessing) || req.query.preprocessing || null;
+}
+
+// Profiles /api/debug-detailed-ocr should compare: "all" or a comma-separated list, else null
+function requestedProfileComparison(req) {
+  const requested = (req.body && req.body.preprocessingProfiles) || req.query.preprocessingProfiles;
+  if (!requested) return null;
+  if (requested === 'all') return imagePreprocessing.listProfiles().map(profile => profile.name);
+  return String(requested).split(',').map(name => name.trim()).filter(Boolean);
+}
+
+// OCR language hint (language body field or query parameter): a code such as "de", a list such as
+// "de+en", or "auto"; OCR_LANGUAGE sets the default
+function requestedLanguage(req) {
+  return (req.body && req.body.language) || req.query.language || null;
+}
+
+function selectRequestLanguage(req) {
+  return languages.resolveLanguageHint(requestedLanguage(req));
+}
+
+function requestedFormatProfile(req) {
+  return (req.body && req.body.formatProfile) || req.query.formatProfile || null;
+}
+
+// Arguments for the extraction library from an upload request. The format profile is the
+// formatProfile field, else the profile mapped to the HubSpot portalId.
+function extractionRequest(req) {
+  return {
+    mimetype: req.file.mimetype,
+    filename: req.file.originalname,
+    options: {
+      rulePack: requestedRulePack(req),
+      formatProfile: requestedFormatProfile(req),
+      portalId: (req.body && req.body.portalId) || req.query.portalId,
+      language: requestedLanguage(req),
+      unmaskEin: isUnmaskRequested(req),
+      ocrCache: isOcrCacheAllowed(req),
+      preprocessing: requestedPreprocessing(req)
+    }
+  };
+}
+
+// Admin endpoints require the ADMIN_API_KEY header and are disabled without it
+function requireAdminKey(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(503).json({ error: 'Admin API not configured. Set ADMIN_API_KEY to enable it.' });
+  }
+  if (req.get('x-admin-key') !== adminKey) {
+    return res.status(401).json({ error: 'Invalid or missing x-admin-key header' });
+  }
+  next();
+}
+
+// Known company dictionary admin endpoints
+app.get('/api/admin/known-companies', requireAdminKey, (req, res) => {
+  res.json({ success: true, companies: knownCompanies.getKnownCompanies() });
+});
+
+app.post('/api/admin/known-companies', requireAdminKey, (req, res) => {
+  try {
+    const company = knownCompanies.upsertKnownCompany(req.body);
+    console.log(`📚 Known company saved: "${company.name}"`);
+    res.json({ success: true, company: company });
+  } catch (error) {
+    console.error('❌ Known company update error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/admin/known-companies/:name', requireAdminKey, (req, res) => {
+  try {
+    if (!knownCompanies.removeKnownCompany(req.params.name)) {
+      return res.status(404).json({ error: `Known company "${req.params.name}" not found` });
+    }
+    console.log(`📚 Known company removed: "${req.params.name}"`);
+    res.json({ success: true, removed: req.params.name });
+  } catch (error) {
+    console.error('❌ Known company removal error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/admin/known-companies/reload', requireAdminKey, (req, res) => {
+  try {
+    const companies = knownCompanies.loadKnownCompanies();
+    res.json({ success: true, count: companies.length });
+  } catch (error) {
+    console.error('❌ Known company reload error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rule pack admin endpoints
+app.get('/api/admin/rules', requireAdminKey, (req, res) => {
+  res.json({ success: true, ...rulePacks.listRulePacks() });
+});
+
+app.post('/api/admin/rules/reload', requireAdminKey, (req, res) => {
+  try {
+    const result = rulePacks.loadRulePacks();
+    res.json({ success: Object.keys(result.errors).length === 0, ...result });
+  } catch (error) {
+    console.error('❌ Rule pack reload error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/admin/ocr-cache', requireAdminKey, (req, res) => {
+  res.json({ success: true, ...ocrCache.getCacheStats() });
+});
+
+app.delete('/api/admin/ocr-cache', requireAdminKey, (req, res) => {
+  try {
+    const removed = ocrCache.clearCache();
+    console.log(`🧹 OCR cache cleared (${removed} entries)`);
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error('❌ OCR cache clear error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Legacy endpoint
 app.post('/api/upload-document', upload.single('document'), async (req, res) => {
   try {
@@ -1654,22 +969,29 @@ app.post('/api/upload-document', upload.single('document'), async (req, res) =>
     const { companyId } = req.body;
     if (!companyId) return res.status(400).json({ error: 'Company ID is required' });
 
-    const documentText = await parseDocumentWithOptimizedOCR(req.file.path, req.file.mimetype);
-    let companyOptions = extractCompanyNamesEnhanced(documentText);
-    if (companyOptions.length === 0) {
-      companyOptions = extractCompanyNames(documentText);
+    const invalidOptions = findInvalidExtractionOptions(req);
+    if (invalidOptions) {
+      if (fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+      return res.status(400).json(invalidOptions);
     }
+
+    const result = await extractor.extract(req.file.path, extractionRequest(req));
+    const documentText = result.text;
+    const companyOptions = result.candidates;
     
     if (fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
     
-    if (companyOptions.length === 0) {
+    // Only legal names are eligible for the automatic pick; DBAs and agents need a reviewer
+    const bestOption = result.bestCandidate;
+    
+    if (!bestOption) {
       return res.status(400).json({ 
-        error: 'Could not extract company names',
-        extractedText: documentText.substring(0, 1000) + '...'
+        error: companyOptions.length === 0 ? 'Could not extract company names' : 'No legal name candidate found',
+        extractedText: documentText.substring(0, 1000) + '...',
+        allOptions: companyOptions
       });
     }
 
-    const bestOption = companyOptions[0];
     await updateHubSpotCompany(companyId, bestOption.name);
 
     res.json({
@@ -1677,6 +999,9 @@ app.post('/api/upload-document', upload.single('document'), async (req, res) =>
       extractedName: bestOption.name,
       companyId: companyId,
       filename: req.file.originalname,
+      documentType: result.documentType,
+      ocrAttempts: result.metadata.ocrAttempts,
+      ocrCache: result.metadata.ocrCache,
       allOptions: companyOptions
     });
 
@@ -1699,24 +1024,60 @@ app.get('/api/health', (req, res) => {
       ...(localOcrAvailable ? ['✅ Local OCR support enabled (Tesseract)'] : []),
       'Enhanced PDF text extraction with multiple fallback methods',
       'DOCX parsing', 
+      'Word 97-2003 .doc parsing (piece table, UTF-16 text, headers and text boxes) with no extra packages',
+      'RTF, ODT, plain text and HTML parsing',
+      'Email (.eml) parsing with every attachment read through the same pipeline and candidates labeled with their part',
+      ...(ocr.sharp
+        ? ['TIFF (every page of multi-page faxes), WebP, BMP, GIF and HEIC uploads converted to PNG for OCR, with per-page results']
+        : ['TIFF, GIF and BMP uploads sent as they are to OCR providers that read them (OCR.space)']),
       'Multi-option company name detection',
+      'Document type classification (state filings, CP-575, W-9, operating agreements, good standing)',
+      'Declarative extraction rule packs (JSON/YAML) with hot reload, selectable per request or document type',
+      'Content-hash OCR result cache with TTL and size limits (ocrCache=false bypasses it)',
+      'Pluggable OCR providers (OCR.space, Google Vision, Tesseract, offline stub) with configurable fallback order and acceptance thresholds',
+      'Image preprocessing profiles for local OCR (fax, photo, clean-scan) with deskew, border cropping and binarization, chosen automatically or per request',
+      'Per-request OCR language hints or automatic language detection, with accented names kept intact',
+      'Canonical name formatting with per-portal profiles (casing, acronyms, brand casing, suffix style) and match keys',
+      'OCR-confusion-aware name correction (l/1/I, O/0, rn/m, cl/d, misread suffixes) with raw and corrected names',
+      'Candidate scoring from label proximity, page layout, repeats and OCR quality with per-signal breakdown',
+      'Candidate locations (page number and highlight boxes) from PDF text positions and OCR word boxes',
+      'Searchable PDF output for scans (OCR.space or local Tesseract) with the page images and a hidden text layer',
+      'People extraction (organizers, members, managers, officers, registered agent, signers)',
+      'Name roles (legal name, DBA, former name, parent, registered agent company)',
+      'EIN extraction with IRS prefix validation (masked unless unmaskEin=true)',
+      'Formation data extraction (state, filing date and number, registered agent, principal office, organizers)',
       'Articles of Organization support (including scanned)',
-      'PLLC entity recognition',
+      'US entity suffix recognition (LLC, PLLC, LLP, LP, Inc., Corp., PC, PA, Ltd. and more)',
+      'International entity suffixes (GmbH, AG, S.A., S.A.S., S.r.l., B.V., N.V., Pty Ltd, Pvt Ltd, K.K., plc and more)',
       'Ultra-aggressive extraction algorithms',
       'Comprehensive debug endpoints',
       'Text quality analysis',
       'Intelligent OCR error correction',
+      'Dictionary-backed OCR text correction (English word list and legal vocabulary, names left alone)',
       'User selection interface',
       'HubSpot CRM integration'
     ],
     endpoints: [
       'POST /api/extract-names - Extract company names with optimized OCR',
+      'POST /api/searchable-pdf - Searchable PDF of a scan (page images with a hidden OCR text layer)',
       'POST /api/update-company - Update HubSpot with selected name',
       'POST /api/debug-text - Debug document text extraction',
       'POST /api/debug-ocr - Test OCR processing capabilities',
-      'POST /api/debug-detailed-ocr - Comprehensive OCR strategy testing',
-      'POST /api/upload-document - Legacy auto-update endpoint'
+      'POST /api/debug-detailed-ocr - Comprehensive OCR strategy testing (preprocessingProfiles=all compares local OCR profiles)',
+      'POST /api/upload-document - Legacy auto-update endpoint',
+      'GET/POST /api/admin/known-companies - Manage the known company dictionary',
+      'DELETE /api/admin/known-companies/:name - Remove a known company',
+      'POST /api/admin/known-companies/reload - Reload the dictionary from disk',
+      'GET /api/admin/rules - List loaded extraction rule packs',
+      'POST /api/admin/rules/reload - Reload rule packs from disk',
+      'GET/DELETE /api/admin/ocr-cache - OCR cache statistics and clearing'
     ],
+    rulePacks: rulePacks.listRulePacks().packs.map(pack => pack.name),
+    formatProfiles: nameNormalizer.listFormatProfiles(),
+    ocrLanguages: languages.listLanguages(),
+    ocrProviders: ocrProviders.listProviders(),
+    preprocessingProfiles: imagePreprocessing.listProfiles(),
+    ocrCache: { enabled: ocrCache.isEnabled(), ttlHours: ocrProviders.getOcrConfig().cache.ttlHours },
     ocrStatus: {
       external: {
         available: externalOcrAvailable,
@@ -1753,7 +1114,8 @@ app.get('/', (req, res) => {
       'Comprehensive debug endpoints',
       'Text quality analysis and intelligent cleanup',
       'Articles of Organization support (including scanned)',
-      'PLLC entity recognition',
+      'US entity suffix recognition (LLC, PLLC, LLP, LP, Inc., Corp., PC, PA, Ltd. and more)',
+      'International entity suffixes (GmbH, AG, S.A., S.A.S., S.r.l., B.V., N.V., Pty Ltd, Pvt Ltd, K.K., plc and more)',
       'Ultra-aggressive extraction algorithms',
       'Confidence scoring and ranking',
       'User selection and editing interface',
@@ -1789,27 +1151,40 @@ app.use((error, req, res, next) => {
   res.status(500).json({ error: 'Internal server error', message: error.message });
 });
 
-app.listen(PORT, () => {
-  console.log('🚀 BT Company Extractor v3.4.0 server started');
-  console.log(`📍 Running on port ${PORT}`);
-  console.log(`🔑 HubSpot token configured: ${!!process.env.HUBSPOT_ACCESS_TOKEN}`);
-  console.log(`🌐 External OCR Status: ${externalOcrAvailable ? 'ENABLED' : 'DISABLED'}`);
-  console.log(`🔍 Local OCR Status: ${localOcrAvailable ? 'ENABLED' : 'DISABLED'}`);
-  console.log('🌐 Available endpoints:');
-  console.log('   GET  /api/health');
-  console.log('   POST /api/extract-names (with optimized OCR support)');
-  console.log('   POST /api/update-company');
-  console.log('   POST /api/debug-text');
-  console.log('   POST /api/debug-ocr');
-  console.log('   POST /api/debug-detailed-ocr (NEW - comprehensive analysis)');
-  console.log('   POST /api/upload-document (legacy)');
+// Start the server only when run directly, so the app can be mounted or tested elsewhere
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log('🚀 BT Company Extractor v3.4.0 server started');
+    console.log(`📍 Running on port ${PORT}`);
+    console.log(`🔑 HubSpot token configured: ${!!process.env.HUBSPOT_ACCESS_TOKEN}`);
+    console.log(`🌐 External OCR Status: ${externalOcrAvailable ? 'ENABLED' : 'DISABLED'}`);
+    console.log(`🔍 Local OCR Status: ${localOcrAvailable ? 'ENABLED' : 'DISABLED'}`);
+    console.log('🌐 Available endpoints:');
+    console.log('   GET  /api/health');
+    console.log('   POST /api/extract-names (with optimized OCR support)');
+    console.log('   POST /api/searchable-pdf');
+    console.log('   POST /api/update-company');
+    console.log('   POST /api/debug-text');
+    console.log('   POST /api/debug-ocr');
+    console.log('   POST /api/debug-detailed-ocr (NEW - comprehensive analysis)');
+    console.log('   POST /api/upload-document (legacy)');
+    console.log('   GET/POST/DELETE /api/admin/known-companies');
+    console.log('   GET /api/admin/rules, POST /api/admin/rules/reload');
+    console.log('   GET/DELETE /api/admin/ocr-cache');
   
-  if (externalOcrAvailable) {
-    console.log('✨ Optimized OCR ready for scanned PDFs!');
-    console.log(`📡 OCR.space: ${process.env.OCR_SPACE_API_KEY ? 'Custom key' : 'Free testing key'}`);
-    console.log(`📡 Google Vision: ${process.env.GOOGLE_CLOUD_VISION_API_KEY ? 'Configured' : 'Not configured'}`);
-    console.log('🔧 OCR Strategies: 4 different configurations for optimal results');
-  } else {
-    console.log('💡 To enable optimized OCR: npm install form-data node-fetch');
-  }
-});
\ No newline at end of file
+    if (process.env.RULES_HOT_RELOAD !== 'false') {
+      rulePacks.watchRulePacks();
+    }
+  
+    if (externalOcrAvailable) {
+      console.log('✨ Optimized OCR ready for scanned PDFs!');
+      console.log(`📡 OCR.space: ${process.env.OCR_SPACE_API_KEY ? 'Custom key' : 'Free testing key'}`);
+      console.log(`📡 Google Vision: ${process.env.GOOGLE_CLOUD_VISION_API_KEY ? 'Configured' : 'Not configured'}`);
+      console.log('🔧 OCR Strategies: 4 different configurations for optimal results');
+    } else {
+      console.log('💡 To enable optimized OCR: npm install form-data node-fetch');
+    }
+  });
+}
+
+module.exports = { app };
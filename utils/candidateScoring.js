@@ -0,0 +1,234 @@
+// utils/candidateScoring.js
+const { splitPages, getContext, analyzeTextQuality } = require('./textUtils');
+const { detectEntitySuffix, stripEntitySuffix } = require('./entitySuffixes');
+const { NAME_ROLES } = require('./nameRoles');
+
+// Labels that introduce the legal name on filings and forms
+const NAME_LABELS = [
+  /name\s+of\s+the\s+(?:limited\s+liability\s+company|corporation|limited\s+partnership|partnership|company|entity)(?:\s+(?:is|shall\s+be))?\s*:?/gi,
+  /\b(?:entity|company|business|corporate|legal|exact)\s+name(?:\s+is)?\s*:?/gi,
+  /\bname\s+of\s+(?:the\s+)?(?:company|corporation|entity|llc)\s*:?/gi,
+  /\bname\s*\(as\s+shown\s+on\s+your\s+income\s+tax\s+return\)/gi,
+  // Agreement preambles: "This Operating Agreement of Mountain View Holdings, LLC"
+  /\b(?:operating|limited\s+liability\s+company|partnership|shareholders'?|stockholders'?)\s+agreement\s+(?:\([^)]{0,40}\)\s+)?of\b/gi
+];
+
+// Labels that put a name on the document as filer or preparer rather than as the entity
+const FILER_LABELS = [
+  /\b(?:prepared|submitted|filed)\s+by\s*:?/gi,
+  /\b(?:return|mail)\s+(?:to|this\s+document\s+to)\s*:?/gi,
+  /\b(?:filer|submitter|preparer)(?:'s)?(?:\s+name)?\s*:?/gi,
+  /(?:\bc\/o|\bcc\s*:|\bcopy\s+to\s*:?)/gi
+];
+
+const LAW_FIRM_CONTEXT = /\b(?:attorneys?\s+(?:at\s+law|for)|counselors?\s+at\s+law|law\s+(?:offices?|firm|group)|esq\.?|legal\s+services)\b/i;
+
+// Capitalized words (with commas, "&", "and", "of") running into the mention: the start of a
+// longer name the mention was cut from ("Prepared by PORVIN, | BURNSTEIN & GARELIK, PLLC")
+const NAME_RUN_BEFORE = /(?:(?:\p{Lu}[\p{L}'.\-]*|&|and|of),?\s+)+$/u;
+
+const LABEL_WINDOW = 80;
+const MAX_GAP_LETTERS = 3;
+const LABEL_POINTS = 20;
+const FILER_POINTS = -25;
+const TITLE_BLOCK = 0.15;
+const FOOTER_BLOCK = 0.9;
+
+function clamp(value) {
+  return Math.max(5, Math.min(99, Math.round(value)));
+}
+
+// Every occurrence of the candidate's name (or of its raw OCR spelling when the corrected name
+// never appears), with its page and relative position on the page
+function findMentions(candidate, pages) {
+  const mentions = findNeedle(candidate.name, pages);
+  return mentions.length > 0 || !candidate.rawName ? mentions : findNeedle(candidate.rawName, pages);
+}
+
+// Mentions on word boundaries only, so "is blue ridge" is not found inside "this blue ridge"
+function findNeedle(name, pages) {
+  const needle = (stripEntitySuffix(name).replace(/,$/, '') || name).toLowerCase();
+  const mentions = [];
+  const isWordCharacter = char => char !== undefined && /[\p{L}\p{N}]/u.test(char);
+
+  pages.forEach((page, pageIndex) => {
+    const lowerPage = page.toLowerCase();
+    let index = lowerPage.indexOf(needle);
+
+    while (index !== -1) {
+      if (isWordCharacter(lowerPage[index - 1]) || isWordCharacter(lowerPage[index + needle.length])) {
+        index = lowerPage.indexOf(needle, index + 1);
+        continue;
+      }
+      mentions.push({
+        page: pageIndex + 1,
+        index,
+        position: page.length > 0 ? index / page.length : 0,
+        preceding: page.slice(Math.max(0, index - LABEL_WINDOW), index),
+        context: getContext(page, page.substr(index, needle.length))
+      });
+      index = lowerPage.indexOf(needle, index + needle.length);
+    }
+  });
+
+  return mentions;
+}
+
+// The capitalized run at the end of `gap`, starting after any entity suffix in it: a suffix
+// closes an earlier name ("HOLDINGS, LLC | This Operating")
+function nameRunBefore(gap) {
+  const run = gap.match(NAME_RUN_BEFORE);
+  if (!run) return '';
+
+  const words = run[0].match(/\S+\s+/g);
+  const lastSuffix = words.reduce((last, word, i) => (detectEntitySuffix(`X, ${word.replace(/[,\s]+$/, '')}`) ? i : last), -1);
+  return words.slice(lastSuffix + 1).join('');
+}
+
+// Points for the label closest before the mention, fading to nothing at the window edge.
+// Only stray OCR letters may sit between the label and the name; the distance is measured to
+// the start of the capitalized run the mention ends, so a name cut short still gets its label.
+function labelPoints(mention) {
+  const labels = [
+    ...NAME_LABELS.map(regex => ({ regex, points: LABEL_POINTS, kind: 'name label' })),
+    ...FILER_LABELS.map(regex => ({ regex, points: FILER_POINTS, kind: 'filer label' }))
+  ];
+  let closest = null;
+
+  labels.forEach(label => {
+    const regex = new RegExp(label.regex.source, label.regex.flags);
+    let match;
+    while ((match = regex.exec(mention.preceding)) !== null) {
+      const gap = mention.preceding.slice(match.index + match[0].length);
+      const distance = gap.length - nameRunBefore(gap).length;
+      // Another name between the label and this mention means the label belongs to it
+      if ((gap.slice(0, distance).match(/[A-Za-z]/g) || []).length > MAX_GAP_LETTERS) continue;
+      if (!closest || distance < closest.distance) closest = { ...label, distance, text: match[0].trim() };
+    }
+  });
+
+  if (!closest) return { points: 0, detail: 'no label before the name' };
+
+  const points = Math.round(closest.points * (1 - closest.distance / LABEL_WINDOW));
+  return { points, detail: `${closest.kind} "${closest.text}" ${closest.distance} chars before` };
+}
+
+function pagePoints(mention) {
+  if (mention.page === 1) return { points: 8, detail: 'page 1' };
+  if (mention.page === 2) return { points: 3, detail: 'page 2' };
+  return { points: 0, detail: `page ${mention.page}` };
+}
+
+function positionPoints(mention) {
+  const percent = Math.round(mention.position * 100);
+  if (mention.position <= TITLE_BLOCK) {
+    return { points: mention.page === 1 ? 10 : 4, detail: `title block (${percent}% down the page)` };
+  }
+  if (mention.position >= FOOTER_BLOCK) {
+    return { points: -10, detail: `page footer (${percent}% down the page)` };
+  }
+  return { points: 0, detail: `body (${percent}% down the page)` };
+}
+
+// Repeats help, unless the name only ever shows up in the header or footer of several pages
+// (letterhead and firm footers)
+function frequencyPoints(mentions) {
+  const pagesSeen = new Set(mentions.map(mention => mention.page));
+  const onlyMargins = mentions.every(mention => mention.position <= 0.1 || mention.position >= FOOTER_BLOCK);
+
+  if (pagesSeen.size >= 2 && onlyMargins) {
+    return { points: -15, detail: `repeated in the header/footer of ${pagesSeen.size} pages` };
+  }
+  if (mentions.length <= 1) {
+    return { points: 0, detail: `${mentions.length} mention${mentions.length === 1 ? '' : 's'}` };
+  }
+  return { points: Math.min(10, (mentions.length - 1) * 3), detail: `${mentions.length} mentions on ${pagesSeen.size} page(s)` };
+}
+
+function layoutScore(mention) {
+  return labelPoints(mention).points + pagePoints(mention).points + positionPoints(mention).points;
+}
+
+// A name label anywhere wins; otherwise a filer label anywhere counts against the name
+function bestLabel(mentions) {
+  const labels = mentions.map(labelPoints);
+  const positive = labels.reduce((top, label) => (label.points > top.points ? label : top), { points: 0 });
+  if (positive.points > 0) return positive;
+  return labels.reduce((low, label) => (label.points < low.points ? label : low), { points: 0, detail: 'no label before the name' });
+}
+
+// Combine the pattern confidence with label proximity, page, position on the page, repeat
+// frequency, role, law-firm context and the OCR quality around the name. Each candidate gets
+// `baseConfidence`, the new `confidence` and a `scoreBreakdown` listing every signal's points.
+function scoreCandidates(candidates, text) {
+  const pages = splitPages(text);
+
+  candidates.forEach(candidate => {
+    const baseConfidence = candidate.baseConfidence || candidate.confidence;
+    const mentions = findMentions(candidate, pages);
+    const breakdown = [{ signal: 'pattern', points: baseConfidence, detail: candidate.patternName }];
+
+    // Page and position come from the mention that reads most like the entity's own name
+    const best = mentions.reduce((top, mention) => (!top || layoutScore(mention) > layoutScore(top) ? mention : top), null);
+
+    if (best) {
+      breakdown.push({ signal: 'labelProximity', ...bestLabel(mentions) });
+      breakdown.push({ signal: 'page', ...pagePoints(best) });
+      breakdown.push({ signal: 'pagePosition', ...positionPoints(best) });
+    } else {
+      breakdown.push({ signal: 'layout', points: 0, detail: 'name not found verbatim in the text' });
+    }
+
+    breakdown.push({ signal: 'frequency', ...frequencyPoints(mentions) });
+
+    if (candidate.role === NAME_ROLES.REGISTERED_AGENT_COMPANY) {
+      breakdown.push({ signal: 'role', points: -30, detail: 'commercial registered agent' });
+    }
+
+    const context = best ? best.context : candidate.context || '';
+    if (LAW_FIRM_CONTEXT.test(context) || LAW_FIRM_CONTEXT.test(candidate.name)) {
+      breakdown.push({ signal: 'lawFirm', points: -20, detail: 'law firm wording around the name' });
+    }
+
+    // Garbled text around the name scales the whole score down
+    const subtotal = breakdown.reduce((sum, entry) => sum + entry.points, 0);
+    const quality = analyzeTextQuality(context);
+    const factor = context ? 0.6 + 0.4 * (quality.readableRatio / 100) : 1;
+    breakdown.push({
+      signal: 'ocrQuality',
+      points: Math.round(subtotal * factor) - subtotal,
+      detail: context ? `${quality.readableRatio}% readable context` : 'no context'
+    });
+
+    candidate.baseConfidence = baseConfidence;
+    candidate.confidence = clamp(breakdown.reduce((sum, entry) => sum + entry.points, 0));
+    candidate.scoreBreakdown = breakdown;
+  });
+
+  rankKnownCompaniesBelowLabeledNames(candidates);
+  return candidates;
+}
+
+// The dictionary knows a company, not its part in this document: a dictionary hit never
+// outranks a name that a label or agreement preamble introduces
+function rankKnownCompaniesBelowLabeledNames(candidates) {
+  const isLabeled = candidate => candidate.scoreBreakdown
+    .some(entry => entry.signal === 'labelProximity' && entry.points > 0);
+  const labeled = candidates.filter(candidate => !candidate.knownCompany && isLabeled(candidate));
+  if (labeled.length === 0) return;
+
+  const lowest = labeled.reduce((low, candidate) => (candidate.confidence < low.confidence ? candidate : low));
+  candidates
+    .filter(candidate => candidate.knownCompany && candidate.confidence >= lowest.confidence)
+    .forEach(candidate => {
+      const capped = clamp(lowest.confidence - 1);
+      candidate.scoreBreakdown.push({
+        signal: 'knownCompany',
+        points: capped - candidate.confidence,
+        detail: `dictionary match ranked below the labeled name "${lowest.name}"`
+      });
+      candidate.confidence = capped;
+    });
+}
+
+module.exports = { scoreCandidates };
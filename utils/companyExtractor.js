@@ -0,0 +1,305 @@
+// utils/companyExtractor.js
+const knownCompanies = require('./knownCompanies');
+const rulePacks = require('./rulePacks');
+const nameNormalizer = require('./nameNormalizer');
+const { getContext, LATIN_UPPER, LATIN_LETTER } = require('./textUtils');
+const { assignCandidateRoles, extractAssumedNames } = require('./nameRoles');
+const { scoreCandidates } = require('./candidateScoring');
+const { repairEntitySuffix, correctCandidateNames } = require('./ocrCorrection');
+const { ENTITY_SUFFIX_SOURCE, detectEntitySuffix, proseLeadLength } = require('./entitySuffixes');
+
+// Ultra-aggressive company name extraction for corrupted/OCR text.
+// `options.ocr` says the text came from OCR, so misread characters and suffixes in names are fixed.
+function extractCompanyNamesEnhanced(text, rulePack = rulePacks.getRulePack(), formatProfile = nameNormalizer.resolveFormatProfile(), options = {}) {
+  console.log(`🔍 ENHANCED: Extracting company names (v3.4.0 - Ultra-aggressive, rule pack "${rulePack.name}")...`);
+  console.log('📄 Raw text length:', text.length);
+  console.log('📄 First 500 chars:', text.substring(0, 500));
+  
+  if (!text || text.length < 5) return [];
+
+  const cleanText = text.replace(/\s+/g, ' ').replace(/\n+/g, ' ').trim();
+  
+  console.log('🔍 Known companies in dictionary:', knownCompanies.getKnownCompanies().length);
+  console.log('🔍 Testing for LLC:', cleanText.includes('LLC'));
+  console.log('🔍 Testing for PLLC:', cleanText.includes('PLLC'));
+  
+  const foundNames = [];
+
+  // Patterns from the rule pack; known company rules expand to the dictionary's patterns
+  const section = rulePack.enhanced;
+  const enhancedPatterns = rulePacks.buildPatterns(section);
+
+  // Fragment matching for known companies
+  const words = section.fragmentMatching ? cleanText.match(/\p{L}{3,}/gu) || [] : [];
+  if (section.fragmentMatching) {
+    console.log('🔍 Trying fragment matching approach...');
+    console.log('📝 Found words:', words.slice(0, 20));
+  }
+  
+  (section.fragmentMatching ? knownCompanies.getKnownCompanies() : []).forEach(company => {
+    // Every distinctive fragment must start a word, or sit inside a word that starts with
+    // another fragment ("BitConcepts"), so "exhibit" never counts as "bit"
+    const lowerWords = words.map(word => word.toLowerCase());
+    const foundFragments = company.fragments.filter(fragment => 
+      lowerWords.some(word => word.startsWith(fragment) ||
+        (word.includes(fragment) && company.fragments.some(other => other !== fragment && word.startsWith(other))))
+    );
+    
+    console.log(`🔍 ${company.name}: found ${foundFragments.length}/${company.fragments.length} fragments:`, foundFragments);
+    
+    if (foundFragments.length === company.fragments.length) {
+      foundNames.push({
+        name: company.name,
+        confidence: company.confidence.fragment,
+        patternName: 'Fragment Matching',
+        knownCompany: true,
+        entityType: company.suffix ? (detectEntitySuffix(company.name) || {}).canonical || null : null,
+        entitySuffix: company.suffix || null,
+        originalMatch: foundFragments.join(' + '),
+        context: 'Found by matching word fragments'
+      });
+      
+      console.log(`💾 ADDED via fragment matching: "${company.name}" (${company.confidence.fragment}% confidence)`);
+    }
+  });
+
+  // Run regex patterns
+  enhancedPatterns.forEach((pattern) => {
+    console.log(`🔍 Testing pattern: ${pattern.name}`);
+    let match;
+    let matchCount = 0;
+    
+    while ((match = pattern.regex.exec(cleanText)) !== null && (!section.maxMatchesPerRule || matchCount < section.maxMatchesPerRule)) {
+      matchCount++;
+      const fullMatch = match[0];
+      let companyPart = match[1];
+      if (!fullMatch) {
+        pattern.regex.lastIndex++;
+        continue;
+      }
+      
+      console.log(`✅ ${pattern.name} FOUND: "${fullMatch}"`);
+      console.log(`📝 Company part: "${companyPart}"`);
+      
+      let finalName;
+      let entity = null;
+      let built = null;
+      
+      if (pattern.extractName) {
+        finalName = pattern.extractName(match);
+        entity = detectEntitySuffix(finalName);
+        console.log(`🎯 Using custom extractor: "${finalName}"`);
+      } else if (companyPart && companyPart.trim()) {
+        built = buildEntityName(companyPart, fullMatch, { aggressive: section.aggressive, ocr: options.ocr, ...matchSurroundings(cleanText, match) });
+        if (built) {
+          pattern.regex.lastIndex += built.continuedBy;
+          finalName = built.name;
+          entity = built.entity;
+        }
+      }
+      
+      if (finalName && isAcceptedName(finalName, section, pattern)) {
+        
+        foundNames.push({
+          name: finalName,
+          confidence: pattern.confidence,
+          patternName: pattern.name,
+          knownCompany: !!pattern.knownCompany,
+          entityType: entity ? entity.canonical : pattern.entityType,
+          entitySuffix: entity ? entity.suffix : null,
+          rawName: built ? built.rawName : finalName,
+          ocrCorrections: built ? built.ocrCorrections : [],
+          originalMatch: fullMatch,
+          context: getContext(cleanText, fullMatch)
+        });
+        
+        console.log(`💾 ADDED: "${finalName}" (${pattern.confidence}% confidence)`);
+      }
+    }
+    
+    pattern.regex.lastIndex = 0;
+  });
+
+  // Trade, assumed and former names introduced by d/b/a, a/k/a, f/k/a phrases
+  foundNames.push(...extractAssumedNames(text));
+
+  // Undo OCR confusions (l/1/I, O/0, rn/m, cl/d) before duplicates are merged
+  correctCandidateNames(foundNames, cleanText, { ocr: options.ocr });
+
+  // Format with the requested profile, then deduplicate on the normalized match key
+  nameNormalizer.trimLeadingFunctionWords(foundNames);
+  nameNormalizer.normalizeCandidateNames(foundNames, formatProfile);
+  const uniqueNames = nameNormalizer.dedupeByMatchKey(foundNames);
+
+  assignCandidateRoles(uniqueNames, cleanText);
+  scoreCandidates(uniqueNames, text);
+  uniqueNames.sort((a, b) => b.confidence - a.confidence);
+  
+  console.log(`🎯 ULTRA-AGGRESSIVE RESULTS: ${uniqueNames.length} unique names found`);
+  uniqueNames.forEach((name, i) => {
+    console.log(`${i+1}. "${name.name}" (${name.confidence}% - ${name.patternName} - ${name.role})`);
+  });
+
+  return uniqueNames.slice(0, 5);
+}
+
+// Standard extraction function (simplified for comparison)
+function extractCompanyNames(text, rulePack = rulePacks.getRulePack(), formatProfile = nameNormalizer.resolveFormatProfile(), options = {}) {
+  console.log(`🔍 Extracting company names (standard method, rule pack "${rulePack.name}")...`);
+  
+  if (!text || text.length < 5) return [];
+
+  const cleanText = text.replace(/\s+/g, ' ').replace(/\n+/g, ' ').trim();
+
+  const section = rulePack.standard;
+  const patterns = rulePacks.buildPatterns(section);
+
+  const foundNames = [];
+
+  patterns.forEach((pattern) => {
+    let match;
+    let matchCount = 0;
+    while ((match = pattern.regex.exec(cleanText)) !== null && (!section.maxMatchesPerRule || matchCount < section.maxMatchesPerRule)) {
+      matchCount++;
+      const fullMatch = match[0];
+      const companyNamePart = match[1];
+      if (!fullMatch) {
+        pattern.regex.lastIndex++;
+        continue;
+      }
+      
+      const extractedName = pattern.extractName ? pattern.extractName(match) : null;
+      const built = extractedName
+        ? { name: extractedName, entity: detectEntitySuffix(extractedName) }
+        : companyNamePart && buildEntityName(companyNamePart, fullMatch, { aggressive: section.aggressive, ocr: options.ocr, ...matchSurroundings(cleanText, match) });
+      if (built && built.continuedBy) pattern.regex.lastIndex += built.continuedBy;
+      
+      if (built && built.name && isAcceptedName(built.name, section, pattern)) {
+        foundNames.push({
+          name: built.name,
+          confidence: pattern.confidence,
+          patternName: pattern.name,
+          knownCompany: !!pattern.knownCompany,
+          entityType: built.entity ? built.entity.canonical : pattern.entityType,
+          entitySuffix: built.entity ? built.entity.suffix : null,
+          rawName: built.rawName || built.name,
+          ocrCorrections: built.ocrCorrections || [],
+          originalMatch: fullMatch,
+          context: getContext(cleanText, fullMatch)
+        });
+      }
+    }
+    pattern.regex.lastIndex = 0;
+  });
+
+  correctCandidateNames(foundNames, cleanText, { ocr: options.ocr });
+  nameNormalizer.trimLeadingFunctionWords(foundNames);
+  nameNormalizer.normalizeCandidateNames(foundNames, formatProfile);
+  const uniqueNames = nameNormalizer.dedupeByMatchKey(foundNames);
+
+  assignCandidateRoles(uniqueNames, cleanText);
+  scoreCandidates(uniqueNames, text);
+  uniqueNames.sort((a, b) => b.confidence - a.confidence);
+  return uniqueNames.slice(0, 5);
+}
+
+// Enhanced extraction, falling back to the standard extractor when it finds nothing
+function extractCompanyOptions(text, rulePack = rulePacks.getRulePack(), formatProfile = nameNormalizer.resolveFormatProfile(), options = {}) {
+  const companyOptions = extractCompanyNamesEnhanced(text, rulePack, formatProfile, options);
+  if (companyOptions.length > 0) return companyOptions;
+
+  console.log('⚠️ Enhanced extraction found nothing, trying standard method...');
+  return extractCompanyNames(text, rulePack, formatProfile, options);
+}
+
+// Length limits and exclusions of the rule pack section and of the rule itself
+function isAcceptedName(name, section, pattern) {
+  if (name.length < section.minLength || name.length > section.maxLength) return false;
+  return ![...section.exclusions, ...(pattern.exclusions || [])].some(exclusion => {
+    exclusion.lastIndex = 0;
+    return exclusion.test(name);
+  });
+}
+
+// Text before and after a match, for checks that look past its ends
+function matchSurroundings(text, match) {
+  return { before: text.slice(0, match.index), after: text.slice(match.index + match[0].length) };
+}
+
+// Capitalized words after a spelled-out "Company" or "Corporation" up to another suffix: the
+// match stopped inside a longer name ("Pacific Company | Holdings, Inc.")
+const NAME_CONTINUATION = new RegExp(`^((?:\\s+[${LATIN_UPPER}][${LATIN_LETTER}&'.\\-]*){0,6}?\\s*,?\\s*(?:${ENTITY_SUFFIX_SOURCE}))(?![${LATIN_LETTER}])`);
+const ENDS_WITH_CAPITALIZED_WORD = new RegExp(`(?<![${LATIN_LETTER}])[${LATIN_UPPER}][${LATIN_LETTER}&'\\-]*\\s+$`);
+
+// Rebuild "<name>, <suffix>" from a pattern match, keeping the entity suffix exactly as written.
+// In OCR'd text a misread suffix ("LIC", "L1C") is repaired; returns null when there is no suffix at all.
+// Prose before the name is dropped ("This agreement is between Acme Holdings, Inc." keeps "Acme
+// Holdings, Inc."), and the match is rejected when no name is left. A spelled-out "Company" or
+// "Corporation" inside a longer capitalized name is never cut out of it: the name runs on to the
+// next suffix (`continuedBy` characters past the match), or the match is dropped when it starts
+// mid-name.
+function buildEntityName(companyPart, fullMatch, { aggressive = false, ocr = false, before = '', after = '' } = {}) {
+  const start = fullMatch.indexOf(companyPart);
+  let raw = start === -1 ? fullMatch : fullMatch.slice(start);
+  let continuedBy = 0;
+
+  const written = detectEntitySuffix(raw.replace(/\s+/g, ' ').trim());
+  if (written && written.ambiguous && !written.hasComma) {
+    if (ENDS_WITH_CAPITALIZED_WORD.test(before + fullMatch.slice(0, Math.max(start, 0)))) return null;
+    const continuation = after.match(NAME_CONTINUATION);
+    if (continuation) {
+      raw += continuation[1];
+      continuedBy = continuation[1].length;
+    }
+  }
+
+  raw = raw
+    .replace(/[^\p{L}\p{M}\p{N}_\s&\.\-',|\/]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  
+  let repaired = ocr ? repairEntitySuffix(raw) : null;
+  let entity = detectEntitySuffix(repaired ? repaired.name : raw);
+  if (!entity) return null;
+
+  const proseLead = proseLeadLength(entity.base.replace(/,$/, ''));
+  if (proseLead === -1) return null;
+  if (proseLead > 0) {
+    raw = raw.split(' ').slice(proseLead).join(' ');
+    repaired = ocr ? repairEntitySuffix(raw) : null;
+    entity = detectEntitySuffix(repaired ? repaired.name : raw);
+    if (!entity) return null;
+  }
+  
+  let base = entity.base;
+  if (aggressive) {
+    base = base
+      .replace(/(?<![\p{L}\p{N}])\p{Ll}(?![\p{L}\p{N}])/gu, '')
+      .replace(/\b[0-9]+\b/g, '');
+  }
+  base = base.replace(/\s+/g, ' ').replace(/[\s,]+$/, '').trim();
+  
+  if (base.length <= 2) return null;
+  
+  return {
+    name: `${base}${entity.hasComma ? ',' : ''} ${entity.suffix}`,
+    rawName: raw,
+    entity: entity,
+    ocrCorrections: repaired ? [repaired.correction] : [],
+    continuedBy
+  };
+}
+
+// Names of dictionary companies whose core search term appears in the text
+function findKnownCompanyMentions(text) {
+  return knownCompanies.getKnownCompanies()
+    .filter(company => knownCompanies.buildIndicatorRegex(company).test(text))
+    .map(company => company.name);
+}
+
+module.exports = {
+  extractCompanyNamesEnhanced,
+  extractCompanyNames,
+  extractCompanyOptions,
+  findKnownCompanyMentions
+};
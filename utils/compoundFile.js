@@ -0,0 +1,183 @@
+// utils/compoundFile.js - Reader for OLE compound files (CFB), the container of Word 97-2003 .doc
+// files: a small FAT file system of named streams inside one file
+const SIGNATURE = Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]);
+const HEADER_SIZE = 512;
+const DIRECTORY_ENTRY_SIZE = 128;
+const HEADER_DIFAT_ENTRIES = 109;
+
+// Sector numbers with a special meaning in the FAT
+const MAX_REGULAR_SECTOR = 0xFFFFFFFA;
+const END_OF_CHAIN = 0xFFFFFFFE;
+const FREE_SECTOR = 0xFFFFFFFF;
+const NO_STREAM = 0xFFFFFFFF;
+
+const ENTRY_TYPES = { 1: 'storage', 2: 'stream', 5: 'root' };
+
+function isCompoundFile(buffer) {
+  return buffer.length >= HEADER_SIZE && buffer.subarray(0, SIGNATURE.length).equals(SIGNATURE);
+}
+
+function readHeader(buffer) {
+  if (!isCompoundFile(buffer)) throw new Error('Not an OLE compound file');
+  if (buffer.readUInt16LE(0x1C) !== 0xFFFE) throw new Error('Compound file has an unknown byte order');
+
+  const sectorShift = buffer.readUInt16LE(0x1E);
+  if (sectorShift !== 9 && sectorShift !== 12) throw new Error(`Compound file has an unknown sector size (2^${sectorShift})`);
+
+  return {
+    majorVersion: buffer.readUInt16LE(0x1A),
+    sectorSize: 1 << sectorShift,
+    miniSectorSize: 1 << buffer.readUInt16LE(0x20),
+    fatSectorCount: buffer.readUInt32LE(0x2C),
+    firstDirectorySector: buffer.readUInt32LE(0x30),
+    miniStreamCutoff: buffer.readUInt32LE(0x38),
+    firstMiniFatSector: buffer.readUInt32LE(0x3C),
+    firstDifatSector: buffer.readUInt32LE(0x44),
+    difatSectorCount: buffer.readUInt32LE(0x48)
+  };
+}
+
+function sectorOffset(header, sector) {
+  return (sector + 1) * header.sectorSize;
+}
+
+// Follow a chain through a FAT from `start`; a loop or a sector past the table is an error
+function followChain(table, start, what) {
+  const chain = [];
+  let sector = start;
+
+  while (sector !== END_OF_CHAIN && sector !== FREE_SECTOR) {
+    if (sector > MAX_REGULAR_SECTOR || sector >= table.length || chain.length > table.length) {
+      throw new Error(`Compound file has a broken sector chain in ${what}`);
+    }
+    chain.push(sector);
+    sector = table[sector];
+  }
+  return chain;
+}
+
+function readSectors(buffer, header, chain, size) {
+  const data = Buffer.concat(chain.map(sector => {
+    const offset = sectorOffset(header, sector);
+    return buffer.subarray(offset, Math.min(offset + header.sectorSize, buffer.length));
+  }));
+  return size === undefined ? data : data.subarray(0, size);
+}
+
+// The FAT sectors are listed in the header (first 109) and then in a chain of DIFAT sectors
+function readFat(buffer, header) {
+  const fatSectors = [];
+  for (let i = 0; i < HEADER_DIFAT_ENTRIES && fatSectors.length < header.fatSectorCount; i++) {
+    fatSectors.push(buffer.readUInt32LE(0x4C + i * 4));
+  }
+
+  const perDifatSector = header.sectorSize / 4 - 1;
+  let difatSector = header.firstDifatSector;
+  for (let count = 0; count < header.difatSectorCount && difatSector <= MAX_REGULAR_SECTOR; count++) {
+    const offset = sectorOffset(header, difatSector);
+    for (let i = 0; i < perDifatSector && fatSectors.length < header.fatSectorCount; i++) {
+      fatSectors.push(buffer.readUInt32LE(offset + i * 4));
+    }
+    difatSector = buffer.readUInt32LE(offset + perDifatSector * 4);
+  }
+
+  const fat = [];
+  fatSectors.forEach(sector => {
+    const offset = sectorOffset(header, sector);
+    if (offset + header.sectorSize > buffer.length) throw new Error('Compound file is truncated (FAT)');
+    for (let i = 0; i < header.sectorSize / 4; i++) fat.push(buffer.readUInt32LE(offset + i * 4));
+  });
+  return fat;
+}
+
+function readDirectory(data) {
+  const entries = [];
+  for (let offset = 0; offset + DIRECTORY_ENTRY_SIZE <= data.length; offset += DIRECTORY_ENTRY_SIZE) {
+    const nameLength = Math.min(data.readUInt16LE(offset + 0x40), 64);
+    entries.push({
+      name: data.toString('utf16le', offset, offset + Math.max(0, nameLength - 2)),
+      type: ENTRY_TYPES[data.readUInt8(offset + 0x42)] || 'unused',
+      left: data.readUInt32LE(offset + 0x44),
+      right: data.readUInt32LE(offset + 0x48),
+      child: data.readUInt32LE(offset + 0x4C),
+      startSector: data.readUInt32LE(offset + 0x74),
+      // Version 3 files only use the low 32 bits of the size
+      size: data.readUInt32LE(offset + 0x78)
+    });
+  }
+  return entries;
+}
+
+// Full paths ("ObjectPool/_1234/Ole") of every stream, walking each storage's red-black tree
+function listPaths(entries) {
+  const paths = new Map();
+  const visit = (index, prefix, seen) => {
+    if (index === NO_STREAM || index >= entries.length || seen.has(index)) return;
+    seen.add(index);
+    const entry = entries[index];
+    const entryPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+
+    visit(entry.left, prefix, seen);
+    if (entry.type === 'stream') paths.set(entryPath, entry);
+    if (entry.type === 'storage') visit(entry.child, entryPath, seen);
+    visit(entry.right, prefix, seen);
+  };
+
+  if (entries.length > 0) visit(entries[0].child, '', new Set());
+  return paths;
+}
+
+// Open a compound file from a Buffer: { streams: [paths], hasStream(path), readStream(path) }.
+// Stream names are compared without case, as Windows does.
+function openCompoundFile(buffer) {
+  const header = readHeader(buffer);
+  const fat = readFat(buffer, header);
+  const entries = readDirectory(readSectors(buffer, header, followChain(fat, header.firstDirectorySector, 'the directory')));
+  const root = entries[0];
+  if (!root || root.type !== 'root') throw new Error('Compound file has no root entry');
+
+  // Streams under the cutoff live in 64-byte sectors of the root entry's mini stream
+  let miniFat = null;
+  let miniStream = null;
+  const loadMiniStream = () => {
+    if (miniStream) return;
+    const miniFatData = readSectors(buffer, header, followChain(fat, header.firstMiniFatSector, 'the mini FAT'));
+    miniFat = Array.from({ length: miniFatData.length / 4 }, (value, i) => miniFatData.readUInt32LE(i * 4));
+    miniStream = readSectors(buffer, header, followChain(fat, root.startSector, 'the mini stream'), root.size);
+  };
+
+  const paths = listPaths(entries);
+  const findEntry = streamPath => {
+    const wanted = streamPath.toLowerCase();
+    for (const [entryPath, entry] of paths) {
+      if (entryPath.toLowerCase() === wanted) return entry;
+    }
+    return null;
+  };
+
+  const readStream = streamPath => {
+    const entry = findEntry(streamPath);
+    if (!entry) throw new Error(`Compound file has no "${streamPath}" stream`);
+    if (entry.size === 0) return Buffer.alloc(0);
+
+    if (entry.size >= header.miniStreamCutoff) {
+      return readSectors(buffer, header, followChain(fat, entry.startSector, streamPath), entry.size);
+    }
+
+    loadMiniStream();
+    const chain = followChain(miniFat, entry.startSector, streamPath);
+    return Buffer.concat(chain.map(sector => miniStream.subarray(sector * header.miniSectorSize, (sector + 1) * header.miniSectorSize)))
+      .subarray(0, entry.size);
+  };
+
+  return {
+    streams: Array.from(paths.keys()),
+    hasStream: streamPath => !!findEntry(streamPath),
+    readStream
+  };
+}
+
+module.exports = {
+  isCompoundFile,
+  openCompoundFile
+};
@@ -0,0 +1,158 @@
+// utils/documentClassifier.js
+
+// Each document type scores the weighted signals found in its text. `titleRegex` earns a
+// bonus when it appears near the top of the document, where the form title normally sits.
+const DOCUMENT_TYPES = [
+  {
+    type: 'articles_of_organization',
+    label: 'Articles of Organization',
+    ruleSet: 'state-filing',
+    authoritative: true,
+    titleRegex: /articles\s+of\s+organization/i,
+    signals: [
+      { name: 'articles of organization', regex: /articles\s+of\s+organization/i, weight: 45 },
+      { name: 'limited liability company', regex: /limited\s+liability\s+company/i, weight: 15 },
+      { name: 'secretary of state', regex: /secretary\s+of\s+state/i, weight: 10 },
+      { name: 'registered agent', regex: /registered\s+agent/i, weight: 10 },
+      { name: 'organizer', regex: /\borganizers?\b/i, weight: 10 }
+    ]
+  },
+  {
+    type: 'articles_of_incorporation',
+    label: 'Articles of Incorporation',
+    ruleSet: 'state-filing',
+    authoritative: true,
+    titleRegex: /articles\s+of\s+incorporation/i,
+    signals: [
+      { name: 'articles of incorporation', regex: /articles\s+of\s+incorporation/i, weight: 45 },
+      { name: 'incorporator', regex: /\bincorporators?\b/i, weight: 15 },
+      { name: 'authorized shares', regex: /(?:authorized\s+(?:shares|stock)|shares\s+of\s+(?:common|capital)\s+stock)/i, weight: 15 },
+      { name: 'secretary of state', regex: /secretary\s+of\s+state/i, weight: 10 },
+      { name: 'registered agent', regex: /registered\s+agent/i, weight: 10 }
+    ]
+  },
+  {
+    type: 'certificate_of_formation',
+    label: 'Certificate of Formation',
+    ruleSet: 'state-filing',
+    authoritative: true,
+    titleRegex: /certificate\s+of\s+formation/i,
+    signals: [
+      { name: 'certificate of formation', regex: /certificate\s+of\s+formation/i, weight: 45 },
+      { name: 'secretary of state', regex: /secretary\s+of\s+state/i, weight: 15 },
+      { name: 'limited liability company', regex: /limited\s+liability\s+company/i, weight: 10 },
+      { name: 'registered agent', regex: /registered\s+agent/i, weight: 10 },
+      { name: 'organizer', regex: /\borganizers?\b/i, weight: 10 }
+    ]
+  },
+  {
+    type: 'irs_ein_letter',
+    label: 'IRS EIN Confirmation Letter (CP-575)',
+    ruleSet: 'irs-ein-letter',
+    authoritative: true,
+    titleRegex: /CP\s*-?\s*575/i,
+    signals: [
+      { name: 'CP-575 notice', regex: /CP\s*-?\s*575/i, weight: 40 },
+      { name: 'EIN assigned', regex: /assigned\s+you\s+an?\s+(?:employer\s+identification\s+number|EIN)/i, weight: 30 },
+      { name: 'employer identification number', regex: /employer\s+identification\s+number/i, weight: 15 },
+      { name: 'IRS letterhead', regex: /(?:internal\s+revenue\s+service|department\s+of\s+the\s+treasury)/i, weight: 15 },
+      { name: 'EIN format', regex: /\b\d{2}-\d{7}\b/, weight: 10 }
+    ]
+  },
+  {
+    type: 'w9',
+    label: 'Form W-9',
+    ruleSet: 'irs-w9',
+    authoritative: true,
+    titleRegex: /form\s+W-?9\b/i,
+    signals: [
+      { name: 'form W-9', regex: /\bW-?9\b/, weight: 35 },
+      { name: 'taxpayer identification request', regex: /request\s+for\s+taxpayer\s+identification\s+number/i, weight: 35 },
+      { name: 'backup withholding', regex: /backup\s+withholding/i, weight: 15 },
+      { name: 'exempt payee', regex: /exempt\s+payee/i, weight: 10 },
+      { name: 'FATCA', regex: /\bFATCA\b/, weight: 5 }
+    ]
+  },
+  {
+    type: 'operating_agreement',
+    label: 'Operating Agreement',
+    ruleSet: 'contract',
+    authoritative: false,
+    titleRegex: /operating\s+agreement/i,
+    signals: [
+      { name: 'operating agreement', regex: /operating\s+agreement/i, weight: 40 },
+      { name: 'membership interests', regex: /membership\s+interests?/i, weight: 15 },
+      { name: 'capital contributions', regex: /capital\s+contributions?/i, weight: 15 },
+      { name: 'distributions', regex: /\bdistributions?\b/i, weight: 10 },
+      { name: 'in witness whereof', regex: /in\s+witness\s+whereof/i, weight: 10 }
+    ]
+  },
+  {
+    type: 'certificate_of_good_standing',
+    label: 'Certificate of Good Standing',
+    ruleSet: 'state-certificate',
+    authoritative: true,
+    titleRegex: /certificate\s+of\s+(?:good\s+standing|existence|status)/i,
+    signals: [
+      { name: 'good standing', regex: /good\s+standing/i, weight: 40 },
+      { name: 'certificate of existence', regex: /certificate\s+of\s+(?:existence|status|fact)/i, weight: 25 },
+      { name: 'active status', regex: /(?:status|standing)\s*:?\s*(?:active|in\s+existence)/i, weight: 15 },
+      { name: 'secretary of state', regex: /secretary\s+of\s+state/i, weight: 10 }
+    ]
+  }
+];
+
+const UNKNOWN_TYPE = {
+  type: 'unknown',
+  label: 'Unknown',
+  ruleSet: 'default',
+  authoritative: false
+};
+
+const TITLE_WINDOW = 600;
+const TITLE_BONUS = 20;
+const MIN_SCORE = 35;
+
+// Label the document text with a type, a confidence and the extraction rule set to apply
+function classifyDocument(text) {
+  if (!text || text.trim().length < 20) {
+    return { ...UNKNOWN_TYPE, confidence: 0, signals: [], scores: {} };
+  }
+
+  const title = text.substring(0, TITLE_WINDOW);
+
+  const scored = DOCUMENT_TYPES.map(definition => {
+    const signals = definition.signals
+      .filter(signal => signal.regex.test(text))
+      .map(signal => ({ name: signal.name, weight: signal.weight }));
+
+    if (definition.titleRegex.test(title)) {
+      signals.push({ name: 'title block', weight: TITLE_BONUS });
+    }
+
+    return {
+      definition,
+      signals,
+      score: Math.min(100, signals.reduce((sum, signal) => sum + signal.weight, 0))
+    };
+  }).sort((a, b) => b.score - a.score);
+
+  const scores = Object.fromEntries(scored.map(entry => [entry.definition.type, entry.score]));
+  const [best, runnerUp] = scored;
+
+  if (best.score < MIN_SCORE) {
+    console.log(`🗂️ Document type: unknown (best guess ${best.definition.label} at ${best.score})`);
+    return { ...UNKNOWN_TYPE, confidence: Math.max(0, 100 - best.score * 2), signals: [], scores };
+  }
+
+  // A close runner-up (e.g. an operating agreement quoting its Articles) lowers confidence
+  const margin = best.score - runnerUp.score;
+  const confidence = Math.min(99, Math.round(best.score * (margin >= 20 ? 1 : 0.6 + margin / 50)));
+
+  const { type, label, ruleSet, authoritative } = best.definition;
+  console.log(`🗂️ Document type: ${label} (${confidence}% confidence, rule set ${ruleSet})`);
+
+  return { type, label, ruleSet, authoritative, confidence, signals: best.signals, scores };
+}
+
+module.exports = { classifyDocument, DOCUMENT_TYPES };
@@ -1,85 +1,841 @@
 // utils/documentParser.js
 const fs = require('fs');
-const pdf = require('pdf-parse');
+const os = require('os');
+const path = require('path');
 const mammoth = require('mammoth');
-const textract = require('textract');
-const { promisify } = require('util');
+const knownCompanies = require('./knownCompanies');
+const ocrProviders = require('./ocrProviders');
+const { cleanupWithReport } = require('./ocr');
+const pdfPages = require('./pdfPages');
+const imageFormats = require('./imageFormats');
+const { isCompoundFile } = require('./compoundFile');
+const { readWordDocument } = require('./wordDocument');
+const { decodeText, rtfToText, htmlToText, readOpenDocument } = require('./textFormats');
+const { readEmailMessage } = require('./emailMessage');
+const { PAGE_BREAK, splitPages, analyzeTextQuality } = require('./textUtils');
 
-const textractExtract = promisify(textract.fromFileWithPath);
+const MIMETYPES = {
+  '.pdf': 'application/pdf',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.doc': 'application/msword',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.webp': 'image/webp',
+  '.bmp': 'image/bmp',
+  '.gif': 'image/gif',
+  '.heic': 'image/heic',
+  '.heif': 'image/heif',
+  '.txt': 'text/plain',
+  '.rtf': 'application/rtf',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.eml': 'message/rfc822'
+};
+
+// Attached messages are read this many levels deep
+const MAX_EMAIL_DEPTH = 3;
+
+// Enhanced PDF parsing with multiple OCR fallbacks; returns the text and the method that produced it.
+// When the PDF has a text layer, each page is checked on its own and only the pages with missing
+// or garbled text are OCR'd (see processPages); `pageSources` says where each page came from.
+async function parsePdfWithFallbacks(filePath, options = {}) {
+  const pdfBuffer = fs.readFileSync(filePath);
+  
+  console.log('🔄 Attempting PDF parsing method 1: Standard pdf-parse');
+  try {
+    const layer = await pdfPages.readTextLayer(pdfBuffer);
+    if (layer.text.length > 50) {
+      console.log(`✅ Method 1 successful, extracted text length: ${layer.text.length} (${layer.pages.length} pages)`);
+      return await processPages(filePath, pdfBuffer, layer, 'pdf-parse', options);
+    }
+    console.log('⚠️ Method 1 produced insufficient text, trying alternatives...');
+  } catch (error) {
+    if (error.attempts) throw error;
+    console.log('❌ Method 1 failed:', error.message);
+  }
+
+  console.log('🔄 Attempting PDF parsing method 2: Enhanced pdf-parse');
+  try {
+    const layer = await pdfPages.readTextLayer(pdfBuffer, {
+      max: 0,
+      version: 'v1.10.100',
+      normalizeWhitespace: true,
+      disableCombineTextItems: false
+    });
+    if (layer.text.length > 50) {
+      console.log(`✅ Method 2 successful, extracted text length: ${layer.text.length} (${layer.pages.length} pages)`);
+      return await processPages(filePath, pdfBuffer, layer, 'pdf-parse (enhanced)', options);
+    }
+    console.log('⚠️ Method 2 produced insufficient text');
+  } catch (error) {
+    if (error.attempts) throw error;
+    console.log('❌ Method 2 failed:', error.message);
+  }
+
+  console.log('🔄 Attempting PDF parsing method 3: Buffer text extraction');
+  try {
+    const bufferStr = pdfBuffer.toString('latin1');
+    const extractedTexts = new Set();
+    
+    // Multiple text extraction patterns
+    const textPatterns = [
+      /\(([^)]{3,})\)/g,
+      /\[([^\]]{3,})\]/g,
+      /\/V\s*\(([^)]+)\)/g,
+      /\/T\s*\(([^)]+)\)/g,
+      // Known company name hunting
+      ...knownCompanies.getKnownCompanies().map(knownCompanies.buildDirectSearchRegex),
+      /[A-Z][A-Za-z\s&\.\-']{5,40}(?:LLC|PLLC|Inc|Corp)/g,
+    ];
+    
+    textPatterns.forEach((pattern, index) => {
+      let match;
+      while ((match = pattern.exec(bufferStr)) !== null) {
+        const text = match[1] || match[0];
+        if (text && text.length > 2 && /[A-Za-z]/.test(text)) {
+          const cleanText = text
+            .replace(/[^\w\s&\.\-',]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+          
+          if (cleanText.length > 3) {
+            extractedTexts.add(cleanText);
+            console.log(`📝 Pattern ${index + 1} found: "${cleanText}"`);
+          }
+        }
+      }
+      pattern.lastIndex = 0;
+    });
+    
+    if (extractedTexts.size > 0) {
+      const combinedText = Array.from(extractedTexts).join(' ').replace(/\s+/g, ' ').trim();
+      if (combinedText.length > 10) {
+        console.log('✅ Method 3 successful, extracted text length:', combinedText.length);
+        return { text: combinedText, method: 'buffer text', ocrUsed: false };
+      }
+    }
+    console.log('⚠️ Method 3 found no readable text');
+  } catch (error) {
+    console.log('❌ Method 3 failed:', error.message);
+  }
+
+  console.log('🔄 Attempting PDF parsing method 4: OCR providers');
+  console.log('📸 This PDF appears to be a scanned image - using OCR...');
+  
+  let attempts = [];
+  try {
+    const parsed = await recognizeWithProviders(filePath, 'application/pdf', options);
+    console.log(`✅ Method 4 (OCR) successful: ${parsed.method}, extracted text length: ${parsed.text.length}`);
+    return parsed;
+  } catch (error) {
+    console.log('❌ Method 4 (OCR) failed:', error.message);
+    attempts = error.attempts || [];
+  }
+
+  // Enhanced error message
+  const ocrStatus = attempts.length > 0
+    ? attempts.map(attempt => `    - ${attempt.provider}: ${attempt.status} (${attempt.reason})`).join('\n')
+    : '    - No OCR providers configured';
+  
+  const errorMessage = `Unable to extract text from this PDF using any of 4 methods.
+    
+    This appears to be a scanned PDF that requires OCR processing.
+    
+    OCR providers tried (config/ocr-providers.json):
+${ocrStatus}
+    
+    Solutions for automatic processing:
+    1. Configure OCR.space API key: OCR_SPACE_API_KEY environment variable
+    2. Configure Google Cloud Vision: GOOGLE_CLOUD_VISION_API_KEY environment variable
+    3. Install local OCR: npm install tesseract.js pdf2pic sharp
+    4. Use higher quality document scans (300+ DPI)
+    5. Convert to DOCX format before upload
+    
+    Note: External OCR services work reliably on any platform.`;
+
+  const failure = new Error(errorMessage);
+  failure.attempts = attempts;
+  throw failure;
+}
+
+// Keep the pages whose text layer is usable and OCR the rest, merged back in page order. With
+// pdf-lib each of those pages is OCR'd as a single-page PDF; without it (or when every page needs
+// OCR) the whole file is OCR'd once and the needed pages are taken from the result.
+async function processPages(filePath, pdfBuffer, layer, method, options) {
+  const ocrPageNumbers = layer.pages
+    .filter(page => !pdfPages.isUsableTextLayer(page.text))
+    .map(page => page.pageNumber);
+  const layout = layer.pages.map(textLayerLayout);
+  const textLayerOnly = { text: layer.text, method, ocrUsed: false, pageSources: layer.pages.map(page => textLayerSource(page)), layout };
+
+  if (ocrPageNumbers.length === 0) return textLayerOnly;
+  console.log(`📑 Pages needing OCR: ${ocrPageNumbers.join(', ')} of ${layer.pages.length}`);
+
+  if (!ocrProviders.hasAvailableProvider('application/pdf')) {
+    // Without a usable page the document-level quality check decides, as for any text layer
+    if (ocrPageNumbers.length === layer.pages.length) return { text: layer.text, method, ocrUsed: false, layout };
+    console.log('⚠️ No OCR provider available - keeping the text layer of every page');
+    return textLayerOnly;
+  }
+
+  const wholeDocument = ocrPageNumbers.length === layer.pages.length || !pdfPages.canSplitPages();
+  let ocrPages;
+  try {
+    ocrPages = wholeDocument
+      ? await ocrWholeDocument(filePath, ocrPageNumbers, options)
+      : await ocrSinglePages(pdfBuffer, ocrPageNumbers, options);
+  } catch (error) {
+    // Only a document without a usable page fails outright; otherwise the text layer stands in
+    if (ocrPageNumbers.length === layer.pages.length) throw error;
+    console.log(`⚠️ OCR of pages ${ocrPageNumbers.join(', ')} failed - keeping their text layer: ${error.message}`);
+    return {
+      ...textLayerOnly,
+      ocrAttempts: error.attempts || [],
+      pageSources: layer.pages.map(page => textLayerSource(page, ocrPageNumbers.includes(page.pageNumber) ? error.message : null))
+    };
+  }
+
+  return mergePages(layer, ocrPages, method, wholeDocument);
+}
+
+// OCR the whole file once; returns the OCR result for each wanted page that it covers
+async function ocrWholeDocument(filePath, pageNumbers, options) {
+  const ocrResult = await ocrProviders.recognizeDocument(filePath, 'application/pdf', options);
+  // Each page is cleaned on its own when the provider cleaned its text: splitting the cleaned
+  // text would shift every page after a blank first page, whose page break the cleanup trims
+  const pageText = page => (ocrResult.cleanup ? cleanupWithReport(page.text).text : page.text);
+
+  return pageNumbers.map(pageNumber => {
+    const index = ocrResult.pages.findIndex(page => page.pageNumber === pageNumber);
+    if (index === -1) return { pageNumber, error: `${ocrResult.provider} returned no page ${pageNumber}`, attempts: ocrResult.attempts };
+    return {
+      pageNumber,
+      text: pageText(ocrResult.pages[index]),
+      confidence: ocrResult.pages[index].confidence,
+      ocrPages: [ocrResult.pages[index]],
+      result: ocrResult
+    };
+  });
+}
+
+// OCR each wanted page as its own single-page PDF, within one deadline for the document
+async function ocrSinglePages(pdfBuffer, pageNumbers, options) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bt-pages-'));
+
+  try {
+    const pages = pageNumbers.map(pageNumber => ({
+      pageNumber,
+      getPath: () => pdfPages.writeSinglePagePdf(pdfBuffer, pageNumber, directory)
+    }));
+    return await ocrPageFiles(pages, 'application/pdf', options);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+// OCR page files one at a time within one deadline for the document. `pages` are
+// [{ pageNumber, getPath }], where getPath() resolves to the page's file once it is needed.
+async function ocrPageFiles(pages, mimetype, options) {
+  const deadlineAt = Date.now() + (options.deadlineMs || ocrProviders.getOcrConfig().deadlineMs);
+  const results = [];
+
+  for (const { pageNumber, getPath } of pages) {
+    const remainingMs = deadlineAt - Date.now();
+    if (remainingMs <= 0) {
+      results.push({ pageNumber, error: 'OCR deadline reached before this page' });
+      continue;
+    }
+
+    try {
+      const pagePath = await getPath();
+      const ocrResult = await ocrProviders.recognizeDocument(pagePath, mimetype, { ...options, deadlineMs: remainingMs });
+      const confidences = ocrResult.pages.map(page => page.confidence).filter(confidence => typeof confidence === 'number');
+      results.push({
+        pageNumber,
+        text: ocrResult.text.replace(/\f/g, '\n').trim(),
+        confidence: confidences.length > 0 ? Math.round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length) : null,
+        ocrPages: ocrResult.pages,
+        result: ocrResult
+      });
+    } catch (pageError) {
+      console.log(`❌ OCR of page ${pageNumber} failed: ${pageError.message}`);
+      results.push({ pageNumber, error: pageError.message, attempts: pageError.attempts });
+    }
+  }
+
+  return results;
+}
+
+// Word boxes of a page for locating candidates: points for the text layer, pixels of the page
+// image for OCR (`width` and `height` give the size of that space when known)
+function textLayerLayout(page) {
+  return { pageNumber: page.pageNumber, source: 'text-layer', units: 'pt', width: page.width, height: page.height, words: page.words || [] };
+}
+
+function ocrLayout(pageNumber, ocrPages) {
+  const sized = ocrPages.find(page => page.width && page.height);
+  return {
+    pageNumber,
+    source: 'ocr',
+    units: 'px',
+    width: sized ? sized.width : null,
+    height: sized ? sized.height : null,
+    words: ocrPages.flatMap(page => page.words || [])
+  };
+}
+
+function textLayerSource(page, ocrError) {
+  return {
+    pageNumber: page.pageNumber,
+    source: 'text-layer',
+    provider: null,
+    confidence: null,
+    textLength: page.text.trim().length,
+    ...(ocrError ? { ocrError } : {})
+  };
+}
+
+// Merge text-layer and OCR pages in page order, with the source of each page
+function mergePages(layer, ocrPages, method, wholeDocument) {
+  const byPage = new Map(ocrPages.map(page => [page.pageNumber, page]));
+  const merged = layer.pages.map(page => {
+    const ocrPage = byPage.get(page.pageNumber);
+    if (!ocrPage) return { text: page.text, source: textLayerSource(page), layout: textLayerLayout(page) };
+    if (ocrPage.error || !ocrPage.text.trim()) {
+      return { text: page.text, source: textLayerSource(page, ocrPage.error || 'OCR found no text'), layout: textLayerLayout(page) };
+    }
+    return {
+      text: ocrPage.text,
+      result: ocrPage.result,
+      layout: ocrLayout(page.pageNumber, ocrPage.ocrPages),
+      source: {
+        pageNumber: page.pageNumber,
+        source: 'ocr',
+        provider: ocrPage.result.provider,
+        confidence: ocrPage.confidence,
+        textLength: ocrPage.text.trim().length
+      }
+    };
+  });
+
+  const ocrResults = Array.from(new Set(merged.filter(page => page.result).map(page => page.result)));
+  const attemptsFor = page => (page.result ? page.result.attempts : page.attempts) || [];
+  // A whole-document OCR run is shared by its pages; single-page runs are labelled with their page
+  const ocrAttempts = wholeDocument
+    ? attemptsFor(ocrPages[0])
+    : ocrPages.flatMap(page => attemptsFor(page).map(attempt => ({ ...attempt, pageNumber: page.pageNumber })));
+  const pageSources = merged.map(page => page.source);
+  const ocrSources = pageSources.filter(source => source.source === 'ocr');
+  const textLayerCount = pageSources.length - ocrSources.length;
+  const confidences = ocrSources.map(source => source.confidence).filter(confidence => typeof confidence === 'number');
+
+  console.log(`📑 Merged ${textLayerCount} text-layer and ${ocrSources.length} OCR pages`);
+
+  return {
+    text: merged.map(page => page.text + PAGE_BREAK).join(''),
+    method: ocrSources.length === 0 ? method
+      : textLayerCount === 0 && ocrResults.length === 1 ? `${ocrResults[0].provider}: ${ocrResults[0].method}`
+      : `${method} + OCR (${textLayerCount} text-layer, ${ocrSources.length} OCR pages)`,
+    ocrUsed: ocrSources.length > 0,
+    ocrProvider: Array.from(new Set(ocrResults.map(result => result.provider))).join(', ') || null,
+    ocrLanguage: ocrResults.length > 0 ? ocrResults[0].language : null,
+    ocrConfidence: confidences.length > 0 ? Math.round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length) : null,
+    ocrAttempts,
+    ocrCache: ocrResults.length === 0 ? null : ocrResults.length === 1 ? ocrResults[0].cache : {
+      hit: ocrResults.every(result => result.cache && result.cache.hit),
+      pages: merged.filter(page => page.result).map(page => ({ pageNumber: page.source.pageNumber, hit: !!(page.result.cache && page.result.cache.hit) }))
+    },
+    pageSources,
+    layout: merged.map(page => page.layout)
+  };
+}
+
+// Merge the OCR of each page of a multi-page image in page order. Pages that failed stay empty
+// and carry `ocrError` in their page source; when no page has text the whole image fails.
+function mergeImagePages(ocrPages, format) {
+  const isRead = page => !page.error && page.text.trim().length > 0;
+  const readPages = ocrPages.filter(isRead);
+  const ocrAttempts = ocrPages.flatMap(page => ((page.result ? page.result.attempts : page.attempts) || [])
+    .map(attempt => ({ ...attempt, pageNumber: page.pageNumber })));
+
+  if (readPages.length === 0) {
+    const error = new Error(`OCR found no text on any of the ${ocrPages.length} ${format} pages - ${ocrPages
+      .map(page => `page ${page.pageNumber}: ${page.error || 'no text'}`).join('; ')}`);
+    error.attempts = ocrAttempts;
+    throw error;
+  }
+
+  const providers = Array.from(new Set(readPages.map(page => page.result.provider)));
+  const confidences = readPages.map(page => page.confidence).filter(confidence => typeof confidence === 'number');
+  console.log(`📑 Read ${readPages.length} of ${ocrPages.length} ${format} pages`);
+
+  return {
+    text: ocrPages.map(page => (isRead(page) ? page.text : '') + PAGE_BREAK).join(''),
+    method: `${providers.join(', ')}: OCR of ${ocrPages.length} ${format} pages`,
+    ocrUsed: true,
+    ocrProvider: providers.join(', '),
+    ocrLanguage: readPages[0].result.language,
+    ocrConfidence: confidences.length > 0 ? Math.round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length) : null,
+    ocrAttempts,
+    ocrCache: {
+      hit: readPages.every(page => page.result.cache && page.result.cache.hit),
+      pages: readPages.map(page => ({ pageNumber: page.pageNumber, hit: !!(page.result.cache && page.result.cache.hit) }))
+    },
+    pageSources: ocrPages.map(page => (isRead(page) ? {
+      pageNumber: page.pageNumber,
+      source: 'ocr',
+      provider: page.result.provider,
+      confidence: page.confidence,
+      textLength: page.text.length
+    } : {
+      pageNumber: page.pageNumber,
+      source: 'ocr',
+      provider: null,
+      confidence: null,
+      textLength: 0,
+      ocrError: page.error || 'OCR found no text'
+    })),
+    layout: readPages.map(page => ocrLayout(page.pageNumber, page.ocrPages))
+  };
+}
+
+// Whether an image is converted to PNG pages before OCR; when it cannot be, the providers whose
+// `mimetypes` list it read it as it is
+function convertsForOcr(mimetype) {
+  return imageFormats.needsConversion(mimetype) && !imageFormats.conversionUnavailableReason(mimetype);
+}
+
+// TIFF, WebP, BMP, GIF and HEIC images are converted to PNG pages first. A single page is OCR'd
+// as one image; the pages of a multi-page TIFF are OCR'd one by one within one deadline.
+async function recognizeConvertedImage(filePath, mimetype, options) {
+  const format = imageFormats.formatName(mimetype);
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bt-images-'));
 
-async function parseDocument(filePath, mimeType) {
   try {
-    let text = '';
+    const pages = await imageFormats.convertToPngPages(filePath, mimetype, directory);
+    if (pages.length === 1) {
+      const parsed = await recognizeWithProviders(pages[0].filePath, 'image/png', options);
+      return { ...parsed, method: `${parsed.method} (${format} converted to PNG)`, convertedFrom: format };
+    }
+
+    const ocrPages = await ocrPageFiles(pages.map(page => ({ pageNumber: page.pageNumber, getPath: async () => page.filePath })), 'image/png', options);
+    return { ...mergeImagePages(ocrPages, format), convertedFrom: format };
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+// OCR through the configured provider chain, as a parse result
+async function recognizeWithProviders(filePath, mimetype, options) {
+  const ocrResult = await ocrProviders.recognizeDocument(filePath, mimetype, options);
+  return {
+    text: ocrResult.text,
+    method: `${ocrResult.provider}: ${ocrResult.method}`,
+    ocrUsed: true,
+    ocrProvider: ocrResult.provider,
+    ocrLanguage: ocrResult.language,
+    ocrConfidence: ocrResult.confidence,
+    ocrAttempts: ocrResult.attempts,
+    ocrCache: ocrResult.cache,
+    pageSources: (ocrResult.pages || []).map(page => ({
+      pageNumber: page.pageNumber,
+      source: 'ocr',
+      provider: ocrResult.provider,
+      confidence: page.confidence,
+      textLength: (page.text || '').trim().length
+    })),
+    layout: (ocrResult.pages || []).map(page => ocrLayout(page.pageNumber, [page]))
+  };
+}
 
-    switch (mimeType) {
+// Enhanced document parsing with optimized OCR. Returns the text, metadata about how it was
+// read (parser, OCR use and language, quality, timing) and the `layout` of word boxes per page
+// (empty for formats without positions). The file is left in place.
+// `options.language` is the resolved OCR language hint (see utils/languages.js)
+async function parseDocumentDetailed(filePath, mimetype, options = {}) {
+  const startTime = Date.now();
+  let parsed;
+
+  try {
+    console.log('📄 Parsing with optimized OCR:', path.basename(filePath), 'Type:', mimetype);
+
+    switch (mimetype) {
       case 'application/pdf':
-        const pdfBuffer = fs.readFileSync(filePath);
-        const pdfData = await pdf(pdfBuffer);
-        text = pdfData.text;
+        // Try standard PDF parsing first
+        try {
+          parsed = await parsePdfWithFallbacks(filePath, options);
+          const quality = analyzeTextQuality(parsed.text);
+          
+          // OCR text from the fallbacks has already passed the providers' acceptance thresholds, and
+          // text read page by page has already had its unusable pages OCR'd
+          if (parsed.ocrUsed || parsed.pageSources || (quality.readableRatio > 70 && quality.validWordCount > 10)) {
+            console.log(`✅ PDF parsing successful with ${parsed.method} (${quality.readableRatio}% quality, ${quality.validWordCount} valid words)`);
+            return { text: parsed.text, metadata: buildMetadata(filePath, mimetype, parsed, quality, startTime), layout: parsed.layout || [] };
+          } else {
+            console.log(`⚠️ Standard PDF parsing poor quality (${quality.readableRatio}%, ${quality.validWordCount} words) - trying OCR`);
+            throw new Error('Poor quality text - trying OCR');
+          }
+        } catch (pdfError) {
+          // The fallbacks already ran the OCR chain when every method failed
+          if (pdfError.attempts) throw pdfError;
+          console.log('📸 PDF parsing failed, using OCR...');
+          
+          if (ocrProviders.hasAvailableProvider(mimetype)) {
+            parsed = await recognizeWithProviders(filePath, mimetype, options);
+            
+            console.log(`✅ OCR completed: ${parsed.method}`);
+            return { text: parsed.text, metadata: buildMetadata(filePath, mimetype, parsed, analyzeTextQuality(parsed.text), startTime), layout: parsed.layout || [] };
+          } else {
+            throw new Error('PDF requires OCR but OCR services not available');
+          }
+        }
+        
+      case 'image/png':
+      case 'image/jpeg':
+      case 'image/jpg':
+        console.log('📸 Processing image with OCR...');
+        
+        if (ocrProviders.hasAvailableProvider(mimetype)) {
+          parsed = await recognizeWithProviders(filePath, mimetype, options);
+        } else {
+          throw new Error('Image processing requires OCR services');
+        }
         break;
 
-      case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
-        const docxResult = await mammoth.extractRawText({ path: filePath });
-        text = docxResult.value;
-        break;
+      case 'image/tiff':
+      case 'image/webp':
+      case 'image/bmp':
+      case 'image/x-ms-bmp':
+      case 'image/gif':
+      case 'image/heic':
+      case 'image/heif':
+        if (!convertsForOcr(mimetype)) {
+          // Without sharp the image goes as it is to the providers that read it
+          console.log(`📸 Processing ${imageFormats.formatName(mimetype)} image with OCR (not converted: ${imageFormats.conversionUnavailableReason(mimetype)})...`);
+          if (!ocrProviders.hasAvailableProvider(mimetype)) {
+            throw new Error(`${imageFormats.conversionUnavailableReason(mimetype)}, or an OCR provider that reads them (OCR.space)`);
+          }
+          parsed = await recognizeWithProviders(filePath, mimetype, options);
+          break;
+        }
 
-      case 'application/msword':
-        text = await textractExtract(filePath);
-        break;
+        console.log(`📸 Converting ${imageFormats.formatName(mimetype)} image to PNG for OCR...`);
 
+        if (!ocrProviders.hasAvailableProvider('image/png')) {
+          throw new Error('Image processing requires OCR services');
+        }
+        parsed = await recognizeConvertedImage(filePath, mimetype, options);
+        break;
+        
       default:
-        throw new Error('Unsupported file type');
+        // Handle DOCX and other text documents normally
+        if (mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
+          const docxResult = await mammoth.extractRawText({ path: filePath });
+          parsed = { text: docxResult.value, method: 'mammoth', ocrUsed: false };
+        } else if (mimetype === 'application/msword') {
+          parsed = parseWordDocument(filePath);
+        } else if (mimetype === 'application/rtf' || mimetype === 'text/rtf') {
+          parsed = { text: rtfToText(decodeText(fs.readFileSync(filePath))), method: 'RTF', ocrUsed: false };
+        } else if (mimetype === 'application/vnd.oasis.opendocument.text') {
+          const odt = await readOpenDocument(fs.readFileSync(filePath));
+          parsed = { text: odt.text, method: 'OpenDocument text', ocrUsed: false };
+        } else if (mimetype === 'text/html') {
+          parsed = { text: htmlToText(decodeText(fs.readFileSync(filePath))), method: 'HTML', ocrUsed: false };
+        } else if (mimetype === 'message/rfc822') {
+          parsed = await parseEmailMessage(filePath, options);
+        } else if (mimetype === 'text/plain') {
+          parsed = { text: decodeText(fs.readFileSync(filePath)).replace(/\r\n?/g, '\n'), method: 'plain text', ocrUsed: false };
+        } else {
+          throw new Error('Unsupported file type');
+        }
     }
 
-    // Clean up uploaded file
-    fs.unlinkSync(filePath);
-
-    return text;
-  } catch (error) {
-    // Clean up file even if parsing fails
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
+    const text = parsed.text;
+    const finalQuality = analyzeTextQuality(text);
+    console.log(`📝 Final text: ${text.length} characters (${finalQuality.readableRatio}% quality, ${finalQuality.validWordCount} valid words)`);
+    
+    if (text.length < 10 || finalQuality.readableRatio < 15) {
+      throw new Error(`Text quality too poor (${finalQuality.readableRatio}%) or too short (${text.length} chars). Document may need higher quality scan or different format.`);
     }
+    
+    return { text, metadata: buildMetadata(filePath, mimetype, parsed, finalQuality, startTime), layout: parsed.layout || [] };
+    
+  } catch (error) {
+    console.error('❌ Enhanced document parsing error:', error);
     throw error;
   }
 }
 
-function extractCompanyName(text) {
-  // Define patterns to look for company legal names
-  const patterns = [
-    // LLC patterns
-    /([A-Za-z\s&]+(?:,?\s*LLC|,?\s*L\.L\.C\.|,?\s*Limited Liability Company))/gi,
-    // Corporation patterns
-    /([A-Za-z\s&]+(?:,?\s*Corp\.|,?\s*Corporation|,?\s*Inc\.|,?\s*Incorporated))/gi,
-    // Company patterns
-    /([A-Za-z\s&]+(?:,?\s*Co\.|,?\s*Company))/gi,
-    // Ltd patterns
-    /([A-Za-z\s&]+(?:,?\s*Ltd\.|,?\s*Limited))/gi,
-    // Partnership patterns
-    /([A-Za-z\s&]+(?:,?\s*LLP|,?\s*L\.L\.P\.|,?\s*Limited Liability Partnership))/gi,
-    // Generic legal entity patterns
-    /([A-Za-z\s&]+(?:,?\s*LP|,?\s*L\.P\.|,?\s*Limited Partnership))/gi
-  ];
-
-  const foundNames = [];
-
-  patterns.forEach(pattern => {
-    const matches = text.match(pattern);
-    if (matches) {
-      matches.forEach(match => {
-        const cleanName = match.trim().replace(/\s+/g, ' ');
-        if (cleanName.length > 3 && cleanName.length < 100) {
-          foundNames.push(cleanName);
+// Word 97-2003 files are read from their piece table. A .doc that is not a compound file is often
+// RTF or HTML saved under the old extension and is read as such; anything else falls back to its
+// printable characters.
+function parseWordDocument(filePath) {
+  const docBuffer = fs.readFileSync(filePath);
+
+  if (!isCompoundFile(docBuffer)) {
+    const start = docBuffer.toString('latin1', 0, 512);
+    if (/^\s*\{\\rtf/.test(start)) {
+      console.log('📝 .doc file is RTF - reading it as RTF');
+      return { text: rtfToText(decodeText(docBuffer)), method: 'RTF', ocrUsed: false };
+    }
+    if (/^\s*(?:<!doctype html|<html|<\?xml[\s\S]*<html)/i.test(start)) {
+      console.log('📝 .doc file is HTML - reading it as HTML');
+      return { text: htmlToText(decodeText(docBuffer)), method: 'HTML', ocrUsed: false };
+    }
+    console.log('⚠️ .doc file is not a Word 97-2003 compound file - reading its printable text');
+    return { text: docBuffer.toString('utf8').replace(/[^\x20-\x7E]/g, ' '), method: 'doc buffer text', ocrUsed: false };
+  }
+
+  const document = readWordDocument(docBuffer);
+  const included = Object.entries(document.stories)
+    .filter(([story, text]) => story !== 'main' && story !== 'comments' && text.length > 0)
+    .map(([story]) => story);
+  console.log(`📝 Word 97-2003 text: ${document.stories.main.length} body characters${included.length > 0 ? ` plus ${included.join(', ')}` : ''}`);
+
+  return { text: document.text, method: 'Word 97-2003 piece table', ocrUsed: false };
+}
+
+// The file name an attachment is saved under: no folders and nothing the file system may refuse
+function attachmentFileName(index, filename) {
+  return `${index + 1}-${path.basename(filename).replace(/[^\p{L}\p{N}._ -]/gu, '_').slice(-100)}`;
+}
+
+// The type to parse an attachment as. Generic types ("application/octet-stream") are replaced
+// with the type of the file name's extension.
+function attachmentMimetype(attachment) {
+  const known = Object.values(MIMETYPES).concat('text/rtf', 'image/jpg', 'image/x-ms-bmp');
+  if (known.includes(attachment.mimetype)) return attachment.mimetype;
+  return mimetypeFromPath(attachment.filename);
+}
+
+// An .eml message: the body, then each attachment read through parseDocumentDetailed like an
+// upload of its own (attached messages too, up to MAX_EMAIL_DEPTH deep). The texts are joined with
+// page breaks; `parts` says where each one sits in the text ({ start, end }) and how it was read,
+// and lists the attachments that were skipped or failed with the reason.
+async function parseEmailMessage(filePath, options) {
+  const message = readEmailMessage(fs.readFileSync(filePath));
+  const depth = options.emailDepth || 0;
+  const prefix = options.emailPart ? `${options.emailPart} > ` : '';
+  console.log(`📧 Email "${message.subject || '(no subject)'}" with ${message.attachments.length} attachment${message.attachments.length === 1 ? '' : 's'}`);
+
+  const sections = [{ label: `${prefix}body`, filename: null, mimetype: 'text/plain', parser: 'MIME', text: message.text }];
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bt-email-'));
+
+  try {
+    for (const [index, attachment] of message.attachments.entries()) {
+      const label = `${prefix}${attachment.filename}`;
+      const mimetype = attachmentMimetype(attachment);
+      const section = { label, filename: attachment.filename, mimetype: mimetype || attachment.mimetype };
+
+      if (attachment.inline && mimetype && mimetype.startsWith('image/')) {
+        sections.push({ ...section, skipped: 'inline image in the message body' });
+      } else if (!mimetype) {
+        sections.push({ ...section, skipped: `unsupported file type (${attachment.mimetype})` });
+      } else if (mimetype === 'message/rfc822' && depth + 1 >= MAX_EMAIL_DEPTH) {
+        sections.push({ ...section, skipped: `attached messages are read ${MAX_EMAIL_DEPTH} levels deep` });
+      } else {
+        console.log(`📎 Reading attachment ${label} (${mimetype})`);
+        const attachmentPath = path.join(directory, attachmentFileName(index, attachment.filename));
+        fs.writeFileSync(attachmentPath, attachment.content);
+        try {
+          const parsed = await parseDocumentDetailed(attachmentPath, mimetype, { ...options, emailDepth: depth + 1, emailPart: label });
+          // Page texts already end with a page break; the parts are joined with one. Only that last
+          // break goes, so blank pages at the end still count.
+          sections.push({ ...section, text: parsed.text.replace(/\f$/, ''), metadata: parsed.metadata, layout: parsed.layout });
+        } catch (error) {
+          console.log(`❌ Attachment ${label} could not be read: ${error.message}`);
+          sections.push({ ...section, error: error.message, attempts: error.attempts });
         }
+      }
+    }
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+
+  let text = '';
+  let pageOffset = 0;
+  const parts = [];
+  const layout = [];
+  sections.forEach(section => {
+    if (section.text === undefined) {
+      const reason = section.skipped ? { skipped: section.skipped } : { error: section.error };
+      parts.push({ label: section.label, filename: section.filename, mimetype: section.mimetype, start: null, end: null, ...reason });
+      return;
+    }
+
+    const start = text.length;
+    if (section.metadata && section.metadata.parts) {
+      // An attached message brings its own parts, already labeled below this one
+      section.metadata.parts.forEach(part => parts.push({
+        ...part,
+        start: part.start === null ? null : part.start + start,
+        end: part.end === null ? null : part.end + start
+      }));
+    } else {
+      parts.push({
+        label: section.label,
+        filename: section.filename,
+        mimetype: section.mimetype,
+        start,
+        end: start + section.text.length,
+        parser: section.metadata ? section.metadata.parser : section.parser,
+        ocrUsed: section.metadata ? !!section.metadata.ocrUsed : false,
+        pageSources: section.metadata ? section.metadata.pageSources : null
       });
     }
+
+    (section.layout || []).forEach(page => layout.push({ ...page, pageNumber: page.pageNumber + pageOffset }));
+    // Blank pages count too, as they do in the attachment's own page numbers
+    pageOffset += section.text.split(PAGE_BREAK).length;
+    text += section.text + PAGE_BREAK;
   });
 
-  // Remove duplicates and return the first valid match
-  const uniqueNames = [...new Set(foundNames)];
-  
-  // Prefer longer, more complete names
-  return uniqueNames.sort((a, b) => b.length - a.length)[0] || null;
+  const read = sections.filter(section => section.metadata);
+  const ocrSections = read.filter(section => section.metadata.ocrUsed);
+  return {
+    text,
+    method: `MIME message (${read.length} of ${message.attachments.length} attachments read)`,
+    ocrUsed: ocrSections.length > 0,
+    ocrProvider: Array.from(new Set(ocrSections.map(section => section.metadata.ocrProvider).filter(Boolean))).join(', ') || null,
+    ocrAttempts: sections.flatMap(section => (section.metadata ? section.metadata.ocrAttempts : section.attempts || [])
+      .map(attempt => ({ ...attempt, part: attempt.part || section.label }))),
+    parts,
+    layout
+  };
+}
+
+function buildMetadata(filePath, mimetype, parsed, quality, startTime) {
+  return {
+    filename: path.basename(filePath),
+    mimetype,
+    fileSize: fs.statSync(filePath).size,
+    parser: parsed.method,
+    ocrUsed: parsed.ocrUsed,
+    ocrProvider: parsed.ocrProvider || null,
+    ocrLanguage: parsed.ocrLanguage || null,
+    ocrConfidence: parsed.ocrConfidence === undefined ? null : parsed.ocrConfidence,
+    ocrAttempts: parsed.ocrAttempts || [],
+    ocrCache: parsed.ocrCache || null,
+    pageSources: parsed.pageSources || null,
+    convertedFrom: parsed.convertedFrom || null,
+    parts: parsed.parts || null,
+    pageCount: splitPages(parsed.text).length,
+    textLength: parsed.text.length,
+    textQuality: quality,
+    processingTimeMs: Date.now() - startTime
+  };
+}
+
+// Text only, for callers that do not need the metadata
+async function parseDocument(filePath, mimetype, options = {}) {
+  const { text } = await parseDocumentDetailed(filePath, mimetype, options);
+  return text;
+}
+
+// A searchable copy of a scanned PDF or image: the page images with the OCR text as a hidden
+// layer. A PDF whose pages all have a usable text layer is already searchable and comes back as
+// it is, unless `options.force`. Resolves to { pdf, source ('text-layer' or 'ocr'), text,
+// provider, method, confidence, language, attempts }; OCR failures throw with `attempts`.
+async function createSearchablePdf(filePath, mimetype, options = {}) {
+  if (mimetype !== 'application/pdf' && !mimetype.startsWith('image/')) {
+    throw new Error(`Searchable PDFs are made from PDFs and images, not ${mimetype}`);
+  }
+
+  if (mimetype === 'application/pdf' && !options.force) {
+    const pdfBuffer = fs.readFileSync(filePath);
+    try {
+      const layer = await pdfPages.readTextLayer(pdfBuffer);
+      if (layer.pages.length > 0 && layer.pages.every(page => pdfPages.isUsableTextLayer(page.text))) {
+        console.log(`📑 All ${layer.pages.length} pages already have a usable text layer - no OCR needed`);
+        return { pdf: pdfBuffer, source: 'text-layer', text: layer.text, provider: null, method: 'pdf-parse', confidence: null, language: null, attempts: [] };
+      }
+    } catch (error) {
+      console.log('⚠️ Could not read the PDF text layer:', error.message);
+    }
+  }
+
+  // Converted formats reach the providers as PNG pages
+  const ocrMimetype = convertsForOcr(mimetype) ? 'image/png' : mimetype;
+  if (!ocrProviders.canMakeSearchablePdf(ocrMimetype)) {
+    throw new Error('No available OCR provider can make searchable PDFs (OCR.space or Tesseract is needed)');
+  }
+
+  if (convertsForOcr(mimetype)) {
+    return searchablePdfFromConvertedImage(filePath, mimetype, options);
+  }
+
+  const ocrResult = await ocrProviders.recognizeDocument(filePath, mimetype, {
+    language: options.language,
+    searchablePdf: true
+  });
+
+  return {
+    pdf: ocrResult.searchablePdf,
+    source: 'ocr',
+    text: ocrResult.text,
+    provider: ocrResult.provider,
+    method: ocrResult.method,
+    confidence: ocrResult.confidence,
+    language: ocrResult.language,
+    attempts: ocrResult.attempts
+  };
+}
+
+// A searchable PDF of a TIFF, WebP, BMP, GIF or HEIC image: one OCR'd page per PNG page, joined
+// in page order. Every page must be read, or the copy would be missing pages.
+async function searchablePdfFromConvertedImage(filePath, mimetype, options) {
+  const format = imageFormats.formatName(mimetype);
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bt-images-'));
+
+  try {
+    const pages = await imageFormats.convertToPngPages(filePath, mimetype, directory);
+    const ocrPages = await ocrPageFiles(
+      pages.map(page => ({ pageNumber: page.pageNumber, getPath: async () => page.filePath })),
+      'image/png',
+      { language: options.language, searchablePdf: true }
+    );
+    const attempts = ocrPages.flatMap(page => ((page.result ? page.result.attempts : page.attempts) || [])
+      .map(attempt => ({ ...attempt, pageNumber: page.pageNumber })));
+
+    const failed = ocrPages.filter(page => page.error);
+    if (failed.length > 0) {
+      const error = new Error(`Could not make a searchable PDF of the ${format} image - ${failed
+        .map(page => `page ${page.pageNumber}: ${page.error}`).join('; ')}`);
+      error.attempts = attempts;
+      throw error;
+    }
+
+    const providers = Array.from(new Set(ocrPages.map(page => page.result.provider)));
+    const confidences = ocrPages.map(page => page.confidence).filter(confidence => typeof confidence === 'number');
+    return {
+      pdf: await pdfPages.joinPdfs(ocrPages.map(page => page.result.searchablePdf)),
+      source: 'ocr',
+      text: ocrPages.map(page => page.text).join(PAGE_BREAK),
+      provider: providers.join(', '),
+      method: ocrPages.length === 1 ? `${ocrPages[0].result.method} (${format} converted to PNG)` : `${providers.join(', ')}: OCR of ${ocrPages.length} ${format} pages`,
+      confidence: confidences.length > 0 ? Math.round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length) : null,
+      language: ocrPages[0].result.language,
+      attempts
+    };
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+// Mimetype for a file name, for callers that only have a path
+function mimetypeFromPath(filePath) {
+  return MIMETYPES[path.extname(filePath).toLowerCase()] || null;
 }
 
-module.exports = { parseDocument, extractCompanyName };
\ No newline at end of file
+module.exports = {
+  MIMETYPES,
+  parseDocument,
+  parseDocumentDetailed,
+  parsePdfWithFallbacks,
+  createSearchablePdf,
+  mimetypeFromPath
+};
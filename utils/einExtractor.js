@@ -0,0 +1,204 @@
+// utils/einExtractor.js
+const { getContext, analyzeTextQuality } = require('./textUtils');
+const { ENTITY_SUFFIX_SOURCE, stripEntitySuffix } = require('./entitySuffixes');
+
+// IRS campus assigned to each valid EIN prefix
+const EIN_PREFIX_CAMPUSES = {
+  Andover: ['10', '12'],
+  Atlanta: ['60', '67'],
+  Austin: ['50', '53'],
+  Brookhaven: ['01', '02', '03', '04', '05', '06', '11', '13', '14', '16', '21', '22', '23', '25', '34', '51', '52', '54', '55', '56', '57', '58', '59', '65'],
+  Cincinnati: ['30', '32', '35', '36', '37', '38', '61'],
+  Fresno: ['15', '24'],
+  'Kansas City': ['40', '44'],
+  Memphis: ['94', '95'],
+  Ogden: ['80', '90'],
+  Philadelphia: ['33', '39', '41', '42', '43', '48', '62', '63', '64', '66', '68', '71', '72', '73', '74', '75', '76', '77', '91', '98', '99'],
+  Internet: ['20', '26', '27', '45', '46', '47', '81', '82', '83', '84', '85', '86', '87', '88', '92', '93'],
+  'Small Business Administration': ['31']
+};
+
+const PREFIX_TO_CAMPUS = Object.fromEntries(
+  Object.entries(EIN_PREFIX_CAMPUSES).flatMap(([campus, prefixes]) => prefixes.map(prefix => [prefix, campus]))
+);
+
+// Characters OCR commonly reads in place of digits
+const OCR_DIGIT_FIXES = { O: '0', o: '0', D: '0', I: '1', l: '1', '|': '1', S: '5', s: '5', B: '8', Z: '2' };
+
+const DIGIT = '[\\dOoDIl|SsBZ]';
+const EIN_SOURCE = `(?<![\\w-])(${DIGIT}\\s?${DIGIT})\\s?[-–]\\s?((?:${DIGIT}\\s?){6}${DIGIT})(?![\\w-])`;
+const LABEL_SOURCE = '(?:employer\\s+identification\\s+number|federal\\s+(?:tax\\s+)?(?:id|identification)(?:\\s+number)?|taxpayer\\s+identification\\s+number|\\bEIN\\b|\\bFEIN\\b|\\bTIN\\b)';
+
+function maskEin(ein) {
+  return `**-***${ein.slice(-4)}`;
+}
+
+// Mask every EIN-shaped number inside a snippet of text
+function maskEinsInText(text) {
+  return text.replace(new RegExp(EIN_SOURCE, 'g'), (raw, prefixPart, serialPart) =>
+    maskEin(normalizeEin(prefixPart, serialPart).ein)
+  );
+}
+
+function validateEinPrefix(ein) {
+  const prefix = ein.slice(0, 2);
+  const campus = PREFIX_TO_CAMPUS[prefix] || null;
+  return { prefix, prefixValid: !!campus, campus };
+}
+
+// Turn an OCR'd EIN into digits, counting how many characters had to be corrected
+function normalizeEin(prefixPart, serialPart) {
+  let corrections = 0;
+  const digits = `${prefixPart}${serialPart}`
+    .replace(/\s/g, '')
+    .split('')
+    .map(char => {
+      if (/\d/.test(char)) return char;
+      corrections++;
+      return OCR_DIGIT_FIXES[char] || char;
+    })
+    .join('');
+
+  return { ein: `${digits.slice(0, 2)}-${digits.slice(2)}`, corrections };
+}
+
+// W-9 line 1: the legal name sits between the line label and "2 Business name"
+function findW9LegalName(text) {
+  const match = /Name\s*\(as\s+shown\s+on\s+your\s+income\s+tax\s+return\)\.?(?:\s*Name\s+is\s+required\s+on\s+this\s+line;?\s*do\s+not\s+leave\s+this\s+line\s+blank\.?)?\s*([^]{2,120}?)\s*(?:\b2\s+)?Business\s+name/i.exec(text);
+  if (!match) return null;
+
+  const name = match[1].replace(/^\s*1\s+/, '').replace(/\s+/g, ' ').trim();
+  if (!/[A-Za-z]{2}/.test(name)) return null;
+
+  return {
+    name,
+    confidence: 85,
+    patternName: 'W-9 Line 1 (Name on Tax Return)',
+    originalMatch: match[0],
+    context: getContext(text, name)
+  };
+}
+
+// The letter of a CP-575 notice number ("CP 575 A") sits right above the taxpayer's name and
+// would be read as its first word ("A MODERN WIDGETS CORP")
+function stripCp575NoticeLetter(text) {
+  return text.replace(/(\bCP\s*-?\s*575)\s*[A-Z]\b/g, '$1');
+}
+
+// CP-575: the taxpayer's name opens the address block after the notice number
+function findCp575LegalName(text, candidates) {
+  const match = /Number\s+of\s+this\s+notice\s*:?\s*CP\s*-?\s*575\s+([^]{3,120}?)\s+(?=\d|P\.?\s*O\.?\s+Box)/i.exec(stripCp575NoticeLetter(text));
+  if (!match) return null;
+
+  const block = match[1];
+  const fromCandidates = candidates.find(candidate =>
+    block.toLowerCase().includes(stripEntitySuffix(candidate.name).toLowerCase())
+  );
+  if (fromCandidates) {
+    return { ...fromCandidates, patternName: `CP-575 Address Block (${fromCandidates.patternName})` };
+  }
+
+  // Without a candidate, keep the block up to its entity suffix or up to "SOLE MBR" / "% " lines
+  const suffixed = new RegExp(`^(.*?(?:${ENTITY_SUFFIX_SOURCE}))(?![A-Za-z])`, 'i').exec(block);
+  const name = (suffixed ? suffixed[1] : block.split(/\s+(?:SOLE\s+MBR|MBR|%|C\/O)\b/i)[0]).trim();
+
+  return {
+    name,
+    confidence: suffixed ? 80 : 60,
+    patternName: 'CP-575 Address Block',
+    originalMatch: match[0],
+    context: getContext(text, name)
+  };
+}
+
+// Fall back to the company candidate mentioned closest to the EIN
+function findNearestCandidate(text, candidates, einIndex) {
+  let nearest = null;
+
+  candidates.forEach(candidate => {
+    const index = text.indexOf(candidate.originalMatch || candidate.name);
+    if (index === -1) return;
+
+    const distance = Math.abs(index - einIndex);
+    if (distance <= 400 && (!nearest || distance < nearest.distance)) {
+      nearest = { candidate, distance };
+    }
+  });
+
+  return nearest ? { ...nearest.candidate, patternName: `Nearest Candidate (${nearest.candidate.patternName})` } : null;
+}
+
+function maskLegalName(legalName, unmask) {
+  if (!legalName || unmask) return legalName;
+  return {
+    ...legalName,
+    originalMatch: maskEinsInText(legalName.originalMatch || ''),
+    context: maskEinsInText(legalName.context || '')
+  };
+}
+
+// Find EINs (NN-NNNNNNN), validate their IRS campus prefix and link each to the legal name
+// on the form. EINs are masked unless options.unmask is set.
+function extractEins(text, options = {}) {
+  const { documentType = null, candidates = [], unmask = false } = options;
+
+  if (!text || text.length < 10) return [];
+
+  const cleanText = text.replace(/\s+/g, ' ').trim();
+  const ruleSet = documentType ? documentType.ruleSet : 'default';
+
+  let legalName = null;
+  if (ruleSet === 'irs-w9') legalName = findW9LegalName(cleanText);
+  if (ruleSet === 'irs-ein-letter') legalName = findCp575LegalName(cleanText, candidates);
+
+  const einRegex = new RegExp(EIN_SOURCE, 'g');
+  const labelRegex = new RegExp(`${LABEL_SOURCE}[^\\d]{0,40}$`, 'i');
+  const found = new Map();
+  let match;
+
+  while ((match = einRegex.exec(cleanText)) !== null) {
+    const { ein, corrections } = normalizeEin(match[1], match[2]);
+    if (!/^\d{2}-\d{7}$/.test(ein) || corrections > 2) continue;
+
+    const labeled = labelRegex.test(cleanText.slice(Math.max(0, match.index - 80), match.index));
+    // Unlabeled numbers only count when they are clean digits in the canonical format
+    if (!labeled && (corrections > 0 || !/^\d{2}-\d{7}$/.test(match[0]))) continue;
+
+    const prefixInfo = validateEinPrefix(ein);
+    const context = getContext(cleanText, match[0]);
+    const contextQuality = analyzeTextQuality(context);
+
+    let confidence = labeled ? 85 : 60;
+    if (['irs-w9', 'irs-ein-letter'].includes(ruleSet)) confidence += 10;
+    confidence -= corrections * 10;
+    if (!prefixInfo.prefixValid) confidence = Math.round(confidence * 0.3);
+    // Scale by the OCR quality of the surrounding text
+    confidence = Math.round(confidence * (0.6 + 0.4 * (contextQuality.readableRatio / 100)));
+
+    const existing = found.get(ein);
+    if (existing && existing.confidence >= confidence) continue;
+
+    const displayEin = unmask ? ein : maskEin(ein);
+
+    found.set(ein, {
+      ein: displayEin,
+      masked: !unmask,
+      prefix: unmask ? prefixInfo.prefix : '**',
+      prefixValid: prefixInfo.prefixValid,
+      campus: prefixInfo.campus,
+      valid: prefixInfo.prefixValid,
+      confidence: Math.max(0, Math.min(99, confidence)),
+      labeled,
+      ocrCorrections: corrections,
+      context: unmask ? context : maskEinsInText(context),
+      legalName: maskLegalName(legalName || findNearestCandidate(cleanText, candidates, match.index), unmask)
+    });
+  }
+
+  const results = Array.from(found.values()).sort((a, b) => b.confidence - a.confidence);
+  console.log(`🧾 EIN extraction: ${results.length} found (${results.filter(r => r.valid).length} with valid IRS prefix)`);
+
+  return results;
+}
+
+module.exports = { extractEins, validateEinPrefix, maskEin, stripCp575NoticeLetter, EIN_PREFIX_CAMPUSES };
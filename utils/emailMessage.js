@@ -0,0 +1,210 @@
+// utils/emailMessage.js - Reader for .eml messages (MIME): the headers, the readable body and the
+// attachments, with base64 and quoted-printable parts and encoded names decoded
+const { decodeCp1252, decodeText, htmlToText } = require('./textFormats');
+
+// Multipart nesting deeper than this is left unread
+const MAX_MULTIPART_DEPTH = 10;
+
+// Bytes in the named charset; unknown charsets fall back to guessing
+function decodeCharset(bytes, charset) {
+  const name = String(charset || '').toLowerCase().replace(/^["']|["']$/g, '');
+  if (name === '' || name === 'us-ascii') return decodeText(bytes);
+  if (['iso-8859-1', 'latin1', 'windows-1252', 'cp1252'].includes(name)) return decodeCp1252(bytes);
+
+  try {
+    return new TextDecoder(name).decode(bytes);
+  } catch (error) {
+    return decodeText(bytes);
+  }
+}
+
+// Header values are read as Latin-1 so every byte survives; raw 8-bit text is then decoded and
+// RFC 2047 words (=?utf-8?B?...?= and =?iso-8859-1?Q?...?=) are expanded. Values already decoded
+// (RFC 2231 parameters) only have their encoded words expanded.
+function decodeHeaderValue(value) {
+  const decoded = /[^\x00-\xFF]/.test(value) ? value : decodeText(Buffer.from(value, 'latin1'));
+  return decoded
+    .replace(/(\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (word, charset, encoding, encoded) => {
+      const bytes = encoding.toLowerCase() === 'b'
+        ? Buffer.from(encoded, 'base64')
+        : Buffer.from(encoded.replace(/_/g, ' ').replace(/=([0-9a-f]{2})/gi, (hex, code) => String.fromCharCode(parseInt(code, 16))), 'latin1');
+      return decodeCharset(bytes, charset.replace(/\*.*$/, ''));
+    });
+}
+
+// Header lines as { name: value } with names in lower case; folded lines are joined and the
+// first of repeated headers is kept
+function parseHeaders(block) {
+  const headers = {};
+  block.replace(/\r?\n(?=[ \t])/g, '').split(/\r?\n/).forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon <= 0) return;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    if (!(name in headers)) headers[name] = line.slice(colon + 1).trim();
+  });
+  return headers;
+}
+
+// "text/plain; charset=utf-8" as { value, params }. RFC 2231 parameters (filename*=utf-8''...,
+// split ones as filename*0*, filename*1*) are decoded and joined.
+function parseHeaderParams(header) {
+  const [value] = header.split(';');
+  const params = {};
+  const sections = {};
+  const param = /;\s*([^=\s;]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g;
+  let match;
+
+  while ((match = param.exec(header)) !== null) {
+    const name = match[1].toLowerCase();
+    let paramValue = match[2].trim();
+    if (paramValue.startsWith('"')) paramValue = paramValue.slice(1, -1).replace(/\\(.)/g, '$1');
+
+    const extended = name.match(/^([^*]+)\*(\d+)?(\*)?$/);
+    if (extended) {
+      const [, base, index, encoded] = extended;
+      if (!sections[base]) sections[base] = [];
+      sections[base].push({ index: Number(index || 0), value: paramValue, encoded: index === undefined || !!encoded });
+    } else {
+      params[name] = paramValue;
+    }
+  }
+
+  Object.entries(sections).forEach(([base, parts]) => {
+    let charset = '';
+    params[base] = parts.sort((a, b) => a.index - b.index).map((part, i) => {
+      if (!part.encoded) return part.value;
+      let encoded = part.value;
+      if (i === 0 && /^[^']*'[^']*'/.test(encoded)) {
+        charset = encoded.split("'")[0];
+        encoded = encoded.replace(/^[^']*'[^']*'/, '');
+      }
+      return decodeCharset(Buffer.from(encoded.replace(/%([0-9a-f]{2})/gi, (hex, code) => String.fromCharCode(parseInt(code, 16))), 'latin1'), charset);
+    }).join('');
+  });
+
+  return { value: value.trim().toLowerCase(), params };
+}
+
+function decodeTransferEncoding(body, encoding) {
+  switch (String(encoding || '').toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+    case 'quoted-printable':
+      return Buffer.from(body
+        .replace(/=\r?\n/g, '')
+        .replace(/=([0-9A-F]{2})/gi, (hex, code) => String.fromCharCode(parseInt(code, 16))), 'latin1');
+    default:
+      return Buffer.from(body, 'latin1');
+  }
+}
+
+// The parts between the boundary lines, without the preamble and the epilogue
+function splitMultipart(body, boundary) {
+  const escaped = boundary.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const delimiter = new RegExp(`(?:^|\\r?\\n)--${escaped}(--)?[ \\t]*(?:\\r?\\n|$)`, 'g');
+  const parts = [];
+  let start = null;
+  let match;
+
+  while ((match = delimiter.exec(body)) !== null) {
+    if (start !== null) parts.push(body.slice(start, match.index));
+    if (match[1]) return parts;
+    start = delimiter.lastIndex;
+  }
+
+  // A message cut off before its closing boundary keeps its last part
+  if (start !== null && start < body.length) parts.push(body.slice(start));
+  return parts;
+}
+
+// One MIME entity (the message or a part of it) from its raw Latin-1 text
+function parseEntity(raw, depth) {
+  const headerEnd = /^\r?\n/.test(raw) ? 0 : raw.search(/\r?\n\r?\n/);
+  const headerBlock = headerEnd === -1 ? raw : raw.slice(0, headerEnd);
+  const body = headerEnd === -1 ? '' : raw.slice(headerEnd).replace(/^\r?\n(?:\r?\n)?/, '');
+
+  const headers = parseHeaders(headerBlock);
+  const contentType = parseHeaderParams(headers['content-type'] || 'text/plain');
+  const disposition = parseHeaderParams(headers['content-disposition'] || '');
+  const filename = disposition.params.filename || contentType.params.name;
+
+  const entity = {
+    headers,
+    mimetype: contentType.value || 'text/plain',
+    charset: contentType.params.charset,
+    disposition: disposition.value,
+    filename: filename ? decodeHeaderValue(filename) : null,
+    contentId: headers['content-id'] || null
+  };
+
+  if (entity.mimetype.startsWith('multipart/') && contentType.params.boundary && depth < MAX_MULTIPART_DEPTH) {
+    entity.children = splitMultipart(body, contentType.params.boundary).map(part => parseEntity(part, depth + 1));
+  } else {
+    entity.content = decodeTransferEncoding(body, headers['content-transfer-encoding']);
+  }
+  return entity;
+}
+
+// Text parts with a file name or an attachment disposition are files, not the message body
+function isAttachment(entity) {
+  if (entity.disposition === 'attachment') return true;
+  return !['text/plain', 'text/html'].includes(entity.mimetype) || (!!entity.filename && entity.disposition !== 'inline');
+}
+
+// Walk the parts: text and HTML bodies are collected as text, everything else as attachments.
+// Of the versions in multipart/alternative only the plain text one (or else the last) is read.
+function collectParts(entity, result) {
+  if (entity.children) {
+    if (entity.mimetype === 'multipart/alternative' && entity.children.length > 0) {
+      const plain = entity.children.find(child => child.mimetype === 'text/plain' && !isAttachment(child));
+      collectParts(plain || entity.children[entity.children.length - 1], result);
+    } else {
+      entity.children.forEach(child => collectParts(child, result));
+    }
+    return;
+  }
+
+  if (!isAttachment(entity)) {
+    const text = decodeCharset(entity.content, entity.charset);
+    result.bodies.push(entity.mimetype === 'text/html' ? htmlToText(text) : text.replace(/\r\n?/g, '\n').trim());
+    return;
+  }
+
+  result.attachments.push({
+    filename: entity.filename || `attachment-${result.attachments.length + 1}`,
+    mimetype: entity.mimetype,
+    content: entity.content,
+    // Inline images are logos and pictures placed in the body, not documents
+    inline: entity.disposition === 'inline' || (!!entity.contentId && entity.disposition !== 'attachment')
+  });
+}
+
+// Read an .eml message. Returns { subject, from, to, date, text, attachments: [{ filename,
+// mimetype, content (Buffer), inline }] }; `text` is the From, To, Subject and Date lines
+// followed by the body.
+function readEmailMessage(buffer) {
+  const root = parseEntity(buffer.toString('latin1'), 0);
+  if (!root.headers.from && !root.headers.subject && !root.headers['content-type']) {
+    throw new Error('Not an email message (no From, Subject or Content-Type header)');
+  }
+
+  const result = { bodies: [], attachments: [] };
+  collectParts(root, result);
+
+  const header = name => (root.headers[name] ? decodeHeaderValue(root.headers[name]) : null);
+  const message = { subject: header('subject'), from: header('from'), to: header('to'), date: header('date') };
+  const headerLines = [['From', message.from], ['To', message.to], ['Subject', message.subject], ['Date', message.date]]
+    .filter(([, value]) => value)
+    .map(([name, value]) => `${name}: ${value}`);
+
+  return {
+    ...message,
+    text: [headerLines.join('\n'), ...result.bodies].filter(part => part.length > 0).join('\n\n'),
+    attachments: result.attachments
+  };
+}
+
+module.exports = {
+  readEmailMessage
+};
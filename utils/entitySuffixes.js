@@ -0,0 +1,185 @@
+// utils/entitySuffixes.js
+
+// Street types, after which "SE" is a compass direction ("Main St SE") rather than a designator
+const STREET_TYPES = /\b(?:St|Street|Ave|Avenue|Rd|Road|Blvd|Boulevard|Dr|Drive|Hwy|Highway|Way|Ln|Lane|Ct|Court|Pl|Place|Pkwy|Parkway)\.?$/i;
+
+// Entity designators, US first and then international ones tagged with their `countries`.
+// `canonical` is the standard abbreviation and `full` the designator spelled out.
+// `ambiguous` suffixes (PA, PC, Co) only count when set off by a comma or written with periods;
+// spelled out ("Company", "Corporation") they also count after a proper-noun base, so "Acme
+// Widget Company" is a name and "this Agreement of the Company" is not.
+// `noComma` suffixes never do, since "Calgary, AB" and "Adelaide, SA" are addresses.
+// Forms go through toUpperCase(), so they spell whitespace as a literal space rather than \s.
+const ENTITY_SUFFIXES = [
+  { canonical: 'LLLP', full: 'Limited Liability Limited Partnership', category: 'Limited Liability Limited Partnership', forms: ['Limited Liability Limited Partnership', 'L\\.L\\.L\\.P\\.?', 'LLLP'] },
+  { canonical: 'PLLC', full: 'Professional Limited Liability Company', category: 'Professional Limited Liability Company', forms: ['Professional Limited Liability Company', 'P\\.L\\.L\\.C\\.?', 'PLLC'] },
+  { canonical: 'LLP', full: 'Limited Liability Partnership', category: 'Limited Liability Partnership', forms: ['Limited Liability Partnership', 'L\\.L\\.P\\.?', 'LLP'] },
+  { canonical: 'LLC', full: 'Limited Liability Company', category: 'Limited Liability Company', forms: ['Limited Liability Company', 'L\\.L\\.C\\.?', 'LLC'] },
+  { canonical: 'LP', full: 'Limited Partnership', category: 'Limited Partnership', forms: ['Limited Partnership', 'L\\.P\\.', 'LP'] },
+  { canonical: 'Nonprofit Corp.', full: 'Nonprofit Corporation', category: 'Nonprofit Corporation', forms: ['Non-?profit Corporation', 'Not-for-Profit Corporation', 'Nonprofit Corp\\.?'] },
+  { canonical: 'PC', full: 'Professional Corporation', category: 'Professional Corporation', forms: ['Professional Corporation', 'P\\.C\\.', 'PC'], ambiguous: ['PC'] },
+  { canonical: 'PA', full: 'Professional Association', category: 'Professional Association', forms: ['Professional Association', 'P\\.A\\.', 'PA'], ambiguous: ['PA'] },
+  { canonical: 'Corp.', full: 'Corporation', category: 'Corporation', forms: ['Corporation', 'Corp\\.?'], ambiguous: ['Corporation'] },
+  { canonical: 'Inc.', full: 'Incorporated', category: 'Corporation', forms: ['Incorporated', 'Inc\\.?'] },
+  { canonical: 'Co.', full: 'Company', category: 'Company', forms: ['Company', 'Co\\.?'], ambiguous: ['Co', 'Company'] },
+  { canonical: 'Ltd.', full: 'Limited', category: 'Limited', forms: ['Limited', 'Ltd\\.?'] },
+  { canonical: 'Chtd.', full: 'Chartered', category: 'Chartered', forms: ['Chartered', 'Chtd\\.?'] },
+
+  { canonical: 'GmbH & Co. KG', full: 'GmbH & Co. Kommanditgesellschaft', category: 'Limited Partnership', countries: ['DE', 'AT'], forms: ['GmbH ?& ?Co\\.? ?KG'] },
+  { canonical: 'GmbH', full: 'Gesellschaft mit beschränkter Haftung', category: 'Limited Liability Company', countries: ['DE', 'AT', 'CH'], forms: ['Gesellschaft mit beschränkter Haftung', 'GmbH'] },
+  { canonical: 'UG', full: 'Unternehmergesellschaft (haftungsbeschränkt)', category: 'Limited Liability Company', countries: ['DE'], forms: ['Unternehmergesellschaft', 'UG'], noComma: ['UG'] },
+  { canonical: 'AG', full: 'Aktiengesellschaft', category: 'Corporation', countries: ['DE', 'AT', 'CH'], forms: ['Aktiengesellschaft', 'AG'], noComma: ['AG'] },
+  { canonical: 'KG', full: 'Kommanditgesellschaft', category: 'Limited Partnership', countries: ['DE', 'AT'], forms: ['Kommanditgesellschaft', 'KG'], noComma: ['KG'] },
+  { canonical: 'SE', full: 'Societas Europaea', category: 'Corporation', countries: ['EU'], forms: ['Societas Europaea', 'S\\.E\\.', 'SE'], noComma: ['SE'], notAfter: STREET_TYPES },
+  { canonical: 'S.A. de C.V.', full: 'Sociedad Anónima de Capital Variable', category: 'Corporation', countries: ['MX'], forms: ['S\\.A\\. de C\\.V\\.?', 'SA de CV'] },
+  { canonical: 'S.A.S.', full: 'Société par actions simplifiée', category: 'Corporation', countries: ['FR', 'CO'], forms: ['Société par actions simplifiée', 'S\\.A\\.S\\.?', 'SAS'] },
+  { canonical: 'S.A.R.L.', full: 'Société à responsabilité limitée', category: 'Limited Liability Company', countries: ['FR', 'LU', 'MA'], forms: ['Société à responsabilité limitée', 'S\\.A\\.R\\.L\\.?', 'SARL'] },
+  { canonical: 'S.A.', full: 'Société anonyme', category: 'Corporation', countries: ['FR', 'ES', 'BE', 'LU', 'CH', 'AR'], forms: ['Société anonyme', 'Sociedad Anónima', 'S\\.A\\.', 'SA'], noComma: ['SA'] },
+  { canonical: 'S.r.l.', full: 'Società a responsabilità limitata', category: 'Limited Liability Company', countries: ['IT', 'RO'], forms: ['Società a responsabilità limitata', 'S\\.r\\.l\\.?', 'Srl'] },
+  { canonical: 'S.p.A.', full: 'Società per azioni', category: 'Corporation', countries: ['IT'], forms: ['Società per azioni', 'S\\.p\\.A\\.?', 'SpA'] },
+  { canonical: 'S.L.', full: 'Sociedad Limitada', category: 'Limited Liability Company', countries: ['ES'], forms: ['Sociedad Limitada', 'S\\.L\\.'] },
+  { canonical: 'Ltda.', full: 'Limitada', category: 'Limited Liability Company', countries: ['BR', 'PT', 'CO', 'CL'], forms: ['Limitada', 'Ltda\\.?'] },
+  { canonical: 'B.V.', full: 'Besloten Vennootschap', category: 'Private Limited Company', countries: ['NL', 'BE'], forms: ['Besloten Vennootschap', 'B\\.V\\.?', 'BV'], noComma: ['BV'] },
+  { canonical: 'N.V.', full: 'Naamloze Vennootschap', category: 'Corporation', countries: ['NL', 'BE'], forms: ['Naamloze Vennootschap', 'N\\.V\\.?'] },
+  { canonical: 'Pty Ltd', full: 'Proprietary Limited', category: 'Private Limited Company', countries: ['AU', 'ZA'], forms: ['Proprietary Limited', 'Pty\\.? Ltd\\.?', 'Pty\\.? Limited'] },
+  { canonical: 'Pvt Ltd', full: 'Private Limited', category: 'Private Limited Company', countries: ['IN'], forms: ['Private Limited', 'Pvt\\.? Ltd\\.?'] },
+  { canonical: 'Pte Ltd', full: 'Private Limited', category: 'Private Limited Company', countries: ['SG'], forms: ['Pte\\.? Ltd\\.?'] },
+  { canonical: 'plc', full: 'Public Limited Company', category: 'Public Limited Company', countries: ['GB', 'IE'], forms: ['Public Limited Company', 'P\\.L\\.C\\.?', 'plc'] },
+  { canonical: 'Sp. z o.o.', full: 'Spółka z ograniczoną odpowiedzialnością', category: 'Limited Liability Company', countries: ['PL'], forms: ['Sp\\. ?z ?o\\. ?o\\.?'] },
+  { canonical: 'K.K.', full: 'Kabushiki Kaisha', category: 'Corporation', countries: ['JP'], forms: ['Kabushiki Kaisha', 'K\\.K\\.?', 'KK'], noComma: ['KK'] },
+  { canonical: 'Oyj', full: 'Julkinen osakeyhtiö', category: 'Corporation', countries: ['FI'], forms: ['Oyj'] },
+  { canonical: 'Oy', full: 'Osakeyhtiö', category: 'Private Limited Company', countries: ['FI'], forms: ['Osakeyhtiö', 'Oy'], noComma: ['Oy'] },
+  { canonical: 'AB', full: 'Aktiebolag', category: 'Corporation', countries: ['SE'], forms: ['Aktiebolag', 'AB'], noComma: ['AB'] },
+  { canonical: 'ApS', full: 'Anpartsselskab', category: 'Private Limited Company', countries: ['DK'], forms: ['Anpartsselskab', 'ApS'] },
+  { canonical: 'A/S', full: 'Aktieselskab', category: 'Corporation', countries: ['DK', 'NO'], forms: ['Aktieselskab', 'A/S'] }
+];
+
+// Regex source matching any suffix form as written or in capitals, for embedding in larger patterns
+const ENTITY_SUFFIX_SOURCE = [...new Set(ENTITY_SUFFIXES
+  .flatMap(suffix => suffix.forms)
+  .flatMap(form => [form, form.toUpperCase()]))]
+  .sort((a, b) => b.length - a.length)
+  .join('|');
+
+// Abbreviations distinctive enough for case-insensitive hunting in noisy OCR text
+const DISTINCTIVE_SUFFIX_SOURCE = [
+  'L\\.L\\.L\\.P\\.?', 'LLLP', 'P\\.L\\.L\\.C\\.?', 'PLLC', 'L\\.L\\.P\\.?', 'LLP',
+  'L\\.L\\.C\\.?', 'LLC', 'Inc\\.?', 'Corp\\.?', 'Pty\\.? Ltd\\.?', 'Pvt\\.? Ltd\\.?', 'Ltd\\.?',
+  'GmbH', 'S\\.A\\.S\\.', 'S\\.A\\.R\\.L\\.?', 'SARL', 'S\\.r\\.l\\.', 'S\\.p\\.A\\.', 'B\\.V\\.', 'N\\.V\\.', 'plc'
+].join('|');
+
+// Mixed-case designators that must not be split as camelCase ("GmbH", not "Gmb H")
+const MIXED_CASE_SUFFIXES = new Set(ENTITY_SUFFIXES
+  .flatMap(suffix => suffix.forms)
+  .filter(form => /^[A-Za-z]+$/.test(form) && /[a-z][A-Z]/.test(form)));
+
+const SUFFIX_AT_END = new RegExp(`(,?\\s*)(?<![A-Za-z])(${ENTITY_SUFFIX_SOURCE})(?![A-Za-z])\\s*$`, 'i');
+
+// Determiners and verbs that start or run through prose, not names: "This Agreement", "the
+// registered agent is Corporation Service Company"
+const PROSE_WORDS = /^(?:the|this|that|these|those|said|such|its|their|our|is|are|was|were|be|been|has|have|shall|will|of|a|an)$/i;
+const NAME_CONNECTORS = /^(?:of|and|for|&|de|la|du|von|van|der)$/i;
+// Conjunctions, adverbs and prepositions that open a sentence or clause before a name ("Also
+// Foo, P.C.", "between Acme Holdings, Inc.")
+const LEADING_PROSE = /^(?:also|and|but|or|nor|then|thus|hence|however|moreover|furthermore|additionally|accordingly|therefore|whereas|hereby|between|among|with|by|from|to|for|in|on|at|as|if|when|where|while|after|before|upon|under|pursuant|including|namely|see|per)$/i;
+// Document titles that run into the name they introduce ("OPERATING AGREEMENT OF Modern
+// Partners, LLC", "Articles of Organization for Lakeshore Dental Group, PLLC")
+const DOCUMENT_TITLE = /^(?:(?:(?:Operating|Limited\s+Liability\s+Company|Partnership|Shareholders'?|Stockholders'?)\s+)?Agreement|(?:(?:Articles|Certificate)\s+of\s+)?(?:Organization|Incorporation|Formation))\s+(?:of|for)\s+/i;
+
+// A base of capitalized words, joined only by connectors ("Bank of America"), that does not
+// start with a determiner or verb
+function isProperNounBase(base) {
+  const words = base.split(/\s+/).filter(word => word.length > 0);
+  if (words.length === 0 || PROSE_WORDS.test(words[0])) return false;
+  return words.every((word, i) =>
+    (i > 0 && NAME_CONNECTORS.test(word)) || (!PROSE_WORDS.test(word) && /^[\p{Lu}\p{N}]/u.test(word)));
+}
+
+// A base that reads as a sentence: it starts with a determiner or verb ("The Co.", "is Blue
+// Ridge Ventures") or has a verb in it ("company is Blue Ridge"). "The" may start a name when
+// a proper noun follows ("The Home Depot").
+function readsAsProse(base) {
+  const words = base.split(/\s+/).filter(word => word.length > 0);
+  if (words.some(word => /^(?:is|are|was|were|shall|will)$/.test(word))) return true;
+  if (words.length === 0 || !PROSE_WORDS.test(words[0])) return false;
+  return !(/^the$/i.test(words[0]) && /^[\p{Lu}]/u.test(words[0]) && isProperNounBase(words.slice(1).join(' ')));
+}
+
+// Number of words to drop from the start of a base that reads as prose or opens with a document
+// title so that only the name at its end is left ("This agreement is between Acme Holdings" -> 4,
+// "Also Foo" -> 1, "OPERATING AGREEMENT OF Modern Partners" -> 3). Returns 0
+// for a base that is already a name and -1 when no name is left.
+function proseLeadLength(base) {
+  const title = base.match(DOCUMENT_TITLE);
+  if (title) {
+    const titleLength = title[0].trim().split(/\s+/).length;
+    const rest = proseLeadLength(base.slice(title[0].length));
+    return rest === -1 || base.length === title[0].length ? -1 : titleLength + rest;
+  }
+
+  const words = base.split(/\s+/).filter(word => word.length > 0);
+  if (words.length === 0 || (!readsAsProse(base) && !LEADING_PROSE.test(words[0]))) return 0;
+
+  for (let start = 1; start < words.length; start++) {
+    const tail = words.slice(start).join(' ');
+    if (!LEADING_PROSE.test(words[start]) && !DOCUMENT_TITLE.test(tail) && !readsAsProse(tail) && isProperNounBase(tail)) return start;
+  }
+  return -1;
+}
+
+function findSuffixDefinition(written) {
+  return ENTITY_SUFFIXES.find(suffix =>
+    suffix.forms.some(form => new RegExp(`^(?:${form})$`, 'i').test(written.trim()))
+  );
+}
+
+// Identify the entity suffix at the end of a name, keeping it exactly as written.
+// Returns null when the name has no suffix or only an ambiguous one without a comma.
+function detectEntitySuffix(name) {
+  if (!name) return null;
+
+  const match = name.match(SUFFIX_AT_END);
+  if (!match) return null;
+
+  const written = match[2];
+  const definition = findSuffixDefinition(written);
+  if (!definition) return null;
+
+  const base = name.slice(0, match.index).trim();
+  const hasComma = match[1].includes(',');
+  const isForm = form => form.toLowerCase() === written.toLowerCase();
+  const ambiguous = (definition.ambiguous || []).some(isForm);
+  const spelledOut = written.toLowerCase() === definition.full.toLowerCase();
+  if (!hasComma && ambiguous && !(spelledOut && isProperNounBase(base))) return null;
+  if (hasComma && (definition.noComma || []).some(isForm)) return null;
+  if (definition.notAfter && definition.notAfter.test(base)) return null;
+
+  return {
+    suffix: written,
+    canonical: definition.canonical,
+    full: definition.full,
+    category: definition.category,
+    countries: definition.countries || ['US'],
+    hasComma,
+    ambiguous,
+    base
+  };
+}
+
+// Remove a trailing entity suffix, used for match keys and deduplication
+function stripEntitySuffix(name) {
+  const detected = detectEntitySuffix(name);
+  return detected ? detected.base : name.trim();
+}
+
+module.exports = {
+  ENTITY_SUFFIXES,
+  ENTITY_SUFFIX_SOURCE,
+  DISTINCTIVE_SUFFIX_SOURCE,
+  MIXED_CASE_SUFFIXES,
+  detectEntitySuffix,
+  stripEntitySuffix,
+  isProperNounBase,
+  readsAsProse,
+  proseLeadLength
+};
@@ -0,0 +1,271 @@
+// utils/formationData.js
+const { getContext } = require('./textUtils');
+
+const US_STATES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+  CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+  HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky',
+  LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+  MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+  NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+  OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina',
+  SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+  WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+};
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august',
+  'september', 'october', 'november', 'december'];
+
+// Longest names first so "West Virginia" wins over "Virginia"
+const STATE_NAME_SOURCE = Object.values(US_STATES)
+  .sort((a, b) => b.length - a.length)
+  .map(name => name.replace(/\s+/g, '\\s+'))
+  .join('|');
+
+const STATE_CODE_SOURCE = Object.keys(US_STATES).join('|');
+
+const DATE_SOURCE = [
+  '\\d{1,2}[\\/\\-.]\\d{1,2}[\\/\\-.]\\d{2,4}',
+  '\\d{4}-\\d{2}-\\d{2}',
+  `(?:${MONTHS.join('|')}|[A-Za-z]{3}\\.?)\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}`,
+  `\\d{1,2}(?:st|nd|rd|th)?\\s+(?:day\\s+of\\s+)?(?:${MONTHS.join('|')}|[A-Za-z]{3}\\.?),?\\s+\\d{4}`
+].join('|');
+
+const ADDRESS_SOURCE = `(?:\\d{1,6}[A-Za-z]?\\s+|P\\.?\\s*O\\.?\\s+Box\\s+\\d+)[A-Za-z0-9.,'#&\\-\\s]{3,80}?,?\\s+(?:${STATE_CODE_SOURCE}|${STATE_NAME_SOURCE})\\.?,?\\s+\\d{5}(?:-\\d{4})?`;
+
+// Labels that end a free-text value such as an agent name
+const LABEL_STOP = /\b(?:address|registered\s+office|principal|organizer|located|whose|with\s+an?\s+office|at\s+\d|the\s+name|article|management|purpose|effective|signature|dated?)\b|\d/i;
+
+// A period after a full word (not an initial or entity abbreviation) ends the sentence
+const SENTENCE_END = /(?<=[A-Za-z]{2})(?<!\b(?:Inc|Corp|Co|Ltd|Jr|Sr))\.(?=\s|$)/;
+
+const PERSON_NAME_SOURCE = "[A-Z][A-Za-z.'\\-]+(?:\\s+[A-Z]\\.?)?(?:\\s+[A-Z][A-Za-z'\\-]+){1,2}";
+
+function makeField(text, value, confidence, matchText, extra = {}) {
+  return {
+    value,
+    ...extra,
+    confidence,
+    source: getContext(text, matchText)
+  };
+}
+
+function lookupState(raw) {
+  const cleaned = raw.replace(/\s+/g, ' ').replace(/\.$/, '').trim();
+  const code = cleaned.toUpperCase();
+  if (US_STATES[code]) return { code, name: US_STATES[code] };
+
+  const entry = Object.entries(US_STATES).find(([, name]) => name.toLowerCase() === cleaned.toLowerCase());
+  return entry ? { code: entry[0], name: entry[1] } : null;
+}
+
+// Convert the date formats filings use into an ISO date (YYYY-MM-DD)
+function parseFilingDate(raw) {
+  const value = raw.trim().replace(/(\d)(st|nd|rd|th)\b/i, '$1').replace(/day\s+of\s+/i, '');
+  let year, month, day;
+
+  let match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else if ((match = value.match(/^(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{2,4})$/))) {
+    [, month, day, year] = match.map(Number);
+    if (year < 100) year += year < 50 ? 2000 : 1900;
+  } else if ((match = value.match(/^([A-Za-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/))) {
+    month = monthNumber(match[1]);
+    day = Number(match[2]);
+    year = Number(match[3]);
+  } else if ((match = value.match(/^(\d{1,2})\s+([A-Za-z]+)\.?,?\s+(\d{4})$/))) {
+    day = Number(match[1]);
+    month = monthNumber(match[2]);
+    year = Number(match[3]);
+  }
+
+  if (!year || !month || !day || month > 12 || day > 31) return null;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function monthNumber(name) {
+  const index = MONTHS.findIndex(month => month.startsWith(name.toLowerCase().slice(0, 3)));
+  return index === -1 ? null : index + 1;
+}
+
+// Split "123 Main St, Suite 4, Austin, TX 78701" into its parts where the commas allow it
+function parseAddress(raw) {
+  const full = raw.replace(/\s+/g, ' ').replace(/\s+,/g, ',').trim();
+  const match = full.match(new RegExp(`^(.*?),?\\s+(${STATE_CODE_SOURCE}|${STATE_NAME_SOURCE})\\.?,?\\s+(\\d{5}(?:-\\d{4})?)$`, 'i'));
+  if (!match) return { full, street: null, city: null, state: null, postalCode: null };
+
+  const state = lookupState(match[2]);
+  const parts = match[1].split(',').map(part => part.trim()).filter(Boolean);
+  const city = parts.length > 1 ? parts.pop() : null;
+
+  return {
+    full,
+    street: parts.join(', ') || null,
+    city,
+    state: state ? state.code : null,
+    postalCode: match[3]
+  };
+}
+
+// Trim a free-text value at the next label, address or sentence end and strip trailing punctuation
+function cutAtLabel(value) {
+  const stops = [value.search(LABEL_STOP), value.search(SENTENCE_END)].filter(index => index !== -1);
+  const cut = stops.length > 0 ? value.slice(0, Math.min(...stops)) : value;
+  return cut.replace(/[\s,;:\-]+$/, '').replace(/^[\s,;:\-]+/, '').trim();
+}
+
+function firstMatch(text, patterns) {
+  for (const { regex, confidence } of patterns) {
+    const match = regex.exec(text);
+    if (match) return { match, confidence };
+  }
+  return null;
+}
+
+// Every match of every pattern, in pattern order, for fields where an early hit can be rejected
+function allMatches(text, patterns) {
+  return patterns.flatMap(({ regex, confidence }) => Array.from(text.matchAll(regex), match => ({ match, confidence })));
+}
+
+function extractStateOfFormation(text) {
+  const found = firstMatch(text, [
+    { regex: new RegExp(`(?:organized|formed|incorporated)\\s+(?:in\\s+and\\s+)?under\\s+the\\s+laws\\s+of\\s+(?:the\\s+)?(?:State\\s+of\\s+|Commonwealth\\s+of\\s+)?(${STATE_NAME_SOURCE})`, 'i'), confidence: 90 },
+    { regex: new RegExp(`(?:jurisdiction|state)\\s+of\\s+(?:formation|organization|incorporation|domicile)\\s*:?\\s*(${STATE_NAME_SOURCE}|${STATE_CODE_SOURCE})\\b`, 'i'), confidence: 90 },
+    { regex: new RegExp(`Secretary\\s+of\\s+State\\s+(?:of\\s+)?(?:the\\s+)?(?:State\\s+of\\s+|Commonwealth\\s+of\\s+)?(${STATE_NAME_SOURCE})`, 'i'), confidence: 75 },
+    { regex: new RegExp(`(${STATE_NAME_SOURCE})\\s+Secretary\\s+of\\s+State`, 'i'), confidence: 75 },
+    { regex: new RegExp(`(?:State|Commonwealth)\\s+of\\s+(${STATE_NAME_SOURCE})`, 'i'), confidence: 55 }
+  ]);
+  if (!found) return null;
+
+  const state = lookupState(found.match[1]);
+  return state ? makeField(text, state, found.confidence, found.match[0]) : null;
+}
+
+function extractFilingDate(text) {
+  const found = firstMatch(text, [
+    { regex: new RegExp(`(?:date\\s+(?:of\\s+)?fil(?:ed|ing)|filing\\s+date|filed\\s+(?:on|date)?|date\\s+of\\s+formation|formation\\s+date)\\s*:?\\s*(${DATE_SOURCE})`, 'i'), confidence: 90 },
+    { regex: new RegExp(`effective\\s+(?:date|as\\s+of)\\s*:?\\s*(${DATE_SOURCE})`, 'i'), confidence: 70 },
+    { regex: new RegExp(`(?:filed|received)\\s+[^.]{0,60}?\\s+(?:on\\s+)?(${DATE_SOURCE})`, 'i'), confidence: 60 }
+  ]);
+  if (!found) return null;
+
+  const iso = parseFilingDate(found.match[1]);
+  return iso ? makeField(text, iso, found.confidence, found.match[0], { raw: found.match[1] }) : null;
+}
+
+function extractFilingNumber(text) {
+  // Values without a digit are words after the label ("Entity ID Number"), so the next match is tried
+  const found = allMatches(text, [
+    { regex: /\b(?:file|filing|document|entity|control|charter|registration|sos|certificate)\s*(?:number|no\.?|#|id)\s*[:#.]?\s*([A-Z0-9][A-Z0-9\-]{3,20})\b/gi, confidence: 85 },
+    // A number only counts with a filing, document or entity label before it ("Phone Number" does not)
+    { regex: /\b(?:file|filing|document|entity)\b[^.:#]{0,30}?\b(?:number|no\.)\s*[:#]?\s*([A-Z]{0,3}\d{5,14})\b/gi, confidence: 50 }
+  ]).find(({ match }) => /\d/.test(match[1]));
+  if (!found) return null;
+
+  return makeField(text, found.match[1].toUpperCase(), found.confidence, found.match[0]);
+}
+
+function extractAddressAfter(text, labelRegex, confidence) {
+  const label = labelRegex.exec(text);
+  if (!label) return null;
+
+  const window = text.slice(label.index, label.index + label[0].length + 200);
+  const address = new RegExp(ADDRESS_SOURCE, 'i').exec(window.slice(label[0].length));
+  if (!address) return null;
+
+  return makeField(text, parseAddress(address[0]), confidence, address[0]);
+}
+
+// A value that reads as a name: not a connecting word, though "The" may start one ("The
+// Corporation Trust Company")
+function isAgentName(name) {
+  if (name.length < 3 || !/[A-Za-z]{2}/.test(name)) return false;
+  if (/^(?:and|or|of|for|at|in|such|said)\b/i.test(name)) return false;
+  return !/^the\b/i.test(name) || /^The\s+[A-Z]/.test(name);
+}
+
+function extractRegisteredAgent(text) {
+  const result = { name: null, address: null };
+
+  // Prefer "registered agent is: X" / "registered agent are: X" / "Registered Agent: X" over a
+  // bare section heading. An early hit can be another phrase ("registered agent name and
+  // registered agent address ... are: X"), so every match is tried.
+  const candidates = allMatches(text, [
+    { regex: /registered\s+agent(?:'s\s+name|\s+name)?(?:\s+at\s+(?:such|that|the\s+above)\s+address)?(?:\s+(?:is|are|shall\s+be)\s*:?|\s*:)\s*([A-Z][^]{2,120})/gi, confidence: 80 },
+    { regex: /registered\s+agent(?:'s\s+name|\s+name)?\s+([A-Z][^]{2,120})/gi, confidence: 55 }
+  ]);
+  for (const { match, confidence } of candidates) {
+    const name = cutAtLabel(match[1]);
+    if (isAgentName(name)) {
+      result.name = makeField(text, name, confidence, name);
+      break;
+    }
+  }
+
+  result.address =
+    extractAddressAfter(text, /registered\s+(?:office|agent)(?:'s)?\s*(?:street\s+)?(?:address)?/i, 80);
+
+  return result.name || result.address ? result : null;
+}
+
+function extractPrincipalOffice(text) {
+  return extractAddressAfter(text, /principal\s+(?:office|place\s+of\s+business)(?:\s+(?:street|mailing))?(?:\s+address)?/i, 80) ||
+    extractAddressAfter(text, /(?:street|business|mailing)\s+address\s+of\s+the\s+(?:company|corporation|entity)/i, 65);
+}
+
+function extractOrganizers(text) {
+  const organizers = [];
+  const regex = new RegExp(`\\b(?:[Oo]rganizer|ORGANIZER|[Ii]ncorporator|INCORPORATOR|[Aa]uthorized\\s+[Pp]erson|AUTHORIZED\\s+PERSON)[sS]?(?:\\s+[Nn]ame)?\\s*[:\\-]\\s*(${PERSON_NAME_SOURCE}(?:\\s*(?:,|and|&)\\s*${PERSON_NAME_SOURCE})*)`, 'g');
+  let match;
+
+  while ((match = regex.exec(text)) !== null) {
+    const names = match[1].split(/\s*(?:,|\band\b|&)\s*/).map(cutAtLabel).filter(name => name.split(/\s+/).length >= 2);
+
+    names.forEach(name => {
+      if (organizers.some(existing => existing.value.toLowerCase() === name.toLowerCase())) return;
+
+      const after = text.slice(match.index + match[0].length, match.index + match[0].length + 120);
+      const address = new RegExp(`^[\\s,]*(${ADDRESS_SOURCE})`, 'i').exec(after);
+
+      organizers.push(makeField(text, name, 75, match[0], {
+        address: address ? parseAddress(address[1]) : null
+      }));
+    });
+  }
+
+  return organizers;
+}
+
+// Structured formation data from Articles of Organization / Certificates of Formation.
+// Every field is { value, confidence, source } or null when the document does not state it.
+function extractFormationData(text) {
+  if (!text || text.length < 10) {
+    return {
+      stateOfFormation: null,
+      filingDate: null,
+      filingNumber: null,
+      registeredAgent: null,
+      principalOffice: null,
+      organizers: []
+    };
+  }
+
+  const cleanText = text.replace(/\s+/g, ' ').trim();
+
+  const formationData = {
+    stateOfFormation: extractStateOfFormation(cleanText),
+    filingDate: extractFilingDate(cleanText),
+    filingNumber: extractFilingNumber(cleanText),
+    registeredAgent: extractRegisteredAgent(cleanText),
+    principalOffice: extractPrincipalOffice(cleanText),
+    organizers: extractOrganizers(cleanText)
+  };
+
+  const foundFields = Object.values(formationData).filter(value => Array.isArray(value) ? value.length > 0 : value).length;
+  console.log(`🏛️ Formation data: ${foundFields}/6 fields found`);
+
+  return formationData;
+}
+
+module.exports = { extractFormationData, parseFilingDate, parseAddress, US_STATES };
@@ -0,0 +1,145 @@
+// utils/imageFormats.js - TIFF (multi-page), WebP, BMP, GIF and HEIC uploads converted to PNG pages,
+// the image format every OCR provider reads
+const fs = require('fs');
+const path = require('path');
+const ocr = require('./ocr');
+
+// heic-convert decodes iPhone photos, which sharp's prebuilt libvips cannot (optional)
+let heicConvert = null;
+try {
+  heicConvert = require('heic-convert');
+  console.log('✅ heic-convert available - HEIC photos can be read');
+} catch (error) {
+  console.log('⚠️ heic-convert not available (optional) - HEIC photos need sharp with HEVC support');
+}
+
+const CONVERTED_FORMATS = {
+  'image/tiff': 'TIFF',
+  'image/webp': 'WebP',
+  'image/bmp': 'BMP',
+  'image/x-ms-bmp': 'BMP',
+  'image/gif': 'GIF',
+  'image/heic': 'HEIC',
+  'image/heif': 'HEIC'
+};
+
+function needsConversion(mimetype) {
+  return mimetype in CONVERTED_FORMATS;
+}
+
+function formatName(mimetype) {
+  return CONVERTED_FORMATS[mimetype] || null;
+}
+
+// Why a format cannot be converted here, or null when it can. Formats that cannot be converted
+// still reach the OCR providers whose `mimetypes` list them (OCR.space reads TIFF, GIF and BMP).
+function conversionUnavailableReason(mimetype) {
+  if (!needsConversion(mimetype)) return null;
+  if (formatName(mimetype) === 'HEIC' && (heicConvert || ocr.sharp)) return null;
+  return ocr.sharp ? null : `sharp is needed to read ${formatName(mimetype)} images`;
+}
+
+// Uncompressed Windows bitmaps (1, 4, 8, 24 and 32 bits per pixel) as RGBA pixels; sharp has no
+// BMP reader
+function decodeBmp(buffer) {
+  if (buffer.length < 54 || buffer.toString('latin1', 0, 2) !== 'BM') throw new Error('Not a BMP file');
+
+  const pixelOffset = buffer.readUInt32LE(10);
+  const headerSize = buffer.readUInt32LE(14);
+  const width = buffer.readInt32LE(18);
+  const rawHeight = buffer.readInt32LE(22);
+  const bitsPerPixel = buffer.readUInt16LE(28);
+  const compression = buffer.readUInt32LE(30);
+  const height = Math.abs(rawHeight);
+  // Rows are stored bottom-up unless the height is negative
+  const topDown = rawHeight < 0;
+
+  if (compression !== 0 && !(compression === 3 && bitsPerPixel === 32)) {
+    throw new Error(`Compressed BMP files are not supported (compression ${compression})`);
+  }
+  if (![1, 4, 8, 24, 32].includes(bitsPerPixel)) throw new Error(`${bitsPerPixel}-bit BMP files are not supported`);
+
+  const paletteSize = bitsPerPixel <= 8 ? (buffer.readUInt32LE(46) || 1 << bitsPerPixel) : 0;
+  const paletteOffset = 14 + headerSize;
+  const palette = Array.from({ length: paletteSize }, (value, i) => {
+    const offset = paletteOffset + i * 4;
+    return [buffer[offset + 2], buffer[offset + 1], buffer[offset]];
+  });
+
+  const rowSize = Math.ceil((width * bitsPerPixel) / 32) * 4;
+  if (pixelOffset + rowSize * height > buffer.length) throw new Error('BMP file is truncated');
+  const pixels = Buffer.alloc(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    const row = pixelOffset + (topDown ? y : height - 1 - y) * rowSize;
+    for (let x = 0; x < width; x++) {
+      let rgb;
+      if (bitsPerPixel === 24 || bitsPerPixel === 32) {
+        const offset = row + x * (bitsPerPixel / 8);
+        rgb = [buffer[offset + 2], buffer[offset + 1], buffer[offset]];
+      } else {
+        const bitOffset = x * bitsPerPixel;
+        const byte = buffer[row + (bitOffset >> 3)];
+        const index = (byte >> (8 - bitsPerPixel - (bitOffset & 7))) & ((1 << bitsPerPixel) - 1);
+        rgb = palette[index] || [0, 0, 0];
+      }
+      pixels.set([...rgb, 255], (y * width + x) * 4);
+    }
+  }
+
+  return { pixels, width, height };
+}
+
+// HEIC through sharp when its libvips can decode it, else through heic-convert
+async function convertHeic(filePath, outputPath) {
+  if (ocr.sharp) {
+    try {
+      await ocr.sharp(filePath).rotate().png().toFile(outputPath);
+      return;
+    } catch (error) {
+      if (!heicConvert) throw new Error(`HEIC could not be read by sharp (${error.message}) and heic-convert is not installed`);
+    }
+  }
+  const png = await heicConvert({ buffer: fs.readFileSync(filePath), format: 'PNG' });
+  fs.writeFileSync(outputPath, Buffer.from(png));
+}
+
+// Convert an image to PNG files in `directory`, one per page: [{ pageNumber, filePath }].
+// Every page of a TIFF is kept; animated GIF and WebP files keep their first frame.
+async function convertToPngPages(filePath, mimetype, directory) {
+  const reason = conversionUnavailableReason(mimetype);
+  if (reason) throw new Error(reason);
+  const format = formatName(mimetype);
+  const pagePath = pageNumber => path.join(directory, `page-${pageNumber}.png`);
+
+  if (format === 'HEIC') {
+    await convertHeic(filePath, pagePath(1));
+    return [{ pageNumber: 1, filePath: pagePath(1) }];
+  }
+
+  if (format === 'BMP') {
+    const { pixels, width, height } = decodeBmp(fs.readFileSync(filePath));
+    await ocr.sharp(pixels, { raw: { width, height, channels: 4 } }).png().toFile(pagePath(1));
+    return [{ pageNumber: 1, filePath: pagePath(1) }];
+  }
+
+  const metadata = await ocr.sharp(filePath).metadata();
+  const pageCount = format === 'TIFF' ? metadata.pages || 1 : 1;
+  const pages = [];
+  for (let page = 0; page < pageCount; page++) {
+    // rotate() applies the orientation tag, which fax TIFFs often carry
+    await ocr.sharp(filePath, { page }).rotate().png().toFile(pagePath(page + 1));
+    pages.push({ pageNumber: page + 1, filePath: pagePath(page + 1) });
+  }
+
+  console.log(`🖼️ Converted ${format} to ${pages.length} PNG page${pages.length === 1 ? '' : 's'}`);
+  return pages;
+}
+
+module.exports = {
+  CONVERTED_FORMATS,
+  needsConversion,
+  formatName,
+  conversionUnavailableReason,
+  convertToPngPages
+};
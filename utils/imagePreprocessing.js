@@ -0,0 +1,308 @@
+// utils/imagePreprocessing.js - Named image preprocessing profiles applied before local OCR
+const ocr = require('./ocr');
+
+// Steps run in order on a greyscale image; EXIF orientation is always applied first
+const PROFILES = {
+  'clean-scan': {
+    description: 'Flatbed scan with an even background: stretch contrast and sharpen',
+    steps: ['contrastStretch', 'resize', 'sharpen']
+  },
+  fax: {
+    description: 'Low-resolution black-and-white fax: despeckle, crop borders, deskew, upscale and binarize',
+    steps: ['despeckle', 'cropBorders', 'deskew', 'upscale', 'binarize']
+  },
+  photo: {
+    description: 'Phone photo with uneven light: crop borders, stretch contrast, deskew and adaptive binarization',
+    steps: ['cropBorders', 'contrastStretch', 'deskew', 'resize', 'adaptiveBinarize', 'despeckle']
+  },
+  none: {
+    description: 'No preprocessing (the image as uploaded)',
+    steps: []
+  }
+};
+
+const TARGET_HEIGHT = 2000;
+const MAX_SKEW_DEGREES = 5;
+const SKEW_STEP_DEGREES = 0.5;
+const DARK_LEVEL = 128;
+
+function hasProfile(name) {
+  return name === 'auto' || Object.prototype.hasOwnProperty.call(PROFILES, name);
+}
+
+function listProfiles() {
+  return [
+    { name: 'auto', description: 'Choose fax, photo or clean-scan from the image statistics' },
+    ...Object.entries(PROFILES).map(([name, profile]) => ({ name, description: profile.description, steps: profile.steps }))
+  ];
+}
+
+function histogram(data) {
+  const counts = new Array(256).fill(0);
+  for (let i = 0; i < data.length; i++) counts[data[i]]++;
+  return counts;
+}
+
+// Grey level below which `fraction` of the pixels fall
+function percentile(counts, total, fraction) {
+  let seen = 0;
+  for (let level = 0; level < 256; level++) {
+    seen += counts[level];
+    if (seen >= total * fraction) return level;
+  }
+  return 255;
+}
+
+// Otsu's threshold: the grey level that best separates ink from paper
+function otsuThreshold(counts, total) {
+  const sumAll = counts.reduce((sum, count, level) => sum + count * level, 0);
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let best = { level: DARK_LEVEL, variance: -1 };
+
+  for (let level = 0; level < 256; level++) {
+    weightBackground += counts[level];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+
+    sumBackground += level * counts[level];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sumAll - sumBackground) / weightForeground;
+    const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+    if (variance > best.variance) best = { level, variance };
+  }
+  return best.level;
+}
+
+function toSharp(image) {
+  return ocr.sharp(image.data, { raw: { width: image.width, height: image.height, channels: 1 } });
+}
+
+async function fromSharp(pipeline) {
+  const { data, info } = await pipeline.removeAlpha().greyscale().raw().toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+// Skew angle (degrees) whose row projection of dark pixels is the most peaked - text lines
+// line up with the rows when the page is straight. Measured on a copy at most 1000px wide.
+async function measureSkew(image) {
+  const scale = Math.min(1, 1000 / image.width);
+  const small = scale < 1 ? await fromSharp(toSharp(image).resize(Math.round(image.width * scale))) : image;
+  const points = [];
+  for (let y = 0; y < small.height; y++) {
+    for (let x = 0; x < small.width; x++) {
+      if (small.data[y * small.width + x] < DARK_LEVEL) points.push(x, y);
+    }
+  }
+  if (points.length === 0) return 0;
+
+  let best = { angle: 0, score: -1 };
+  for (let angle = -MAX_SKEW_DEGREES; angle <= MAX_SKEW_DEGREES; angle += SKEW_STEP_DEGREES) {
+    const radians = angle * Math.PI / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    const rows = new Map();
+    for (let i = 0; i < points.length; i += 2) {
+      const row = Math.round(points[i] * sin + points[i + 1] * cos);
+      rows.set(row, (rows.get(row) || 0) + 1);
+    }
+    let score = 0;
+    rows.forEach(count => { score += count * count; });
+    if (score > best.score) best = { angle, score };
+  }
+  return best.angle;
+}
+
+// Bounding box of the content: rows and columns that are neither blank paper nor a solid dark
+// border (a scanner lid or the table under a photographed page)
+function contentBox(image) {
+  const isBorder = (darkCount, length) => darkCount >= length * 0.5;
+  const isContent = (darkCount, length) => darkCount > length * 0.002 && !isBorder(darkCount, length);
+  const rowDark = new Array(image.height).fill(0);
+  const columnDark = new Array(image.width).fill(0);
+  for (let y = 0; y < image.height; y++) {
+    for (let x = 0; x < image.width; x++) {
+      if (image.data[y * image.width + x] < DARK_LEVEL) {
+        rowDark[y]++;
+        columnDark[x]++;
+      }
+    }
+  }
+
+  const rows = rowDark.map((count, y) => (isContent(count, image.width) ? y : -1)).filter(y => y >= 0);
+  const columns = columnDark.map((count, x) => (isContent(count, image.height) ? x : -1)).filter(x => x >= 0);
+  if (rows.length === 0 || columns.length === 0) return null;
+
+  // Keep a margin of paper around the content, but never the border itself
+  const pad = (start, step, darkCounts, length) => {
+    let edge = start;
+    for (let i = 0; i < 20; i++) {
+      const next = edge + step;
+      if (next < 0 || next >= darkCounts.length || isBorder(darkCounts[next], length)) break;
+      edge = next;
+    }
+    return edge;
+  };
+  const left = pad(columns[0], -1, columnDark, image.height);
+  const top = pad(rows[0], -1, rowDark, image.width);
+  const right = pad(columns[columns.length - 1], 1, columnDark, image.height);
+  const bottom = pad(rows[rows.length - 1], 1, rowDark, image.width);
+  return { left, top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+const STEPS = {
+  resize: image => fromSharp(toSharp(image).resize(null, TARGET_HEIGHT, { withoutEnlargement: true })),
+  upscale: image => (image.height < TARGET_HEIGHT ? fromSharp(toSharp(image).resize(null, TARGET_HEIGHT)) : image),
+  sharpen: image => fromSharp(toSharp(image).sharpen()),
+  despeckle: image => fromSharp(toSharp(image).median(3)),
+
+  // Map the 1st-99th percentile grey levels onto the full range
+  contrastStretch: image => {
+    const counts = histogram(image.data);
+    const low = percentile(counts, image.data.length, 0.01);
+    const high = percentile(counts, image.data.length, 0.99);
+    if (high - low < 10 || (low === 0 && high === 255)) return image;
+    const factor = 255 / (high - low);
+    return fromSharp(toSharp(image).linear(factor, -low * factor));
+  },
+
+  binarize: image => {
+    const threshold = otsuThreshold(histogram(image.data), image.data.length);
+    const data = Buffer.alloc(image.data.length);
+    for (let i = 0; i < data.length; i++) data[i] = image.data[i] <= threshold ? 0 : 255;
+    return { ...image, data };
+  },
+
+  // Ink is what is clearly darker than its neighbourhood, so shadows and gradients drop out
+  adaptiveBinarize: async image => {
+    const background = await fromSharp(toSharp(image).blur(15));
+    const data = Buffer.alloc(image.data.length);
+    for (let i = 0; i < data.length; i++) data[i] = image.data[i] < background.data[i] - 10 ? 0 : 255;
+    return { ...image, data };
+  },
+
+  deskew: async (image, report) => {
+    const angle = await measureSkew(image);
+    report.deskewAngle = angle;
+    if (Math.abs(angle) < SKEW_STEP_DEGREES) return image;
+    return fromSharp(toSharp(image).rotate(angle, { background: { r: 255, g: 255, b: 255 } }));
+  },
+
+  cropBorders: async (image, report) => {
+    const box = contentBox(image);
+    if (!box || (box.width >= image.width * 0.98 && box.height >= image.height * 0.98)) return image;
+    report.crop = box;
+    return fromSharp(toSharp(image).extract(box));
+  }
+};
+
+// Keep `mapping` (original = offset + processed / scale) up to date after a step changed the size.
+// Deskewing only grows the canvas here; the small rotation itself is not undone.
+function trackGeometry(step, before, after, mapping, report) {
+  if (before.width === after.width && before.height === after.height) return;
+  if (step === 'cropBorders') {
+    mapping.offsetX += report.crop.left / mapping.scale;
+    mapping.offsetY += report.crop.top / mapping.scale;
+  } else if (step === 'deskew') {
+    mapping.offsetX -= (after.width - before.width) / 2 / mapping.scale;
+    mapping.offsetY -= (after.height - before.height) / 2 / mapping.scale;
+  } else {
+    mapping.scale *= after.height / before.height;
+  }
+}
+
+// A box on the preprocessed image, in pixels of the original (EXIF-rotated) image
+function mapToOriginal(bbox, mapping) {
+  if (!bbox || !mapping) return bbox;
+  return {
+    x0: Math.round(mapping.offsetX + bbox.x0 / mapping.scale),
+    y0: Math.round(mapping.offsetY + bbox.y0 / mapping.scale),
+    x1: Math.round(mapping.offsetX + bbox.x1 / mapping.scale),
+    y1: Math.round(mapping.offsetY + bbox.y1 / mapping.scale)
+  };
+}
+
+// Statistics used to pick a profile, measured on a greyscale copy 600px wide
+async function analyzeImage(imagePath) {
+  const metadata = await ocr.sharp(imagePath).metadata();
+  const stats = await ocr.sharp(imagePath).stats();
+  // Nearest-neighbour scaling adds no grey levels, so a black-and-white fax stays black and white
+  const grey = await fromSharp(ocr.sharp(imagePath).rotate().resize(600, null, { kernel: 'nearest' }));
+  const counts = histogram(grey.data);
+  const total = grey.data.length;
+  const midtones = counts.slice(40, 216).reduce((sum, count) => sum + count, 0);
+  const channelMeans = stats.channels.slice(0, 3).map(channel => channel.mean);
+
+  return {
+    width: metadata.width,
+    height: metadata.height,
+    density: metadata.density || null,
+    format: metadata.format,
+    orientation: metadata.orientation || 1,
+    isColor: channelMeans.length === 3 && Math.max(...channelMeans) - Math.min(...channelMeans) > 12,
+    midtoneRatio: Math.round((midtones / total) * 100) / 100,
+    backgroundLevel: percentile(counts, total, 0.9)
+  };
+}
+
+// Profile for an image: nearly pure black and white is a fax; colour, a camera orientation tag
+// or a dim background is a photo; anything else is a clean scan
+function chooseProfile(stats) {
+  if (!stats.isColor && stats.midtoneRatio < 0.05) {
+    return { name: 'fax', reason: `${Math.round(stats.midtoneRatio * 100)}% mid-grey pixels (black and white)` };
+  }
+  if (stats.isColor || stats.orientation > 1 || stats.backgroundLevel < 200) {
+    const why = stats.isColor ? 'colour image' : stats.orientation > 1 ? 'camera orientation tag' : `background level ${stats.backgroundLevel}`;
+    return { name: 'photo', reason: why };
+  }
+  return { name: 'clean-scan', reason: `light, even background (level ${stats.backgroundLevel})` };
+}
+
+// Write `imagePath` preprocessed with a profile ("auto" picks one) to `outputPath` as PNG.
+// Returns { path, profile, reason, steps, width, height, mapping, ... } - `path` is the original
+// image for "none"; `width` and `height` are the original's, and `mapping` leads back to it.
+async function preprocessImage(imagePath, profileName = 'auto', outputPath = `${imagePath}_processed.png`) {
+  if (!hasProfile(profileName)) throw new Error(`Unknown preprocessing profile "${profileName}"`);
+
+  let choice = { name: profileName, reason: 'requested' };
+  if (profileName === 'auto') {
+    const stats = await analyzeImage(imagePath);
+    choice = chooseProfile(stats);
+    choice.stats = stats;
+  }
+
+  const profile = PROFILES[choice.name];
+  const mapping = { offsetX: 0, offsetY: 0, scale: 1 };
+  const report = { path: outputPath, profile: choice.name, reason: choice.reason, steps: profile.steps, mapping };
+  if (choice.stats) report.stats = choice.stats;
+
+  if (profile.steps.length === 0) {
+    const metadata = await ocr.sharp(imagePath).metadata();
+    const turned = (metadata.orientation || 1) >= 5;
+    return { ...report, path: imagePath, width: turned ? metadata.height : metadata.width, height: turned ? metadata.width : metadata.height };
+  }
+
+  console.log(`🖼️ Preprocessing ${choice.name} (${choice.reason}): ${profile.steps.join(' → ')}`);
+  let image = await fromSharp(ocr.sharp(imagePath).rotate());
+  report.width = image.width;
+  report.height = image.height;
+  for (const step of profile.steps) {
+    const before = image;
+    image = await STEPS[step](image, report);
+    trackGeometry(step, before, image, mapping, report);
+  }
+
+  await toSharp(image).toColourspace('b-w').png().toFile(outputPath);
+  return report;
+}
+
+module.exports = {
+  PROFILES,
+  hasProfile,
+  listProfiles,
+  analyzeImage,
+  chooseProfile,
+  preprocessImage,
+  mapToOriginal
+};
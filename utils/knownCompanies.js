@@ -0,0 +1,130 @@
+// utils/knownCompanies.js
+const fs = require('fs');
+const path = require('path');
+const { detectEntitySuffix } = require('./entitySuffixes');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'config', 'known-companies.json');
+const DEFAULT_CONFIDENCE = { direct: 90, characterHunt: 80, fragment: 85 };
+
+let knownCompanies = [];
+let sourceFile = process.env.KNOWN_COMPANIES_FILE || DEFAULT_FILE;
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Validate and fill defaults for a dictionary entry
+function normalizeEntry(entry) {
+  if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+    throw new Error('Known company entry requires a "name"');
+  }
+
+  const name = entry.name.trim();
+  const entity = detectEntitySuffix(name);
+  const suffix = (entry.suffix || (entity ? entity.suffix : '')).trim();
+  const core = (entry.core || (entity ? entity.base : name)).replace(/,$/, '').trim();
+
+  if (core.replace(/[^A-Za-z0-9]/g, '').length < 3) {
+    throw new Error(`Known company "${name}" needs a "core" search term of at least 3 letters`);
+  }
+
+  const fragments = (entry.fragments && entry.fragments.length > 0
+    ? entry.fragments
+    : core.split(/[^A-Za-z0-9]+/).filter(word => word.length >= 3)
+  ).map(fragment => fragment.toLowerCase());
+
+  return {
+    name,
+    core,
+    suffix,
+    fragments,
+    maxGap: Number.isInteger(entry.maxGap) ? entry.maxGap : 20,
+    confidence: { ...DEFAULT_CONFIDENCE, ...(entry.confidence || {}) }
+  };
+}
+
+// Load the dictionary from disk (missing file means an empty dictionary)
+function loadKnownCompanies(filePath = sourceFile) {
+  sourceFile = filePath;
+
+  if (!fs.existsSync(filePath)) {
+    console.log(`⚠️ Known company dictionary not found at ${filePath} - starting empty`);
+    knownCompanies = [];
+    return knownCompanies;
+  }
+
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const entries = Array.isArray(data) ? data : (data.companies || []);
+  knownCompanies = entries.map(normalizeEntry);
+
+  console.log(`📚 Loaded ${knownCompanies.length} known companies from ${path.basename(filePath)}`);
+  return knownCompanies;
+}
+
+function saveKnownCompanies() {
+  fs.mkdirSync(path.dirname(sourceFile), { recursive: true });
+  fs.writeFileSync(sourceFile, JSON.stringify({ companies: knownCompanies }, null, 2) + '\n');
+}
+
+function getKnownCompanies() {
+  return knownCompanies;
+}
+
+// Add or replace an entry (matched by name) and persist the dictionary
+function upsertKnownCompany(entry) {
+  const normalized = normalizeEntry(entry);
+  const index = knownCompanies.findIndex(company => company.name.toLowerCase() === normalized.name.toLowerCase());
+
+  if (index === -1) {
+    knownCompanies.push(normalized);
+  } else {
+    knownCompanies[index] = normalized;
+  }
+
+  saveKnownCompanies();
+  return normalized;
+}
+
+function removeKnownCompany(name) {
+  const before = knownCompanies.length;
+  knownCompanies = knownCompanies.filter(company => company.name.toLowerCase() !== String(name).toLowerCase());
+
+  if (knownCompanies.length === before) return false;
+
+  saveKnownCompanies();
+  return true;
+}
+
+// "BitConcepts ... LLC" with up to maxGap non-letters in between
+function buildDirectSearchRegex(company) {
+  const suffix = company.suffix ? `[^A-Za-z]{0,${company.maxGap}}${escapeRegex(company.suffix)}` : '';
+  return new RegExp(`${escapeRegex(company.core)}${suffix}`, 'gi');
+}
+
+// Letter-by-letter match that tolerates OCR noise between characters
+function buildCharacterHuntRegex(company) {
+  const spell = value => value
+    .replace(/[^A-Za-z0-9]/g, '')
+    .split('')
+    .map(char => escapeRegex(char))
+    .join('[^A-Za-z]{0,5}');
+
+  const suffix = company.suffix ? `[^A-Za-z]{0,${company.maxGap}}${spell(company.suffix)}` : '';
+  return new RegExp(`${spell(company.core)}${suffix}`, 'gi');
+}
+
+function buildIndicatorRegex(company) {
+  return new RegExp(escapeRegex(company.core), 'gi');
+}
+
+loadKnownCompanies();
+
+module.exports = {
+  loadKnownCompanies,
+  getKnownCompanies,
+  upsertKnownCompany,
+  removeKnownCompany,
+  buildDirectSearchRegex,
+  buildCharacterHuntRegex,
+  buildIndicatorRegex
+};
@@ -0,0 +1,112 @@
+// utils/languages.js
+
+// OCR languages with their OCR.space and Tesseract codes, plus common words used to detect them.
+// OCR.space has no Norwegian model; its Engine 2 auto-detection covers it.
+const LANGUAGES = [
+  { code: 'en', name: 'English', ocrSpace: 'eng', tesseract: 'eng', words: ['the', 'and', 'of', 'to', 'in', 'is', 'for', 'with', 'by', 'this', 'that', 'shall', 'company'] },
+  { code: 'de', name: 'German', ocrSpace: 'ger', tesseract: 'deu', words: ['der', 'die', 'das', 'und', 'mit', 'von', 'für', 'ist', 'den', 'des', 'eine', 'nicht', 'auf', 'gesellschaft'] },
+  { code: 'fr', name: 'French', ocrSpace: 'fre', tesseract: 'fra', words: ['le', 'la', 'les', 'et', 'des', 'du', 'une', 'est', 'pour', 'par', 'dans', 'au', 'sur', 'société'] },
+  { code: 'es', name: 'Spanish', ocrSpace: 'spa', tesseract: 'spa', words: ['el', 'los', 'las', 'y', 'del', 'que', 'en', 'por', 'con', 'una', 'para', 'sociedad'] },
+  { code: 'it', name: 'Italian', ocrSpace: 'ita', tesseract: 'ita', words: ['il', 'gli', 'di', 'della', 'che', 'per', 'con', 'sono', 'una', 'nel', 'società'] },
+  { code: 'pt', name: 'Portuguese', ocrSpace: 'por', tesseract: 'por', words: ['os', 'do', 'da', 'dos', 'das', 'que', 'em', 'para', 'com', 'uma', 'não', 'sociedade'] },
+  { code: 'nl', name: 'Dutch', ocrSpace: 'dut', tesseract: 'nld', words: ['de', 'het', 'een', 'en', 'van', 'voor', 'met', 'dat', 'op', 'niet', 'vennootschap'] },
+  { code: 'pl', name: 'Polish', ocrSpace: 'pol', tesseract: 'pol', words: ['i', 'w', 'z', 'na', 'się', 'do', 'nie', 'jest', 'oraz', 'przez', 'dla', 'spółka'] },
+  { code: 'sv', name: 'Swedish', ocrSpace: 'swe', tesseract: 'swe', words: ['och', 'att', 'det', 'som', 'för', 'med', 'av', 'är', 'på', 'till', 'bolaget'] },
+  { code: 'da', name: 'Danish', ocrSpace: 'dan', tesseract: 'dan', words: ['og', 'at', 'det', 'som', 'for', 'med', 'af', 'er', 'på', 'til', 'selskabet'] },
+  { code: 'no', name: 'Norwegian', ocrSpace: null, tesseract: 'nor', words: ['og', 'å', 'det', 'som', 'for', 'med', 'av', 'er', 'på', 'til', 'selskapet'] },
+  { code: 'fi', name: 'Finnish', ocrSpace: 'fin', tesseract: 'fin', words: ['ja', 'on', 'että', 'ei', 'se', 'tai', 'kanssa', 'yhtiön', 'osakeyhtiö'] },
+  { code: 'ja', name: 'Japanese', ocrSpace: 'jpn', tesseract: 'jpn', script: /[\u3040-\u30ff\u4e00-\u9faf]/g }
+];
+
+const AUTO = 'auto';
+const MIN_DETECTION_WORDS = 20;
+
+function findLanguage(value) {
+  const key = String(value).trim().toLowerCase();
+  return LANGUAGES.find(language =>
+    [language.code, language.ocrSpace, language.tesseract, language.name.toLowerCase()].includes(key)
+  ) || null;
+}
+
+function parseLanguageHint(hint) {
+  const value = String(hint).trim();
+  if (value.toLowerCase() === AUTO) return { hint: AUTO, auto: true, languages: [] };
+
+  const languages = value.split(/[+,\s]+/).filter(Boolean).map(findLanguage);
+  if (languages.length === 0 || languages.includes(null)) return null;
+
+  return { hint: value, auto: false, languages: [...new Set(languages)] };
+}
+
+// Turn a request's language hint into OCR settings. Accepts "auto", ISO codes ("de"), OCR.space
+// or Tesseract codes ("ger", "deu"), names ("German") and lists ("de+en", "fr,en").
+// Returns null when any part of the hint is unknown; without a hint OCR_LANGUAGE (or English) applies.
+function resolveLanguageHint(hint) {
+  if (hint) return parseLanguageHint(hint);
+
+  const configured = process.env.OCR_LANGUAGE ? parseLanguageHint(process.env.OCR_LANGUAGE) : null;
+  if (process.env.OCR_LANGUAGE && !configured) {
+    console.log(`⚠️ Unknown OCR_LANGUAGE "${process.env.OCR_LANGUAGE}" - using English`);
+  }
+  return configured || parseLanguageHint('en');
+}
+
+// OCR.space takes one language per request; Engine 1 cannot auto-detect, so it falls back to English
+function ocrSpaceLanguage(resolved, engine) {
+  const supported = resolved && !resolved.auto ? resolved.languages.find(language => language.ocrSpace) : null;
+  if (supported) return supported.ocrSpace;
+  return String(engine) === '1' ? 'eng' : AUTO;
+}
+
+// Tesseract loads several models at once ("deu+eng"); `detectedCode` adds the language detected in auto mode
+function tesseractLanguage(resolved, detectedCode = null) {
+  const languages = resolved && !resolved.auto ? resolved.languages : [findLanguage('en')];
+  const codes = languages.map(language => language.tesseract);
+  const detected = detectedCode ? findLanguage(detectedCode) : null;
+  if (detected && !codes.includes(detected.tesseract)) codes.unshift(detected.tesseract);
+  return codes.join('+');
+}
+
+// Guess the document language from its common words (or script, for Japanese).
+// Returns a null code when there is too little text to tell.
+function detectLanguage(text) {
+  const words = ((text || '').toLowerCase().match(/\p{L}+/gu) || []);
+  const scores = {};
+
+  LANGUAGES.forEach(language => {
+    if (language.script) {
+      scores[language.code] = ((text || '').match(language.script) || []).length / 2;
+    } else {
+      const common = new Set(language.words);
+      scores[language.code] = words.filter(word => common.has(word)).length;
+    }
+  });
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [bestCode, bestScore] = ranked[0];
+  const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+
+  if (bestScore === 0 || (words.length < MIN_DETECTION_WORDS && bestCode !== 'ja')) {
+    return { code: null, name: null, confidence: 0 };
+  }
+
+  const language = findLanguage(bestCode);
+  return {
+    code: language.code,
+    name: language.name,
+    confidence: Math.round((bestScore / total) * 100)
+  };
+}
+
+function listLanguages() {
+  return [AUTO, ...LANGUAGES.map(language => language.code)];
+}
+
+module.exports = {
+  LANGUAGES,
+  resolveLanguageHint,
+  ocrSpaceLanguage,
+  tesseractLanguage,
+  detectLanguage,
+  listLanguages
+};
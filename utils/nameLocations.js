@@ -0,0 +1,112 @@
+// utils/nameLocations.js - Where on the page each candidate name was read, from the word boxes
+// of the text layer or the OCR result, and which part of an email it came from
+const { foldAccents } = require('./nameNormalizer');
+
+function wordKey(text) {
+  return foldAccents(String(text || '').toLowerCase()).replace(/&/g, 'and').replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+// Spellings to look for, most literal first: the text as matched, the corrected name, the
+// formatted name, and the match key (no suffix) as a last resort
+function searchKeys(candidate) {
+  const keys = [candidate.originalMatch, candidate.rawName, candidate.correctedName, candidate.name]
+    .map(wordKey)
+    .concat(candidate.matchKey || '')
+    .filter(key => key.length >= 3);
+  return Array.from(new Set(keys));
+}
+
+// Runs of consecutive words whose keys join up to `key`, so "Sun ny Bakery" and "L.L.C." match.
+// Words without letters or digits ("&") can sit inside a run but never start one.
+function findWordRuns(words, key) {
+  const runs = [];
+  for (let start = 0; start < words.length; start++) {
+    if (!words[start].key) continue;
+    let joined = '';
+    for (let end = start; end < words.length; end++) {
+      joined += words[end].key;
+      if (joined === key) {
+        runs.push(words.slice(start, end + 1));
+        start = end;
+        break;
+      }
+      if (!key.startsWith(joined)) break;
+    }
+  }
+  return runs;
+}
+
+// One box per line the run covers: a word starting below the previous word's middle starts a new line
+function lineBoxes(run) {
+  const boxes = [];
+  run.forEach(word => {
+    const box = boxes[boxes.length - 1];
+    const middle = box ? (box.y0 + box.y1) / 2 : null;
+    if (box && word.bbox.y0 < middle && word.bbox.x0 >= box.x0) {
+      box.x1 = Math.max(box.x1, word.bbox.x1);
+      box.y0 = Math.min(box.y0, word.bbox.y0);
+      box.y1 = Math.max(box.y1, word.bbox.y1);
+    } else {
+      boxes.push({ ...word.bbox });
+    }
+  });
+  return boxes;
+}
+
+// Every place the candidate appears: [{ pageNumber, source, units, pageWidth, pageHeight, text, boxes }]
+function locateName(candidate, pages) {
+  for (const key of searchKeys(candidate)) {
+    const locations = pages.flatMap(page => findWordRuns(page.words, key).map(run => ({
+      pageNumber: page.pageNumber,
+      source: page.source,
+      units: page.units,
+      pageWidth: page.width,
+      pageHeight: page.height,
+      text: run.map(word => word.text).join(' '),
+      boxes: lineBoxes(run)
+    })));
+    if (locations.length > 0) return locations;
+  }
+  return [];
+}
+
+// Add `locations` to each candidate from the page layout of documentParser (empty when the
+// document has no word positions, such as DOCX or plain text)
+function locateCandidates(candidates, layout = []) {
+  const pages = layout.map(page => ({
+    ...page,
+    words: (page.words || [])
+      .filter(word => word.bbox)
+      .map(word => ({ ...word, key: wordKey(word.text) }))
+  }));
+
+  candidates.forEach(candidate => {
+    candidate.locations = pages.length > 0 ? locateName(candidate, pages) : [];
+  });
+
+  const located = candidates.filter(candidate => candidate.locations.length > 0).length;
+  if (pages.length > 0) console.log(`📍 Located ${located}/${candidates.length} candidates on the page`);
+  return candidates;
+}
+
+// Add `part` (the label of the first part the name appears in, such as "body" or an attachment's
+// file name) and `parts` (every such label) to each candidate, for documents read in parts like
+// emails. `parts` are the { label, start, end } ranges of documentParser's metadata.
+function labelCandidateParts(candidates, text, parts) {
+  const partKeys = (parts || [])
+    .filter(part => part.start !== null && part.start !== undefined)
+    .map(part => ({ label: part.label, key: wordKey(text.slice(part.start, part.end)) }));
+  if (partKeys.length === 0) return candidates;
+
+  candidates.forEach(candidate => {
+    const keys = searchKeys(candidate);
+    candidate.parts = partKeys.filter(part => keys.some(key => part.key.includes(key))).map(part => part.label);
+    candidate.part = candidate.parts[0] || null;
+  });
+  return candidates;
+}
+
+module.exports = {
+  locateCandidates,
+  labelCandidateParts
+};
@@ -0,0 +1,263 @@
+// utils/nameNormalizer.js
+const fs = require('fs');
+const path = require('path');
+const knownCompanies = require('./knownCompanies');
+const { detectEntitySuffix, stripEntitySuffix } = require('./entitySuffixes');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'config', 'format-profiles.json');
+const DEFAULT_PROFILE = {
+  name: 'standard',
+  casing: 'title',
+  commaBeforeSuffix: true,
+  suffixStyle: 'abbreviation',
+  suffixPeriods: true,
+  commaExceptions: ['Corp.', 'Co.', 'Nonprofit Corp.'],
+  acronyms: [],
+  brands: []
+};
+// Without a profile file, names are kept as filed; rewriting them is opt-in
+const AS_WRITTEN_PROFILE = {
+  ...DEFAULT_PROFILE,
+  name: 'as-written',
+  casing: 'preserve',
+  commaBeforeSuffix: 'preserve',
+  suffixStyle: 'preserve'
+};
+
+// Short words kept lowercase inside a title-cased name ("Banco de la Nación", "Müller und Söhne")
+const MINOR_WORDS = new Set([
+  'a', 'an', 'and', 'as', 'at', 'by', 'de', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with',
+  'da', 'das', 'del', 'della', 'des', 'di', 'do', 'dos', 'du', 'e', 'et', 'la', 'le', 'und', 'y'
+]);
+const CASINGS = ['title', 'upper', 'preserve'];
+const SUFFIX_STYLES = ['abbreviation', 'full', 'preserve'];
+
+let profiles = {};
+let portals = {};
+let defaultProfileName = AS_WRITTEN_PROFILE.name;
+let sourceFile = process.env.FORMAT_PROFILES_FILE || DEFAULT_FILE;
+
+function normalizeProfile(name, profile) {
+  const merged = { ...DEFAULT_PROFILE, ...profile, name };
+
+  if (!CASINGS.includes(merged.casing)) {
+    throw new Error(`Format profile "${name}": casing must be one of ${CASINGS.join(', ')}`);
+  }
+  if (!SUFFIX_STYLES.includes(merged.suffixStyle)) {
+    throw new Error(`Format profile "${name}": suffixStyle must be one of ${SUFFIX_STYLES.join(', ')}`);
+  }
+  if (![true, false, 'preserve'].includes(merged.commaBeforeSuffix)) {
+    throw new Error(`Format profile "${name}": commaBeforeSuffix must be true, false or "preserve"`);
+  }
+
+  return merged;
+}
+
+// Load formatting profiles and the HubSpot portal -> profile mapping (missing file means defaults)
+function loadFormatProfiles(filePath = sourceFile) {
+  sourceFile = filePath;
+
+  if (!fs.existsSync(filePath)) {
+    console.log(`⚠️ Format profiles not found at ${filePath} - keeping names as written`);
+    profiles = { [AS_WRITTEN_PROFILE.name]: AS_WRITTEN_PROFILE, [DEFAULT_PROFILE.name]: DEFAULT_PROFILE };
+    portals = {};
+    defaultProfileName = AS_WRITTEN_PROFILE.name;
+    return profiles;
+  }
+
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  profiles = Object.fromEntries(Object.entries(data.profiles || {}).map(([name, profile]) => [name, normalizeProfile(name, profile)]));
+  portals = Object.fromEntries(Object.entries(data.portals || {}).map(([portalId, name]) => [String(portalId), name]));
+  defaultProfileName = data.defaultProfile || Object.keys(profiles)[0] || DEFAULT_PROFILE.name;
+
+  if (!profiles[defaultProfileName]) profiles[defaultProfileName] = normalizeProfile(defaultProfileName, {});
+  Object.entries(portals).forEach(([portalId, name]) => {
+    if (!profiles[name]) throw new Error(`Portal ${portalId} maps to unknown format profile "${name}"`);
+  });
+
+  console.log(`🔤 Loaded ${Object.keys(profiles).length} format profiles (default "${defaultProfileName}", ${Object.keys(portals).length} portal mappings)`);
+  return profiles;
+}
+
+function hasFormatProfile(name) {
+  return !!profiles[name];
+}
+
+function listFormatProfiles() {
+  return { defaultProfile: defaultProfileName, profiles: Object.keys(profiles), portals };
+}
+
+// An explicit profile wins, then the profile mapped to the HubSpot portal, then the default
+function resolveFormatProfile({ profile, portalId } = {}) {
+  if (profile && profiles[profile]) return profiles[profile];
+  const portal = portalId || process.env.HUBSPOT_PORTAL_ID;
+  if (portal && portals[String(portal)]) return profiles[portals[String(portal)]];
+  return profiles[defaultProfileName];
+}
+
+// Letters without accents, so "Muller" (as OCR often reads it) and "Müller" compare equal
+function foldAccents(value) {
+  return value.normalize('NFKD').replace(/\p{M}/gu, '').replace(/ß/g, 'ss');
+}
+
+// Key used to decide whether two names are the same company: no suffix, case, accents,
+// punctuation, leading "The" or "&" vs "and" differences
+function buildMatchKey(name) {
+  return foldAccents(stripEntitySuffix(name || '').toLowerCase())
+    .replace(/&/g, ' and ')
+    .replace(/^\s*the\s+/, '')
+    .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+// Mixed-case words from the known company dictionary and the profile's brand list ("BitConcepts")
+function brandWords(profile) {
+  const words = new Map();
+  const names = [...knownCompanies.getKnownCompanies().map(company => company.name), ...(profile.brands || [])];
+
+  names.forEach(name => (name.match(/\p{L}[\p{L}\p{N}'&\-]*/gu) || []).forEach(word => {
+    if (/\p{Ll}/u.test(word) && /\p{Lu}/u.test(word.slice(1))) words.set(word.toLowerCase(), word);
+  }));
+  (profile.brands || []).forEach(brand => words.set(brand.toLowerCase(), brand));
+
+  return words;
+}
+
+function capitalize(part) {
+  return part.charAt(0).toUpperCase() + part.slice(1).toLowerCase();
+}
+
+// Title-case one word, capitalizing after hyphens and after a one-letter "O'" style prefix
+function titleWord(word) {
+  return word
+    .split('-')
+    .map(part => {
+      const apostrophe = /^(\p{L})'(\p{L}.*)$/u.exec(part);
+      return apostrophe ? `${apostrophe[1].toUpperCase()}'${capitalize(apostrophe[2])}` : capitalize(part);
+    })
+    .join('-');
+}
+
+function formatWord(word, index, context) {
+  const { profile, brands, acronyms, allCaps } = context;
+  const letters = word.replace(/\P{L}/gu, '');
+  const key = word.toLowerCase().replace(/[^\p{L}\p{N}'&\-]/gu, '');
+
+  if (!letters || /\d/.test(word)) return word;
+  if (brands.has(key)) return word.replace(/[\p{L}\p{N}'&\-]+/u, brands.get(key));
+  if (acronyms.has(letters.toUpperCase())) return word.replace(letters, letters.toUpperCase());
+  if (profile.casing === 'upper') return word.toUpperCase();
+
+  // Deliberate mixed case ("McDonald", "eBay") is kept
+  if (/\p{Ll}/u.test(letters) && /\p{Lu}/u.test(letters.slice(1))) return word;
+
+  // Capitals in an otherwise mixed-case name are acronyms ("ABC Plumbing"); in an all-caps name
+  // only vowel-less words are ("JRK HOLDINGS")
+  if (letters === letters.toUpperCase() && letters.length > 1) {
+    if (!allCaps && letters.length <= 5) return word;
+    if (allCaps && !/[AEIOUY]/.test(foldAccents(letters))) return word;
+  }
+
+  if (index > 0 && MINOR_WORDS.has(letters.toLowerCase())) return word.toLowerCase();
+  return word.replace(/\p{L}[\p{L}'\-]*/u, titleWord);
+}
+
+function formatBase(base, profile) {
+  const cleaned = base.replace(/\s+,/g, ',').replace(/\s+/g, ' ').replace(/[\s,]+$/, '').trim();
+  if (profile.casing === 'preserve') return cleaned;
+
+  // A dictionary company keeps its name exactly as recorded
+  const known = knownCompanies.getKnownCompanies().find(company => buildMatchKey(company.name) === buildMatchKey(cleaned));
+  if (known) return stripEntitySuffix(known.name).replace(/,$/, '');
+
+  const letters = cleaned.replace(/\P{L}/gu, '');
+  const context = {
+    profile,
+    brands: brandWords(profile),
+    acronyms: new Set((profile.acronyms || []).map(acronym => acronym.toUpperCase())),
+    allCaps: letters.length > 0 && letters === letters.toUpperCase()
+  };
+
+  return cleaned.split(' ').map((word, index) => formatWord(word, index, context)).join(' ');
+}
+
+function formatSuffix(entity, profile) {
+  if (profile.suffixStyle === 'preserve') return entity.suffix;
+  if (profile.suffixStyle === 'full') return entity.full;
+  return profile.suffixPeriods ? entity.canonical : entity.canonical.replace(/\./g, '');
+}
+
+// Format a company name with a profile: casing (keeping acronyms and brand casing), comma before
+// the suffix, and the suffix as an abbreviation, spelled out or as written
+function formatCompanyName(name, profile = resolveFormatProfile()) {
+  if (!name) return name;
+
+  const entity = detectEntitySuffix(name);
+  if (!entity) return formatBase(name, profile);
+
+  const base = formatBase(entity.base, profile);
+  // Suffixes listed in commaExceptions ("Acme Corp.") and non-US designators ("Siemens AG") never
+  // take the comma unless it is preserved
+  const comma = profile.commaBeforeSuffix === 'preserve'
+    ? entity.hasComma
+    : profile.commaBeforeSuffix && entity.countries.includes('US') && !(profile.commaExceptions || []).includes(entity.canonical);
+  return `${base}${comma ? ',' : ''} ${formatSuffix(entity, profile)}`;
+}
+
+// Lower-case function words that a match can pick up from the sentence before a name
+const LEADING_FUNCTION_WORDS = new Set(['is', 'are', 'was', 'were', 'of', 'the', 'a', 'an', 'and', 'or', 'by', 'to', 'for', 'with', 'from', 'in', 'on', 'at', 'as']);
+
+// Drop lower-case function words from the start of candidate names ("is Blue Ridge Ventures,
+// LLC"), before casing would hide them and before duplicates are merged
+function trimLeadingFunctionWords(candidates) {
+  candidates.forEach(candidate => {
+    const words = candidate.name.split(' ');
+    let start = 0;
+    while (start < words.length - 1 && LEADING_FUNCTION_WORDS.has(words[start])) start++;
+    if (start === 0 || words.slice(start).join('').length < 3) return;
+
+    const dropped = `${words.slice(0, start).join(' ')} `;
+    candidate.name = words.slice(start).join(' ');
+    ['correctedName', 'rawName', 'ocrSuggestion'].forEach(field => {
+      if (candidate[field] && candidate[field].startsWith(dropped)) candidate[field] = candidate[field].slice(dropped.length);
+    });
+  });
+  return candidates;
+}
+
+// Give every candidate its profile-formatted `name` and a `matchKey` for deduplication
+function normalizeCandidateNames(candidates, profile = resolveFormatProfile()) {
+  candidates.forEach(candidate => {
+    candidate.name = formatCompanyName(candidate.name, profile);
+    candidate.matchKey = buildMatchKey(candidate.name);
+    candidate.formatProfile = profile.name;
+  });
+  return candidates;
+}
+
+// Keep the highest-confidence candidate for each match key, in first-seen order
+function dedupeByMatchKey(candidates) {
+  const byKey = new Map();
+
+  candidates.forEach(candidate => {
+    const key = candidate.matchKey || buildMatchKey(candidate.name);
+    const existing = byKey.get(key);
+    if (!existing || candidate.confidence > existing.confidence) byKey.set(key, candidate);
+  });
+
+  return Array.from(byKey.values());
+}
+
+loadFormatProfiles();
+
+module.exports = {
+  loadFormatProfiles,
+  hasFormatProfile,
+  listFormatProfiles,
+  resolveFormatProfile,
+  buildMatchKey,
+  foldAccents,
+  formatCompanyName,
+  trimLeadingFunctionWords,
+  normalizeCandidateNames,
+  dedupeByMatchKey
+};
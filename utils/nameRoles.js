@@ -0,0 +1,155 @@
+// utils/nameRoles.js
+const { getContext } = require('./textUtils');
+const { detectEntitySuffix, stripEntitySuffix } = require('./entitySuffixes');
+
+const NAME_ROLES = {
+  LEGAL_NAME: 'legal_name',
+  DBA: 'dba',
+  FORMER_NAME: 'former_name',
+  PARENT: 'parent',
+  REGISTERED_AGENT_COMPANY: 'registered_agent_company'
+};
+
+// Phrases that introduce a name in a role other than the legal name, checked in order
+const ROLE_PHRASES = [
+  {
+    role: NAME_ROLES.REGISTERED_AGENT_COMPANY,
+    regex: /\bregistered\s+agent(?:'s\s+name|\s+name)?(?:\s+(?:is|shall\s+be))?\s*[:\-]?\s*$/i
+  },
+  {
+    role: NAME_ROLES.FORMER_NAME,
+    regex: /\b(?:f\/k\/a|f\.k\.a\.?|fka|formerly(?:\s+known\s+as)?|previously\s+known\s+as|name\s+changed?\s+from|prior\s+name\s*:?)\s*$/i
+  },
+  {
+    role: NAME_ROLES.PARENT,
+    regex: /\b(?:(?:wholly[\s-]+owned\s+)?subsidiary\s+of|parent\s+(?:company|corporation|entity)(?:\s+is)?\s*:?|(?:a\s+)?division\s+of|sole\s+member(?:\s+is)?\s*:?)\s*(?:the\s+)?$/i
+  },
+  {
+    role: NAME_ROLES.DBA,
+    regex: /(?:\bd\/b\/a|\bd\.b\.a\.?|\bdba|\bdoing\s+business\s+as|\btrading\s+as|\bt\/a|\ba\/k\/a|\ba\.k\.a\.?|\baka|\balso\s+known\s+as|\bassumed\s+(?:business\s+)?name(?:\s+of)?\s*:?|\btrade\s+name\s*:?|\bfictitious\s+(?:business\s+)?name\s*:?)\s*$/i
+  }
+];
+
+// Phrases followed by a trade name that may carry no entity suffix ("d/b/a Sunny Bakery"); the
+// name stays on the phrase's line
+const ASSUMED_NAME_SOURCE = "(?:\\bd\\/b\\/a|\\bd\\.b\\.a\\.?|\\bdba|\\bdoing\\s+business\\s+as|\\btrading\\s+as|\\ba\\/k\\/a|\\balso\\s+known\\s+as|\\bassumed\\s+(?:business\\s+)?name\\s*:|\\btrade\\s+name\\s*:|\\bf\\/k\\/a|\\bformerly\\s+known\\s+as)\\s*[\"“']?\\s*([A-Z0-9][\\w&'.,\\-]*(?:[^\\S\\n]+(?:&|(?:of|and|the)\\b|[A-Z0-9][\\w&'.,\\-]*)){0,6})";
+
+// Commercial registered agents that show up on nearly every state filing
+const REGISTERED_AGENT_COMPANIES = [
+  'ct corporation system', 'c t corporation system', 'corporation service company', 'corporation trust company',
+  'national registered agents', 'registered agents inc', 'northwest registered agent', 'incorp services',
+  'cogency global', 'united agent group', 'legalzoom', 'harbor compliance', 'registered agent solutions',
+  'business filings incorporated', 'vcorp services', 'capitol corporate services', 'zenbusiness', 'sundoc filings'
+];
+
+// Field labels that start the next value on a form, ending a trade name that runs into them
+// ("d/b/a Sunny Bakery Registered Agent: ..."); single words only count with a colon
+const FIELD_LABEL = /^(?:Registered\s+(?:Agent|Office)|Principal\s+(?:Office|Place|Address)|(?:Mailing|Street|Business|Office|E-?mail)\s+Address|Effective\s+Date|Filing\s+(?:Date|Number)|Prepared\s+By|(?:Address|Phone|Telephone|Fax|E-?mail|Date|Title|Signature|Organizer|Incorporator)\s*:)/i;
+
+const LOOKBEHIND = 60;
+
+function isRegisteredAgentCompany(name) {
+  const key = name.toLowerCase().replace(/[^a-z\s]/g, '').replace(/\s+/g, ' ').trim();
+  return REGISTERED_AGENT_COMPANIES.some(agent => key.startsWith(agent));
+}
+
+function roleForPrecedingText(preceding) {
+  const phrase = ROLE_PHRASES.find(entry => entry.regex.test(preceding));
+  return phrase ? phrase.role : null;
+}
+
+// Decide the role of a candidate from the phrases right before each of its mentions.
+// A name mentioned at least once without a role phrase is treated as the legal name.
+function determineRole(candidate, text) {
+  if (isRegisteredAgentCompany(candidate.name)) return NAME_ROLES.REGISTERED_AGENT_COMPANY;
+
+  const needle = stripEntitySuffix(candidate.name).replace(/,$/, '') || candidate.name;
+  const roles = [];
+  let index = text.indexOf(needle);
+
+  while (index !== -1) {
+    roles.push(roleForPrecedingText(text.slice(Math.max(0, index - LOOKBEHIND), index)));
+    index = text.indexOf(needle, index + needle.length);
+  }
+
+  if (roles.length === 0 || roles.includes(null)) return NAME_ROLES.LEGAL_NAME;
+  return roles[0];
+}
+
+// Keep leading capitalized words, allowing "&", "of", "and", "the" only between them. The run
+// ends at a line break and at a field label.
+function takeCapitalizedRun(value) {
+  const words = value.split('\n')[0].trim().split(/\s+/);
+  const kept = [];
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    if (kept.length > 0 && FIELD_LABEL.test(words.slice(i).join(' '))) break;
+    if (/^[A-Z0-9]/.test(word)) {
+      kept.push(word);
+      // Punctuation ends the name, except a comma before its entity suffix ("Sunny Bakery, Inc.")
+      if (/[.;:]$/.test(word) && !/^[A-Z]\.$/.test(word) && kept.length > 1) break;
+      if (/,$/.test(word) && !detectEntitySuffix(`X, ${words[i + 1] || ''}`)) break;
+    } else if (/^(?:&|of|and|the)$/.test(word) && kept.length > 0 && /^[A-Z0-9]/.test(words[i + 1] || '')) {
+      kept.push(word);
+    } else {
+      break;
+    }
+  }
+
+  const name = kept.join(' ').replace(/[\s,;:]+$/, '').trim();
+  return detectEntitySuffix(name) ? name : name.replace(/\.+$/, '');
+}
+
+// Trade, assumed and former names introduced by d/b/a, a/k/a, f/k/a and similar phrases.
+// `text` keeps its line breaks, which end a name.
+function extractAssumedNames(text) {
+  const regex = new RegExp(ASSUMED_NAME_SOURCE, 'gi');
+  const lineText = text.replace(/\r\n?|\f/g, '\n').replace(/[^\S\n]+/g, ' ');
+  const flatText = lineText.replace(/\s+/g, ' ');
+  const names = [];
+  let match;
+
+  while ((match = regex.exec(lineText)) !== null) {
+    const phrase = match[0].slice(0, match[0].lastIndexOf(match[1]));
+    const name = takeCapitalizedRun(match[1]);
+    // Resume right after the kept name so a following d/b/a phrase is not swallowed
+    regex.lastIndex = match.index + phrase.length + Math.max(1, name.length);
+    if (name.length < 3 || !/[A-Za-z]{2}/.test(name)) continue;
+
+    const role = roleForPrecedingText(phrase) || NAME_ROLES.DBA;
+    const originalMatch = `${phrase}${name}`.replace(/\s+/g, ' ');
+
+    names.push({
+      name,
+      confidence: 55,
+      patternName: role === NAME_ROLES.FORMER_NAME ? 'Former Name Phrase' : 'Assumed Name Phrase',
+      entityType: null,
+      entitySuffix: null,
+      originalMatch,
+      context: getContext(flatText, originalMatch),
+      role
+    });
+  }
+
+  return names;
+}
+
+// Tag every candidate with a role; scoring pushes registered agent companies down the ranking
+function assignCandidateRoles(candidates, text) {
+  candidates.forEach(candidate => {
+    candidate.role = candidate.role || determineRole(candidate, text);
+  });
+  return candidates;
+}
+
+function isLegalNameCandidate(candidate) {
+  return !candidate.role || candidate.role === NAME_ROLES.LEGAL_NAME;
+}
+
+module.exports = {
+  NAME_ROLES,
+  assignCandidateRoles,
+  extractAssumedNames,
+  isLegalNameCandidate
+};
@@ -0,0 +1,112 @@
+// utils/ocr.js - OCR dependencies and the text helpers shared by the OCR providers
+const path = require('path');
+const rulePacks = require('./rulePacks');
+const { PAGE_BREAK, analyzeTextQuality } = require('./textUtils');
+const { correctText } = require('./textCorrection');
+const { MIXED_CASE_SUFFIXES } = require('./entitySuffixes');
+
+const TEMP_DIR = path.join(__dirname, '..', 'temp');
+
+// Check for external OCR dependencies
+let FormData, fetch;
+let externalOcrAvailable = false;
+
+try {
+  FormData = require('form-data');
+  fetch = require('node-fetch');
+  externalOcrAvailable = true;
+  console.log('✅ External OCR dependencies available');
+} catch (error) {
+  console.log('⚠️ External OCR dependencies not available:', error.message);
+  console.log('📝 To enable external OCR: npm install form-data node-fetch');
+  externalOcrAvailable = false;
+}
+
+// Check for local OCR dependencies (optional)
+let Tesseract, pdf2pic, sharp;
+let localOcrAvailable = false;
+
+// sharp is loaded on its own too: image format conversion needs it even without local OCR
+try {
+  sharp = require('sharp');
+} catch (error) {
+  sharp = null;
+}
+
+try {
+  Tesseract = require('tesseract.js');
+  pdf2pic = require('pdf2pic');
+  if (!sharp) throw new Error('sharp is not installed');
+  localOcrAvailable = true;
+  console.log('✅ Local OCR dependencies available');
+} catch (error) {
+  console.log('⚠️ Local OCR dependencies not available (optional)');
+  localOcrAvailable = false;
+}
+
+console.log(`🌐 External OCR Status: ${externalOcrAvailable ? 'ENABLED' : 'DISABLED'}`);
+console.log(`🔍 Local OCR Status: ${localOcrAvailable ? 'ENABLED' : 'DISABLED'}`);
+console.log(`📡 OCR API Keys: OCR.space=${!!process.env.OCR_SPACE_API_KEY}, Google Vision=${!!process.env.GOOGLE_CLOUD_VISION_API_KEY}`);
+
+// Intelligent text cleanup based on common OCR errors. Dictionary corrections (see
+// utils/textCorrection.js) are pushed to `corrections`.
+function applyIntelligentCleanup(text, qualityAnalysis, corrections = []) {
+  let cleaned = text;
+  
+  // If quality is very poor, try more aggressive cleanup
+  if (qualityAnalysis.readableRatio < 50) {
+    console.log('🧹 Applying aggressive text cleanup...');
+    
+    // Remove obvious garbage patterns (letters of any language survive)
+    cleaned = cleaned.replace(/[^\p{L}\p{M}\p{N}_\s\.,;:!?\-()&'"\/]/gu, ' ');
+  }
+
+  // Misspelled and broken words, while line breaks still show where words were hyphenated
+  cleaned = correctText(cleaned, corrections);
+  if (corrections.length > 0) {
+    console.log(`📖 Dictionary correction: ${corrections.length} words (${corrections.slice(0, 5).map(c => `${c.from}→${c.to}`).join(', ')}${corrections.length > 5 ? ', ...' : ''})`);
+  }
+  
+  // Standard cleanup
+  cleaned = cleaned
+    .replace(/[^\S\f]+/g, ' ')               // Normalize whitespace, keeping page breaks
+    .replace(/ ?\f ?/g, PAGE_BREAK)
+    .replace(/([.!?])\s*(\p{Ll})/gu, '$1 $2') // Fix missing spaces after punctuation
+    .replace(/\p{L}+/gu, word =>             // Add spaces between camelCase, except "GmbH" style suffixes
+      MIXED_CASE_SUFFIXES.has(word) ? word : word.replace(/(\p{Ll})(\p{Lu})/gu, '$1 $2'))
+    .trim();
+  
+  return cleaned;
+}
+
+// Cleanup with the details for debug output: the text, the dictionary corrections and the
+// text quality before and after
+function cleanupWithReport(text) {
+  const qualityBefore = analyzeTextQuality(text);
+  const corrections = [];
+  const cleaned = applyIntelligentCleanup(text, qualityBefore, corrections);
+
+  return { text: cleaned, corrections, qualityBefore, qualityAfter: analyzeTextQuality(cleaned) };
+}
+
+// Enhanced company indicator detection
+function checkForCompanyIndicators(text, rulePack = rulePacks.getRulePack()) {
+  const indicators = rulePacks.buildIndicatorPatterns(rulePack);
+  
+  const foundIndicators = indicators.filter(pattern => pattern.test(text));
+  return foundIndicators.length;
+}
+
+module.exports = {
+  TEMP_DIR,
+  externalOcrAvailable,
+  localOcrAvailable,
+  FormData,
+  fetch,
+  Tesseract,
+  pdf2pic,
+  sharp,
+  applyIntelligentCleanup,
+  cleanupWithReport,
+  checkForCompanyIndicators
+};
@@ -0,0 +1,152 @@
+// utils/ocrCache.js - On-disk cache of accepted OCR results, keyed by file content and provider settings
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Bump when the shape of cached results changes so old entries are ignored
+const CACHE_VERSION = 1;
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  directory: 'cache/ocr',
+  ttlHours: 168,
+  maxSizeMb: 200
+};
+
+let settings = { ...DEFAULT_SETTINGS };
+
+function configureCache(cacheSettings = {}) {
+  settings = { ...DEFAULT_SETTINGS, ...cacheSettings };
+  if (typeof settings.ttlHours !== 'number' || settings.ttlHours <= 0) throw new Error('OCR cache: ttlHours must be a positive number');
+  if (typeof settings.maxSizeMb !== 'number' || settings.maxSizeMb <= 0) throw new Error('OCR cache: maxSizeMb must be a positive number');
+  return settings;
+}
+
+function cacheDir() {
+  return path.resolve(__dirname, '..', settings.directory);
+}
+
+function isEnabled() {
+  return settings.enabled !== false;
+}
+
+function hashFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+// Same file bytes + same provider, settings and language = same key
+function buildKey(fileHash, provider, providerSettings, language) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ version: CACHE_VERSION, file: fileHash, provider, settings: providerSettings, language }))
+    .digest('hex');
+}
+
+function entryPath(key) {
+  return path.join(cacheDir(), `${key}.json`);
+}
+
+function isExpired(time, now = Date.now()) {
+  return now - time > settings.ttlHours * 60 * 60 * 1000;
+}
+
+// Cached result for a key, or null. Expired or unreadable entries are removed.
+function readEntry(key) {
+  if (!isEnabled()) return null;
+  const file = entryPath(key);
+  if (!fs.existsSync(file)) return null;
+
+  try {
+    const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (isExpired(entry.createdAt)) {
+      fs.unlinkSync(file);
+      return null;
+    }
+
+    // Touch the file so pruning drops the least recently used entries first
+    const now = new Date();
+    fs.utimesSync(file, now, now);
+    return entry;
+  } catch (error) {
+    console.log(`⚠️ Dropping unreadable OCR cache entry ${path.basename(file)}: ${error.message}`);
+    fs.rmSync(file, { force: true });
+    return null;
+  }
+}
+
+function writeEntry(key, provider, result) {
+  if (!isEnabled()) return null;
+
+  try {
+    fs.mkdirSync(cacheDir(), { recursive: true });
+    const entry = { key, provider, createdAt: Date.now(), result };
+    fs.writeFileSync(entryPath(key), JSON.stringify(entry));
+    pruneCache();
+    return entry;
+  } catch (error) {
+    // A cache that cannot be written only costs another OCR call later
+    console.log(`⚠️ Could not write OCR cache entry: ${error.message}`);
+    return null;
+  }
+}
+
+// Remove entries unused for longer than the TTL (so certainly expired), then the least recently
+// used ones until the cache fits maxSizeMb. Reads check the exact creation time.
+function pruneCache() {
+  const dir = cacheDir();
+  if (!fs.existsSync(dir)) return { removed: 0, entries: 0, sizeBytes: 0 };
+
+  const now = Date.now();
+  let removed = 0;
+  const entries = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      const filePath = path.join(dir, file);
+      const stats = fs.statSync(filePath);
+      return { filePath, size: stats.size, usedAt: stats.mtimeMs };
+    })
+    .filter(entry => {
+      if (!isExpired(entry.usedAt, now)) return true;
+      fs.rmSync(entry.filePath, { force: true });
+      removed++;
+      return false;
+    })
+    .sort((a, b) => a.usedAt - b.usedAt);
+
+  const limit = settings.maxSizeMb * 1024 * 1024;
+  let size = entries.reduce((sum, entry) => sum + entry.size, 0);
+  while (size > limit && entries.length > 0) {
+    const oldest = entries.shift();
+    fs.rmSync(oldest.filePath, { force: true });
+    size -= oldest.size;
+    removed++;
+  }
+
+  if (removed > 0) console.log(`🧹 OCR cache pruned ${removed} entries`);
+  return { removed, entries: entries.length, sizeBytes: size };
+}
+
+function getCacheStats() {
+  const dir = cacheDir();
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(file => file.endsWith('.json')) : [];
+  const sizeBytes = files.reduce((sum, file) => sum + fs.statSync(path.join(dir, file)).size, 0);
+  return { ...settings, directory: dir, entries: files.length, sizeBytes };
+}
+
+function clearCache() {
+  const dir = cacheDir();
+  if (!fs.existsSync(dir)) return 0;
+  const files = fs.readdirSync(dir).filter(file => file.endsWith('.json'));
+  files.forEach(file => fs.rmSync(path.join(dir, file), { force: true }));
+  return files.length;
+}
+
+module.exports = {
+  configureCache,
+  isEnabled,
+  hashFile,
+  buildKey,
+  readEntry,
+  writeEntry,
+  pruneCache,
+  getCacheStats,
+  clearCache
+};
@@ -0,0 +1,273 @@
+// utils/ocrCorrection.js
+const knownCompanies = require('./knownCompanies');
+const { detectEntitySuffix, stripEntitySuffix } = require('./entitySuffixes');
+
+// Character sequences OCR reads in place of each other (both directions are tried)
+const OCR_CONFUSIONS = [
+  ['1', 'l'], ['1', 'I'], ['1', 'i'], ['l', 'I'], ['|', 'l'], ['|', 'I'], ['!', 'l'],
+  ['0', 'O'], ['0', 'o'], ['5', 'S'], ['5', 's'], ['8', 'B'], ['6', 'G'], ['2', 'Z'],
+  ['rn', 'm'], ['Rn', 'M'], ['cl', 'd'], ['vv', 'w'], ['ii', 'u'], ['li', 'h']
+];
+
+// Misreads of the distinctive entity suffixes ("LIC", "L1C", "LLG", "1nc", "C0rp") and what they stand for
+const L = '[Ll1I|]';
+const OCR_SUFFIX_VARIANTS = [
+  { canonical: 'PLLC', source: `P\\s?${L}\\s?${L}\\s?[CG(]` },
+  { canonical: 'LLLP', source: `${L}\\s?${L}\\s?${L}\\s?[PF]` },
+  { canonical: 'LLP', source: `${L}\\s?${L}\\s?[PF]` },
+  { canonical: 'LLC', source: `${L}\\s?${L}\\s?[CG(]` },
+  { canonical: 'Inc.', source: '[I1l|][nr][ce]\\.?' },
+  { canonical: 'Corp.', source: '[CG][o0][rn]p\\.?' },
+  { canonical: 'Ltd.', source: `${L}[t+][dcl]\\.?` }
+];
+
+// Regex source for misread suffixes, for embedding in rule pack patterns as {{OCR_SUFFIX}}
+const OCR_SUFFIX_SOURCE = OCR_SUFFIX_VARIANTS.map(variant => variant.source).join('|');
+
+const MAX_SITES = 8;
+// Email addresses and web addresses, which are not evidence for how a name is spelled
+// ("info@valleyfarms.com" must not turn "Corn Valley Farms" into "Com ValleyFarms")
+const WEB_ADDRESS = /[\p{L}\p{N}._%+\-]+@[\p{L}\p{N}.\-]+|\b(?:https?:\/\/|www\.)\S+|\b[\p{L}\p{N}\-]+(?:\.[\p{L}\p{N}\-]+)*\.(?:com|net|org|biz|info|io|us|co)\b\S*/giu;
+const PLAUSIBLE_WORD = /^(?:\p{Lu}?\p{Ll}+(?:\p{Lu}\p{Ll}+)*|\p{Lu}+|[0-9]+|\p{Lu}\p{Ll}*&\p{Lu}\p{Ll}*)$/u;
+
+function levenshtein(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (value, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+}
+
+function letterKey(value) {
+  return value.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+// Replace a misread suffix at the end of a name with the suffix it stands for.
+// Returns null when the name already ends in a real suffix or in nothing suffix-like.
+function repairEntitySuffix(name) {
+  if (!name || detectEntitySuffix(name)) return null;
+
+  for (const variant of OCR_SUFFIX_VARIANTS) {
+    const match = new RegExp(`(,?\\s*)(?<![A-Za-z0-9])(${variant.source})\\s*$`).exec(name);
+    if (match && match[1].length + match.index > 0) {
+      const repaired = `${name.slice(0, match.index)}${match[1]}${variant.canonical}`;
+      if (detectEntitySuffix(repaired)) {
+        return { name: repaired, correction: { from: match[2], to: variant.canonical, reason: 'entity suffix' } };
+      }
+    }
+  }
+
+  return null;
+}
+
+// Words of the document (and of known names) with how often each appears, for evidence
+function buildVocabulary(text, knownNames) {
+  const vocabulary = new Map();
+  const add = (word, weight) => {
+    const key = word.toLowerCase();
+    vocabulary.set(key, (vocabulary.get(key) || 0) + weight);
+  };
+
+  (text.replace(WEB_ADDRESS, ' ').match(/(?<!\p{L})\p{L}[\p{L}&']{2,}(?!\p{L})/gu) || []).forEach(word => add(word, 1));
+  knownNames.forEach(name => (name.match(/\p{L}[\p{L}&']{2,}/gu) || []).forEach(word => add(word, 5)));
+
+  return vocabulary;
+}
+
+// Every spelling of a token reachable through the confusion table, with its substitution count
+function tokenVariants(token) {
+  const sites = [];
+  OCR_CONFUSIONS.forEach(([a, b]) => {
+    [[a, b], [b, a]].forEach(([from, to]) => {
+      let index = token.indexOf(from);
+      while (index !== -1 && sites.length < MAX_SITES) {
+        sites.push({ index, from, to });
+        index = token.indexOf(from, index + 1);
+      }
+    });
+  });
+
+  const variants = new Map([[token, 0]]);
+  let frontier = [{ value: token, used: [], changes: 0 }];
+
+  sites.forEach(site => {
+    const next = [];
+    frontier.forEach(state => {
+      next.push(state);
+      // Sites that overlap an earlier substitution would apply to text that is no longer there
+      const overlaps = state.used.some(other => site.index < other.index + other.from.length && other.index < site.index + site.from.length);
+      if (overlaps) return;
+
+      const shift = state.used
+        .filter(other => other.index < site.index)
+        .reduce((sum, other) => sum + other.to.length - other.from.length, 0);
+      const at = site.index + shift;
+      if (state.value.substr(at, site.from.length) !== site.from) return;
+
+      const value = state.value.slice(0, at) + site.to + state.value.slice(at + site.from.length);
+      const changed = { value, used: [...state.used, site], changes: state.changes + 1 };
+      next.push(changed);
+      if (!variants.has(value) || variants.get(value) > changed.changes) variants.set(value, changed.changes);
+    });
+    frontier = next.slice(0, 256);
+  });
+
+  return variants;
+}
+
+// Prefer spellings that look like words and that the document or known names confirm
+function scoreVariant(variant, changes, vocabulary) {
+  const letters = variant.replace(/[^\p{L}0-9&]/gu, '');
+  const mixesDigits = /\p{L}/u.test(letters) && /[0-9]/.test(letters);
+  let score = -changes;
+
+  // The unchanged spelling is always seen once: in the mention being corrected
+  const seen = (vocabulary.get(variant.toLowerCase().replace(/[^\p{L}&']/gu, '')) || 0) - (changes === 0 ? 1 : 0);
+
+  if (PLAUSIBLE_WORD.test(letters)) score += 3;
+  if (mixesDigits) score -= 4;
+  score += Math.min(10, Math.max(0, seen) * 2);
+
+  return score;
+}
+
+function correctToken(token, vocabulary, corrections) {
+  if (!/[\p{L}0-9]/u.test(token) || /^[0-9]+$/.test(token)) return token;
+
+  let best = { value: token, score: scoreVariant(token, 0, vocabulary) };
+  tokenVariants(token).forEach((changes, value) => {
+    const score = scoreVariant(value, changes, vocabulary);
+    if (score > best.score) best = { value, score };
+  });
+
+  if (best.value !== token) corrections.push({ from: token, to: best.value, reason: 'ocr confusion' });
+  return best.value;
+}
+
+// Join pieces split by stray characters ("Sun ny" -> "Sunny") when the joined word is confirmed
+function joinBrokenWords(tokens, vocabulary, corrections) {
+  const joined = [];
+
+  tokens.forEach(token => {
+    const previous = joined[joined.length - 1];
+    if (previous && /^\p{L}+$/u.test(previous) && /^\p{L}+$/u.test(token)) {
+      const merged = previous + token;
+      const evidence = vocabulary.get(merged.toLowerCase()) || 0;
+      const pieceEvidence = Math.min(vocabulary.get(previous.toLowerCase()) || 0, vocabulary.get(token.toLowerCase()) || 0);
+      if (evidence > 0 && evidence >= pieceEvidence) {
+        joined[joined.length - 1] = merged;
+        corrections.push({ from: `${previous} ${token}`, to: merged, reason: 'broken word' });
+        return;
+      }
+    }
+    joined.push(token);
+  });
+
+  return joined;
+}
+
+// A known name within a few edits of the corrected name, as a suggestion rather than a change:
+// only the base is taken from the known name, and only when both names carry the same suffix
+// ("Acme Holding, Inc." is never turned into "Acme Holdings, LLC")
+function suggestKnownName(name, knownNames) {
+  const entity = detectEntitySuffix(name);
+  const key = letterKey(stripEntitySuffix(name));
+  if (key.length < 4) return null;
+
+  let best = null;
+  knownNames.forEach(known => {
+    const knownEntity = detectEntitySuffix(known);
+    if ((entity ? entity.canonical : null) !== (knownEntity ? knownEntity.canonical : null)) return;
+
+    const knownKey = letterKey(stripEntitySuffix(known));
+    const distance = levenshtein(key, knownKey);
+    const allowed = Math.max(1, Math.floor(knownKey.length * 0.15));
+    if (distance <= allowed && (!best || distance < best.distance)) best = { known, knownEntity, distance };
+  });
+
+  if (!best || best.distance === 0) return null;
+  const knownBase = best.knownEntity ? best.knownEntity.base.replace(/,$/, '') : best.known;
+  return entity ? `${knownBase}${entity.hasComma ? ',' : ''} ${entity.suffix}` : knownBase;
+}
+
+// Correct one raw name: misread suffix, confusable characters and broken words. A close known
+// name comes back as `knownNameSuggestion`.
+function correctName(rawName, vocabulary, knownNames) {
+  const corrections = [];
+  const suffixRepair = repairEntitySuffix(rawName);
+  let name = suffixRepair ? suffixRepair.name : rawName;
+  if (suffixRepair) corrections.push(suffixRepair.correction);
+
+  const entity = detectEntitySuffix(name);
+  const base = entity ? entity.base.replace(/,$/, '') : name;
+  const tokens = base.split(/\s+/).filter(Boolean).map(token => {
+    const [, lead, core, trail] = /^([^\p{L}0-9|!]*)(.*?)([^\p{L}0-9|!]*)$/u.exec(token);
+    return lead + correctToken(core, vocabulary, corrections) + trail;
+  });
+
+  const correctedBase = joinBrokenWords(tokens, vocabulary, corrections).join(' ');
+  name = entity ? `${correctedBase}${entity.hasComma ? ',' : ''} ${entity.suffix}` : correctedBase;
+
+  return { name, corrections, knownNameSuggestion: suggestKnownName(name, knownNames) };
+}
+
+// Correct every candidate's name for OCR confusions, keeping the raw match as `rawName` and
+// listing each change in `ocrCorrections`. `text` supplies evidence for the corrected spellings.
+// Only OCR'd text (`options.ocr`) is corrected: for a text layer, DOCX or typed text the name
+// stays as written and a different spelling is only offered as `ocrSuggestion`. A close
+// dictionary name is offered as `knownNameSuggestion`; the name itself is left alone.
+function correctCandidateNames(candidates, text, options = {}) {
+  const knownNames = options.knownNames || knownCompanies.getKnownCompanies().map(company => company.name);
+  const vocabulary = buildVocabulary(text || '', knownNames);
+
+  candidates.forEach(candidate => {
+    const rawName = candidate.rawName || candidate.name;
+    const { name, corrections, knownNameSuggestion } = correctName(candidate.name, vocabulary, knownNames);
+
+    candidate.rawName = rawName;
+    if (knownNameSuggestion) {
+      candidate.knownNameSuggestion = knownNameSuggestion;
+      console.log(`📚 "${name}" is close to the known name "${knownNameSuggestion}" (suggested, not applied)`);
+    }
+
+    if (!options.ocr) {
+      if (corrections.length > 0) {
+        candidate.ocrSuggestion = name;
+        console.log(`🔧 "${candidate.name}" may be "${name}" (not OCR'd text, suggested, not applied)`);
+      }
+      return;
+    }
+
+    candidate.correctedName = name;
+    candidate.ocrCorrections = [...(candidate.ocrCorrections || []), ...corrections];
+    candidate.name = name;
+
+    const entity = detectEntitySuffix(name);
+    if (entity) {
+      candidate.entityType = entity.canonical;
+      candidate.entitySuffix = entity.suffix;
+    }
+
+    if (corrections.length > 0) {
+      console.log(`🔧 OCR correction: "${rawName}" -> "${name}" (${corrections.map(c => `${c.from}→${c.to}`).join(', ')})`);
+    }
+  });
+
+  return candidates;
+}
+
+module.exports = {
+  OCR_CONFUSIONS,
+  OCR_SUFFIX_SOURCE,
+  repairEntitySuffix,
+  correctCandidateNames,
+  levenshtein
+};
@@ -0,0 +1,298 @@
+// utils/ocrProviders/index.js - OCR provider registry and the configured fallback chain
+//
+// A provider is an object with:
+//   name, description, mimetypes         - what it is and which files it reads
+//   unavailableReason(settings)          - null when it can run, else why not (missing key, package)
+//   cacheable (optional)                 - false keeps its results out of the OCR cache
+//   searchablePdf (optional)             - true when options.searchablePdf makes it add a
+//                                          searchable PDF (Buffer) to its result as `searchablePdf`
+//   recognize(pages, options)            - pages are [{ filePath, mimetype }] (a PDF is one entry);
+//                                          resolves to { text, pages: [{ pageNumber, text, confidence,
+//                                          words: [{ text, confidence, bbox: { x0, y0, x1, y1 } }] }],
+//                                          method, language }. Confidence is 0-100 or null.
+//                                          options.signal aborts at the request deadline; providers
+//                                          that ignore it are abandoned when it fires.
+const fs = require('fs');
+const path = require('path');
+const ocrCache = require('../ocrCache');
+const languages = require('../languages');
+const { analyzeTextQuality } = require('../textUtils');
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', 'config', 'ocr-providers.json');
+const DEFAULT_ACCEPTANCE = {
+  minTextLength: 20,
+  minReadableRatio: 20,
+  minValidWords: 5,
+  minConfidence: 0
+};
+// Time budget for one document across every provider in the chain
+const DEFAULT_DEADLINE_MS = 90000;
+const DEFAULT_CONFIG = {
+  order: ['ocrspace', 'googleVision', 'tesseract'],
+  deadlineMs: DEFAULT_DEADLINE_MS,
+  acceptance: DEFAULT_ACCEPTANCE,
+  providers: {}
+};
+
+const providers = new Map();
+let config = DEFAULT_CONFIG;
+let sourceFile = process.env.OCR_PROVIDERS_FILE || DEFAULT_FILE;
+
+function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.recognize !== 'function') {
+    throw new Error('An OCR provider needs a name and a recognize(pages, options) function');
+  }
+  providers.set(provider.name, provider);
+  return provider;
+}
+
+function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+function normalizeAcceptance(acceptance, where) {
+  const merged = { ...DEFAULT_ACCEPTANCE, ...acceptance };
+  Object.entries(merged).forEach(([key, value]) => {
+    if (!(key in DEFAULT_ACCEPTANCE)) throw new Error(`${where}: unknown acceptance setting "${key}"`);
+    if (typeof value !== 'number' || value < 0) throw new Error(`${where}: ${key} must be a number of 0 or more`);
+  });
+  return merged;
+}
+
+// Load the provider order, settings and acceptance thresholds (missing file means defaults).
+// OCR_PROVIDERS ("stub" or "tesseract,ocrspace") replaces the order and enables the providers it lists.
+function loadOcrConfig(filePath = sourceFile) {
+  sourceFile = filePath;
+  let data = {};
+
+  if (fs.existsSync(filePath)) {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } else {
+    console.log(`⚠️ OCR provider config not found at ${filePath} - using the default order`);
+  }
+
+  const acceptance = normalizeAcceptance(data.acceptance, 'OCR config');
+  const deadlineMs = data.deadlineMs === undefined ? DEFAULT_DEADLINE_MS : data.deadlineMs;
+  if (typeof deadlineMs !== 'number' || deadlineMs <= 0) throw new Error('OCR config: deadlineMs must be a positive number');
+  const providerSettings = Object.fromEntries(Object.entries(data.providers || {}).map(([name, settings]) => [name, {
+    ...settings,
+    enabled: settings.enabled !== false,
+    acceptance: normalizeAcceptance({ ...acceptance, ...settings.acceptance }, `OCR provider "${name}"`)
+  }]));
+
+  let order = Array.isArray(data.order) ? data.order : DEFAULT_CONFIG.order;
+  if (process.env.OCR_PROVIDERS) {
+    order = process.env.OCR_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean);
+    order.forEach(name => { providerSettings[name] = { ...providerSettings[name], enabled: true }; });
+  }
+
+  order.filter(name => !providers.has(name)).forEach(name => {
+    console.log(`⚠️ OCR provider "${name}" is in the order but not registered`);
+  });
+
+  config = { order, deadlineMs, acceptance, providers: providerSettings, cache: ocrCache.configureCache(data.cache) };
+  console.log(`🔠 OCR provider order: ${order.join(' → ')} (deadline ${deadlineMs / 1000}s)`);
+  return config;
+}
+
+function getOcrConfig() {
+  return config;
+}
+
+function settingsFor(name) {
+  return config.providers[name] || { enabled: true, acceptance: config.acceptance };
+}
+
+// Why a provider will not be tried for a file, or null when it will
+function skipReason(name, mimetype) {
+  const provider = providers.get(name);
+  const settings = settingsFor(name);
+
+  if (!provider) return 'not registered';
+  if (!settings.enabled) return 'disabled in config';
+  if (mimetype && provider.mimetypes && !provider.mimetypes.includes(mimetype)) return `does not read ${mimetype}`;
+  return provider.unavailableReason ? provider.unavailableReason(settings) : null;
+}
+
+function hasAvailableProvider(mimetype) {
+  return config.order.some(name => !skipReason(name, mimetype));
+}
+
+// Whether a provider in the order can run and make a searchable PDF of this kind of file
+function canMakeSearchablePdf(mimetype) {
+  return config.order.some(name => !skipReason(name, mimetype) && providers.get(name).searchablePdf === true);
+}
+
+// Every registered provider with its place in the fallback order and whether it can run
+function listProviders() {
+  return Array.from(providers.values()).map(provider => {
+    const position = config.order.indexOf(provider.name);
+    const reason = skipReason(provider.name);
+    return {
+      name: provider.name,
+      description: provider.description,
+      position: position === -1 ? null : position + 1,
+      enabled: settingsFor(provider.name).enabled,
+      searchablePdf: provider.searchablePdf === true,
+      available: !reason,
+      reason
+    };
+  });
+}
+
+// Whether a provider's text is good enough to stop the fallback chain. Confidence is the average
+// page confidence and is only checked when the provider reports one.
+function checkAcceptance(result, acceptance = config.acceptance) {
+  const text = (result && result.text) || '';
+  const quality = analyzeTextQuality(text);
+  const confidences = ((result && result.pages) || [])
+    .map(page => page.confidence)
+    .filter(confidence => typeof confidence === 'number');
+  const confidence = confidences.length > 0
+    ? Math.round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length)
+    : null;
+
+  let reason = null;
+  if (text.trim().length < acceptance.minTextLength) reason = `Text too short (${text.trim().length} chars)`;
+  else if (quality.readableRatio < acceptance.minReadableRatio) reason = `Text quality too poor (${quality.readableRatio}%)`;
+  else if (quality.validWordCount < acceptance.minValidWords) reason = `Too few valid words (${quality.validWordCount})`;
+  else if (confidence !== null && confidence < acceptance.minConfidence) reason = `Confidence too low (${confidence}%)`;
+
+  return { accepted: !reason, reason, quality, confidence };
+}
+
+// Resolve with the provider's result, or reject once the deadline signal fires - whichever is first
+function raceDeadline(promise, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(Object.assign(new Error('request deadline reached'), { deadline: true }));
+    if (signal.aborted) return onAbort();
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+// Run the providers in the configured order and return the first acceptable result, with
+// `provider`, `confidence`, `quality`, the `attempts` made and whether it came from the `cache`.
+// Throws when none is acceptable or the deadline (`deadlineMs` in the config) passes first.
+// `options.language` is the resolved OCR language hint (see utils/languages.js);
+// `options.cache: false` neither reads nor writes the OCR cache;
+// `options.deadlineMs` overrides the configured time budget for this document;
+// `options.preprocessing` names the image preprocessing profile for local OCR;
+// `options.searchablePdf` only tries providers that can make a searchable PDF, adds it to the
+// result as `searchablePdf` and bypasses the cache, which keeps text only
+async function recognizeDocument(filePath, mimetype, options = {}) {
+  const deadlineMs = options.deadlineMs || config.deadlineMs;
+  const deadline = new AbortController();
+  const timer = setTimeout(() => deadline.abort(), deadlineMs);
+
+  try {
+    return await runProviderChain(filePath, mimetype, options, deadline.signal, deadlineMs);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function runProviderChain(filePath, mimetype, options, signal, deadlineMs) {
+  const pages = [{ filePath, mimetype }];
+  const attempts = [];
+  const useCache = options.cache !== false && !options.searchablePdf && ocrCache.isEnabled();
+  const fileHash = useCache ? ocrCache.hashFile(filePath) : null;
+  const languageHint = (options.language || languages.resolveLanguageHint()).hint;
+
+  for (const name of config.order) {
+    if (signal.aborted) {
+      attempts.push({ provider: name, status: 'timed out', reason: 'request deadline reached before it started' });
+      continue;
+    }
+
+    const reason = skipReason(name, mimetype) ||
+      (options.searchablePdf && !providers.get(name).searchablePdf ? 'cannot make searchable PDFs' : null);
+    if (reason) {
+      console.log(`⏭️ OCR provider ${name} skipped: ${reason}`);
+      attempts.push({ provider: name, status: 'skipped', reason });
+      continue;
+    }
+
+    const settings = settingsFor(name);
+    const cacheKey = useCache && providers.get(name).cacheable !== false
+      ? ocrCache.buildKey(fileHash, name, options.preprocessing ? { ...settings, preprocessing: options.preprocessing } : settings, languageHint)
+      : null;
+    const cached = cacheKey ? ocrCache.readEntry(cacheKey) : null;
+
+    if (cached) {
+      console.log(`💾 OCR cache hit for ${path.basename(filePath)} (${name}, cached ${new Date(cached.createdAt).toISOString()})`);
+      attempts.push({ provider: name, status: 'accepted', cached: true, timeMs: 0 });
+      return {
+        ...cached.result,
+        attempts,
+        cache: { hit: true, key: cacheKey, cachedAt: new Date(cached.createdAt).toISOString() }
+      };
+    }
+
+    const isAcceptable = result => checkAcceptance(result, settings.acceptance);
+    const startTime = Date.now();
+    console.log(`🔠 OCR provider ${name}: recognizing ${path.basename(filePath)}`);
+
+    try {
+      const result = await raceDeadline(providers.get(name).recognize(pages, { ...options, settings, isAcceptable, signal }), signal);
+      const verdict = isAcceptable(result);
+      const timeMs = Date.now() - startTime;
+      const strategies = result.strategies ? { strategies: result.strategies } : {};
+
+      if (!verdict.accepted) {
+        console.log(`⚠️ OCR provider ${name} rejected: ${verdict.reason}`);
+        attempts.push({ provider: name, status: 'rejected', reason: verdict.reason, timeMs, ...strategies });
+        continue;
+      }
+
+      console.log(`✅ OCR provider ${name} accepted (${verdict.quality.readableRatio}% readable, confidence ${verdict.confidence === null ? 'n/a' : verdict.confidence + '%'})`);
+      attempts.push({ provider: name, status: 'accepted', timeMs, ...strategies });
+      const accepted = {
+        ...result,
+        provider: name,
+        confidence: verdict.confidence,
+        quality: verdict.quality.readableRatio
+      };
+      const stored = cacheKey ? ocrCache.writeEntry(cacheKey, name, accepted) : null;
+
+      return { ...accepted, attempts, cache: { hit: false, key: cacheKey, stored: !!stored } };
+    } catch (error) {
+      const timedOut = error.deadline || signal.aborted;
+      console.log(`${timedOut ? '⏱️' : '❌'} OCR provider ${name} ${timedOut ? 'timed out' : 'failed'}: ${error.message}`);
+      attempts.push({
+        provider: name,
+        status: timedOut ? 'timed out' : 'failed',
+        reason: error.message,
+        timeMs: Date.now() - startTime,
+        ...(error.strategies ? { strategies: error.strategies } : {})
+      });
+    }
+  }
+
+  if (signal.aborted) console.log(`⏱️ OCR deadline of ${deadlineMs / 1000}s reached for ${path.basename(filePath)}`);
+  const summary = attempts.map(attempt => `${attempt.provider}: ${attempt.status} (${attempt.reason})`).join('; ');
+  const error = new Error(`No OCR provider produced acceptable text - ${summary || 'no providers configured'}`);
+  error.attempts = attempts;
+  throw error;
+}
+
+[
+  require('./ocrSpace'),
+  require('./googleVision'),
+  require('./tesseract'),
+  require('./stub')
+].forEach(registerProvider);
+
+loadOcrConfig();
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  loadOcrConfig,
+  getOcrConfig,
+  hasAvailableProvider,
+  canMakeSearchablePdf,
+  checkAcceptance,
+  recognizeDocument
+};
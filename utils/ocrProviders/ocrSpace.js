@@ -0,0 +1,335 @@
+// utils/ocrProviders/ocrSpace.js - OCR.space API, trying several engine/layout strategies
+const fs = require('fs');
+const path = require('path');
+const ocr = require('../ocr');
+const languages = require('../languages');
+const { PAGE_BREAK, analyzeTextQuality } = require('../textUtils');
+const { joinPdfs } = require('../pdfPages');
+
+const DEFAULT_TIMEOUT_MS = 45000;
+const DEFAULT_CONCURRENCY = 2;
+
+// Multiple OCR strategies specifically optimized for difficult documents. With `searchablePdf`
+// OCR.space also makes a PDF of the page images with the recognized text as a hidden layer.
+function buildStrategies(apiKey, language, wordBoxes, searchablePdf = false) {
+  const overlay = wordBoxes ? 'true' : 'false';
+  const searchable = {
+    'isCreateSearchablePdf': searchablePdf ? 'true' : 'false',
+    'isSearchablePdfHideTextLayer': searchablePdf ? 'true' : 'false'
+  };
+
+  return [
+    {
+      name: 'High-Resolution Engine 2 (Best for Articles)',
+      settings: {
+        'apikey': apiKey,
+        'OCREngine': '2',           // Engine 2 is generally better for documents
+        'scale': 'true',            // Auto-scale for better resolution
+        'isTable': 'false',         // Not a table layout
+        'detectOrientation': 'true', // Auto-rotate if needed
+        'language': languages.ocrSpaceLanguage(language, '2'),
+        'isOverlayRequired': overlay,
+        'filetype': 'Auto',         // Let OCR.space detect file type
+        ...searchable
+      }
+    },
+    {
+      name: 'Engine 1 High Quality (Alternative)',
+      settings: {
+        'apikey': apiKey,
+        'OCREngine': '1',           // Try engine 1 as backup
+        'scale': 'true',
+        'isTable': 'false',
+        'detectOrientation': 'true',
+        'language': languages.ocrSpaceLanguage(language, '1'),
+        'isOverlayRequired': overlay,
+        'filetype': 'Auto',
+        ...searchable
+      }
+    },
+    {
+      name: 'Table Detection Mode (For Complex Layouts)',
+      settings: {
+        'apikey': apiKey,
+        'OCREngine': '2',
+        'scale': 'true',
+        'isTable': 'true',          // Enable table detection for complex layouts
+        'detectOrientation': 'true',
+        'language': languages.ocrSpaceLanguage(language, '2'),
+        'isOverlayRequired': overlay,
+        'filetype': 'Auto',
+        ...searchable
+      }
+    },
+    {
+      name: 'No Auto-Scaling (Raw Processing)',
+      settings: {
+        'apikey': apiKey,
+        'OCREngine': '2',
+        'scale': 'false',           // Don't scale - use original resolution
+        'isTable': 'false',
+        'detectOrientation': 'false', // Don't auto-rotate
+        'language': languages.ocrSpaceLanguage(language, '2'),
+        'isOverlayRequired': overlay,
+        'filetype': 'Auto',
+        ...searchable
+      }
+    }
+  ];
+}
+
+// Word boxes from the text overlay, which OCR.space only returns when isOverlayRequired is set
+function overlayWords(page) {
+  const lines = (page.TextOverlay && page.TextOverlay.Lines) || [];
+  return lines.flatMap(line => (line.Words || []).map(word => ({
+    text: word.WordText,
+    confidence: null,
+    bbox: { x0: word.Left, y0: word.Top, x1: word.Left + word.Width, y1: word.Top + word.Height }
+  })));
+}
+
+// One request with one strategy; throws when OCR.space reports an error or no pages
+async function runStrategy(strategy, page, fileBuffer, signal) {
+  const formData = new ocr.FormData();
+
+  // Add the file
+  formData.append('file', fileBuffer, {
+    filename: path.basename(page.filePath),
+    contentType: page.mimetype
+  });
+
+  // Add all settings
+  Object.entries(strategy.settings).forEach(([key, value]) => {
+    formData.append(key, value);
+  });
+
+  const response = await ocr.fetch('https://api.ocr.space/parse/image', {
+    method: 'POST',
+    body: formData,
+    headers: formData.getHeaders(),
+    signal
+  });
+
+  console.log(`📡 ${strategy.name} - Response status: ${response.status}`);
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.log(`❌ ${strategy.name} - HTTP Error: ${response.status} - ${errorText}`);
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const result = await response.json();
+
+  // Detailed result analysis
+  console.log(`📊 ${strategy.name} - Result analysis:`, {
+    IsErroredOnProcessing: result.IsErroredOnProcessing,
+    ErrorMessage: result.ErrorMessage,
+    ErrorDetails: result.ErrorDetails,
+    ProcessingTimeInMilliseconds: result.ProcessingTimeInMilliseconds,
+    ParsedResults: result.ParsedResults?.length || 0
+  });
+
+  if (result.IsErroredOnProcessing) {
+    console.log(`❌ ${strategy.name} - Processing error: ${result.ErrorMessage}`);
+    if (result.ErrorDetails) {
+      console.log(`🔍 Error details: ${JSON.stringify(result.ErrorDetails)}`);
+    }
+    throw new Error(`Processing error: ${[].concat(result.ErrorMessage || 'unknown').join(' ')}`);
+  }
+
+  if (!result.ParsedResults || result.ParsedResults.length === 0) {
+    console.log(`❌ ${strategy.name} - No parsed results`);
+    throw new Error('No parsed results');
+  }
+
+  return result;
+}
+
+// OCR.space gives no confidence score, so a page's readable-word ratio stands in for it
+function toPages(parsedResults, firstPageNumber) {
+  return parsedResults.map((page, index) => {
+    const text = page.ParsedText || '';
+    const quality = analyzeTextQuality(text);
+    console.log(`📄 Page ${firstPageNumber + index}: ${text.length} chars, ${quality.readableRatio}% readable, ${quality.validWordCount} valid words`);
+
+    return {
+      pageNumber: firstPageNumber + index,
+      text,
+      confidence: quality.readableRatio,
+      words: overlayWords(page)
+    };
+  });
+}
+
+function unavailableReason(settings) {
+  if (!ocr.externalOcrAvailable) return 'form-data and node-fetch are not installed';
+  if (settings.requireApiKey && !process.env.OCR_SPACE_API_KEY) return 'OCR_SPACE_API_KEY is not set';
+  return null;
+}
+
+// Run one strategy over every page. The strategy's controller aborts it when another strategy
+// wins, when its own timeout passes or at the request deadline.
+async function attemptStrategy(strategy, pages, controller, isAcceptable) {
+  const recognized = [];
+  const searchablePdfUrls = [];
+  let processingTime = 0;
+
+  for (const page of pages) {
+    console.log(`📡 ${strategy.name} - processing ${path.basename(page.filePath)}`);
+    const fileBuffer = fs.readFileSync(page.filePath);
+    const result = await runStrategy(strategy, page, fileBuffer, controller.signal);
+
+    recognized.push(...toPages(result.ParsedResults, recognized.length + 1));
+    processingTime += Number(result.ProcessingTimeInMilliseconds) || 0;
+    // Without isCreateSearchablePdf the field holds a note instead of a URL
+    if (/^https?:\/\//.test(result.SearchablePDFURL || '')) searchablePdfUrls.push(result.SearchablePDFURL);
+  }
+
+  const rawText = recognized.map(page => page.text + PAGE_BREAK).join('');
+  return { rawText, pages: recognized, processingTime, searchablePdfUrls, verdict: isAcceptable({ text: rawText, pages: recognized }) };
+}
+
+// Download the searchable PDFs OCR.space made for each input file and join them into one
+async function downloadSearchablePdf(urls, pageCount, signal) {
+  if (urls.length < pageCount) throw new Error('OCR.space did not return a searchable PDF');
+
+  const pdfBuffers = [];
+  for (const url of urls) {
+    const response = await ocr.fetch(url, { signal });
+    if (!response.ok) throw new Error(`Searchable PDF download failed: HTTP ${response.status}`);
+    pdfBuffers.push(await response.buffer());
+  }
+  return joinPdfs(pdfBuffers);
+}
+
+// Run the strategies concurrently (`concurrency` at a time, each with `timeoutMs`) and keep the
+// first result that `options.isAcceptable` approves; the strategies still running are cancelled.
+// `options.signal` aborts everything at the request deadline. The result (or the thrown error)
+// lists every strategy's status in `strategies`. `options.searchablePdf` adds the winning
+// strategy's searchable PDF to the result as `searchablePdf` (a Buffer).
+async function recognize(pages, options = {}) {
+  const settings = options.settings || {};
+  const apiKey = process.env.OCR_SPACE_API_KEY || 'helloworld';
+  const language = options.language || languages.resolveLanguageHint();
+  const strategies = buildStrategies(apiKey, language, settings.wordBoxes !== false, options.searchablePdf === true);
+  const isAcceptable = options.isAcceptable || (() => ({ accepted: true }));
+  const timeoutMs = settings.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const concurrency = Math.max(1, settings.concurrency || DEFAULT_CONCURRENCY);
+  const requestSignal = options.signal;
+
+  const report = strategies.map(strategy => ({ strategy: strategy.name, status: 'not started' }));
+  const controllers = strategies.map(() => new AbortController());
+  // Why each controller was aborted, so an aborted request can be reported as cancelled or timed out
+  const abortReasons = [];
+  let winner = null;
+  let next = 0;
+
+  const abort = (index, reason) => {
+    if (controllers[index].signal.aborted) return;
+    abortReasons[index] = reason;
+    controllers[index].abort();
+  };
+  const onDeadline = () => controllers.forEach((controller, index) => abort(index, 'timed out'));
+  if (requestSignal) requestSignal.addEventListener('abort', onDeadline);
+
+  console.log(`🌍 OCR language: ${language.hint} (Engine 2: ${languages.ocrSpaceLanguage(language, '2')}, Engine 1: ${languages.ocrSpaceLanguage(language, '1')})`);
+  console.log(`📡 Running ${strategies.length} OCR.space strategies, ${concurrency} at a time (${timeoutMs / 1000}s each)`);
+
+  const worker = async () => {
+    while (!winner && next < strategies.length && !(requestSignal && requestSignal.aborted)) {
+      const index = next++;
+      const strategy = strategies[index];
+      const entry = report[index];
+      const startTime = Date.now();
+      const timer = setTimeout(() => abort(index, 'timed out'), timeoutMs);
+      entry.status = 'running';
+
+      try {
+        const attempt = await attemptStrategy(strategy, pages, controllers[index], isAcceptable);
+        if (controllers[index].signal.aborted) {
+          entry.status = abortReasons[index];
+        } else if (!attempt.verdict.accepted) {
+          console.log(`❌ ${strategy.name} - ${attempt.verdict.reason}`);
+          Object.assign(entry, { status: 'rejected', reason: attempt.verdict.reason });
+        } else if (winner) {
+          entry.status = 'cancelled';
+        } else {
+          winner = { index, strategy, ...attempt };
+          entry.status = 'accepted';
+          controllers.forEach((controller, other) => { if (other !== index) abort(other, 'cancelled'); });
+        }
+      } catch (strategyError) {
+        if (controllers[index].signal.aborted) {
+          entry.status = abortReasons[index];
+          if (entry.status === 'timed out') entry.reason = requestSignal && requestSignal.aborted ? 'request deadline reached' : `no answer within ${timeoutMs / 1000}s`;
+        } else {
+          console.error(`❌ ${strategy.name} failed:`, strategyError.message);
+          Object.assign(entry, { status: 'failed', reason: strategyError.message });
+        }
+      } finally {
+        clearTimeout(timer);
+        entry.timeMs = Date.now() - startTime;
+      }
+    }
+  };
+
+  try {
+    await Promise.all(Array.from({ length: Math.min(concurrency, strategies.length) }, worker));
+  } finally {
+    if (requestSignal) requestSignal.removeEventListener('abort', onDeadline);
+  }
+
+  report
+    .filter(entry => entry.status !== 'accepted' && entry.status !== 'rejected' && entry.status !== 'failed')
+    .forEach(entry => console.log(`⏹️ ${entry.strategy} - ${entry.status}${entry.reason ? ` (${entry.reason})` : ''}`));
+
+  if (!winner) {
+    const error = new Error(requestSignal && requestSignal.aborted
+      ? 'OCR.space strategies did not finish before the request deadline'
+      : 'All OCR.space strategies failed to produce acceptable text quality');
+    error.strategies = report;
+    throw error;
+  }
+
+  // Apply intelligent text cleanup
+  const cleanup = ocr.cleanupWithReport(winner.rawText);
+
+  console.log(`✅ ${winner.strategy.name} SUCCESS!`);
+  console.log(`📄 Original: ${winner.rawText.length} chars, Cleaned: ${cleanup.text.length} chars`);
+  console.log(`📊 Quality improvement: ${cleanup.qualityBefore.readableRatio}% → ${cleanup.qualityAfter.readableRatio}%`);
+  console.log(`🏢 Company indicators found: ${ocr.checkForCompanyIndicators(cleanup.text)}`);
+
+  const result = {
+    text: cleanup.text,
+    rawText: winner.rawText,
+    cleanup: { qualityBefore: cleanup.qualityBefore, qualityAfter: cleanup.qualityAfter, corrections: cleanup.corrections },
+    pages: winner.pages,
+    method: winner.strategy.name,
+    language: winner.strategy.settings.language,
+    processingTime: winner.processingTime,
+    strategies: report
+  };
+
+  if (options.searchablePdf) {
+    try {
+      result.searchablePdf = await downloadSearchablePdf(winner.searchablePdfUrls, pages.length, requestSignal);
+      console.log(`📑 Searchable PDF from ${winner.strategy.name}: ${result.searchablePdf.length} bytes`);
+    } catch (downloadError) {
+      downloadError.strategies = report;
+      throw downloadError;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  name: 'ocrspace',
+  description: 'OCR.space API (free key unless OCR_SPACE_API_KEY is set)',
+  // TIFF, GIF and BMP are read as uploaded, for when sharp is not there to convert them
+  mimetypes: ['application/pdf', 'image/png', 'image/jpeg', 'image/jpg', 'image/tiff', 'image/gif', 'image/bmp', 'image/x-ms-bmp'],
+  searchablePdf: true,
+  unavailableReason,
+  recognize,
+  buildStrategies
+};
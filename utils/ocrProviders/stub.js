@@ -0,0 +1,86 @@
+// utils/ocrProviders/stub.js - Offline OCR stand-in that returns prepared text, for tests and demos
+const fs = require('fs');
+const path = require('path');
+const { PAGE_BREAK } = require('../textUtils');
+
+const DEFAULT_CONFIDENCE = 95;
+// Synthetic layout for word boxes: a fixed-width font on a fixed line grid
+const CHAR_WIDTH = 10;
+const LINE_HEIGHT = 20;
+
+// Text for a document: `<name>.txt` in the configured directory (upload timestamps such as
+// "1700000000000-" are ignored), else the configured `text`
+function findText(filePath, settings) {
+  if (settings.directory) {
+    const name = path.basename(filePath, path.extname(filePath));
+    const directory = path.resolve(__dirname, '..', '..', settings.directory);
+    const found = [name, name.replace(/^\d+-/, '')]
+      .map(candidate => path.join(directory, `${candidate}.txt`))
+      .find(candidate => fs.existsSync(candidate));
+    if (found) return fs.readFileSync(found, 'utf8');
+  }
+  return settings.text || null;
+}
+
+function layoutWords(text) {
+  const words = [];
+  text.split('\n').forEach((line, lineIndex) => {
+    const regex = /\S+/g;
+    let match;
+    while ((match = regex.exec(line)) !== null) {
+      words.push({
+        text: match[0],
+        confidence: null,
+        bbox: {
+          x0: match.index * CHAR_WIDTH,
+          y0: lineIndex * LINE_HEIGHT,
+          x1: (match.index + match[0].length) * CHAR_WIDTH,
+          y1: (lineIndex + 1) * LINE_HEIGHT
+        }
+      });
+    }
+  });
+  return words;
+}
+
+function unavailableReason() {
+  return null;
+}
+
+async function recognize(pages, options = {}) {
+  const settings = options.settings || {};
+  const confidence = settings.confidence !== undefined ? settings.confidence : DEFAULT_CONFIDENCE;
+  const recognized = [];
+
+  pages.forEach(page => {
+    const text = findText(page.filePath, settings);
+    if (text === null) throw new Error(`No stub text for ${path.basename(page.filePath)}`);
+
+    // Pages keep their line breaks so the word boxes follow the lines
+    text.split(PAGE_BREAK).filter(pageText => pageText.trim()).forEach(pageText => recognized.push({
+      pageNumber: recognized.length + 1,
+      text: pageText,
+      confidence,
+      words: layoutWords(pageText)
+    }));
+  });
+
+  console.log(`🧪 Stub OCR returned ${recognized.length} page(s)`);
+
+  return {
+    text: recognized.map(page => page.text).join(PAGE_BREAK),
+    pages: recognized,
+    method: 'Stub OCR (prepared text)',
+    language: options.language ? options.language.hint : null
+  };
+}
+
+module.exports = {
+  name: 'stub',
+  description: 'Offline stub that returns prepared text (for testing)',
+  mimetypes: ['application/pdf', 'image/png', 'image/jpeg', 'image/jpg'],
+  // Prepared text can change between runs for the same file
+  cacheable: false,
+  unavailableReason,
+  recognize
+};
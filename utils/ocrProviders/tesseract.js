@@ -0,0 +1,248 @@
+// utils/ocrProviders/tesseract.js - Local OCR with Tesseract.js (pdf2pic renders PDF pages, sharp cleans images)
+const fs = require('fs');
+const path = require('path');
+const ocr = require('../ocr');
+const languages = require('../languages');
+const imagePreprocessing = require('../imagePreprocessing');
+const { PAGE_BREAK, analyzeTextQuality } = require('../textUtils');
+const { joinPdfs } = require('../pdfPages');
+
+// Render every page of a PDF (or the first `maxPages` when set) to PNG files in the temp folder;
+// returns [{ pageNumber, path }]
+async function renderPdfPages(filePath, maxPages) {
+  console.log('📄 Converting PDF to images for local OCR...');
+  if (!fs.existsSync(ocr.TEMP_DIR)) fs.mkdirSync(ocr.TEMP_DIR, { recursive: true });
+
+  const convert = ocr.pdf2pic.fromPath(filePath, {
+    density: 300,
+    saveFilename: "page",
+    savePath: ocr.TEMP_DIR,
+    format: "png",
+    width: 2000,
+    height: 2000
+  });
+
+  const imagePaths = [];
+  // pdf2pic fails on the page after the last one, which ends the loop
+  for (let page = 1; !maxPages || page <= maxPages; page++) {
+    try {
+      const result = await convert(page, { responseType: "image" });
+      if (!result.path || !fs.existsSync(result.path)) break;
+      imagePaths.push({ pageNumber: page, path: result.path });
+      console.log(`📸 Converted page ${page} to image`);
+    } catch (pageError) {
+      if (page === 1) console.log(`⚠️ Page ${page} conversion failed:`, pageError.message);
+      break;
+    }
+  }
+  return imagePaths;
+}
+
+function cleanText(text) {
+  return text
+    .replace(/[^\S\f]+/g, ' ')
+    .replace(/[^\p{L}\p{M}\p{N}_\s&\.\-',()\/]/gu, ' ')
+    .replace(/[^\S\f]+/g, ' ')
+    .trim();
+}
+
+// `searchablePdf` also has Tesseract write a one-page PDF of the image with the text as an
+// invisible layer (data.pdf, an array of bytes)
+async function runTesseract(imagePath, tesseractLanguage, searchablePdf = false) {
+  const logger = m => {
+    if (m.status === 'recognizing text') {
+      console.log(`📝 Local OCR Progress (${tesseractLanguage}): ${Math.round(m.progress * 100)}%`);
+    }
+  };
+  if (!searchablePdf) return ocr.Tesseract.recognize(imagePath, tesseractLanguage, { logger });
+
+  const worker = await ocr.Tesseract.createWorker(tesseractLanguage, 1, { logger });
+  try {
+    return await worker.recognize(imagePath, { pdfTitle: path.basename(imagePath) }, { text: true, blocks: true, pdf: true });
+  } finally {
+    await worker.terminate();
+  }
+}
+
+function unavailableReason() {
+  return ocr.localOcrAvailable ? null : 'tesseract.js, pdf2pic and sharp are not installed';
+}
+
+// `options.preprocessing` (a profile from utils/imagePreprocessing.js, default the `preprocessing`
+// setting or "auto") prepares each page image before Tesseract reads it.
+// `options.searchablePdf` adds `searchablePdf` (a Buffer) with every page image and its text as a
+// hidden layer. The pages are then read as they are, without preprocessing, so the text lines up
+// with the images in the PDF.
+async function recognize(pages, options = {}) {
+  const settings = options.settings || {};
+  const searchablePdf = options.searchablePdf === true;
+  const preprocessing = searchablePdf ? 'none' : options.preprocessing || settings.preprocessing || 'auto';
+  const language = options.language || languages.resolveLanguageHint();
+  let tesseractLanguage = languages.tesseractLanguage(language);
+  let detectedLanguage = null;
+  const recognized = [];
+  const pagePdfs = [];
+  // Page numbers continue across inputs when more than one file is passed
+  let pageBase = 0;
+
+  for (const page of pages) {
+    console.log('🔍 Starting local OCR processing for:', path.basename(page.filePath));
+
+    let imagePaths = [];
+    if (page.mimetype === 'application/pdf') {
+      imagePaths = await renderPdfPages(page.filePath, settings.maxPages || null);
+    } else if (page.mimetype.startsWith('image/')) {
+      imagePaths.push({ pageNumber: 1, path: page.filePath });
+      console.log('📸 Processing image file directly');
+    }
+
+    for (const { pageNumber, path: imagePath } of imagePaths) {
+      console.log('🔍 Running Tesseract OCR on:', path.basename(imagePath));
+      const processedImagePath = imagePath + '_processed.png';
+
+      try {
+        // Preprocess image for better OCR
+        const prepared = await imagePreprocessing.preprocessImage(imagePath, preprocessing, processedImagePath);
+
+        const run = lang => runTesseract(searchablePdf ? imagePath : prepared.path, lang, searchablePdf);
+        let { data } = await run(tesseractLanguage);
+
+        // In auto mode the first page decides: another language means adding its model and reading again
+        if (language.auto && !detectedLanguage) {
+          detectedLanguage = languages.detectLanguage(data.text);
+          const detectedTesseract = languages.tesseractLanguage(language, detectedLanguage.code);
+          if (detectedTesseract !== tesseractLanguage) {
+            console.log(`🌍 Detected ${detectedLanguage.name} (${detectedLanguage.confidence}%) - re-running Tesseract with ${detectedTesseract}`);
+            tesseractLanguage = detectedTesseract;
+            ({ data } = await run(tesseractLanguage));
+          }
+        }
+
+        // Blank pages stay in the searchable PDF even though they add no text
+        if (searchablePdf) pagePdfs.push(Buffer.from(data.pdf));
+
+        if (data.text && data.text.trim().length > 0) {
+          console.log(`✅ Local OCR extracted ${data.text.length} characters`);
+          recognized.push({
+            pageNumber: pageBase + pageNumber,
+            text: cleanText(data.text),
+            confidence: Math.round(data.confidence),
+            preprocessing: prepared.profile,
+            // Word boxes are moved back onto the page image as it was before preprocessing
+            width: prepared.width,
+            height: prepared.height,
+            words: (data.words || []).map(word => ({
+              text: word.text,
+              confidence: Math.round(word.confidence),
+              bbox: imagePreprocessing.mapToOriginal(word.bbox, prepared.mapping)
+            }))
+          });
+        }
+      } catch (ocrError) {
+        console.error(`❌ Local OCR failed for ${imagePath}:`, ocrError.message);
+      } finally {
+        if (fs.existsSync(processedImagePath)) fs.unlinkSync(processedImagePath);
+        if (imagePath !== page.filePath && fs.existsSync(imagePath)) fs.unlinkSync(imagePath);
+      }
+    }
+    pageBase += imagePaths.length;
+  }
+
+  if (recognized.length === 0) {
+    throw new Error('Local OCR extracted no readable text');
+  }
+
+  const text = recognized.map(page => page.text + PAGE_BREAK).join('').trim();
+  console.log(`🎯 Local OCR result: ${text.length} characters extracted`);
+
+  const result = {
+    text,
+    pages: recognized,
+    method: 'Local OCR (Tesseract)',
+    language: tesseractLanguage
+  };
+
+  if (searchablePdf) {
+    result.searchablePdf = await joinPdfs(pagePdfs);
+    console.log(`📑 Searchable PDF from local OCR: ${pagePdfs.length} pages, ${result.searchablePdf.length} bytes`);
+  }
+
+  return result;
+}
+
+// Read the image (or a PDF's first page) once per preprocessing profile, for comparing profiles.
+// Returns one entry per profile with its text quality, Tesseract confidence and preview.
+async function compareProfiles(filePath, mimetype, { profiles, language } = {}) {
+  const names = profiles && profiles.length > 0 ? profiles : imagePreprocessing.listProfiles().map(profile => profile.name);
+  const tesseractLanguage = languages.tesseractLanguage(language || languages.resolveLanguageHint());
+  const rendered = mimetype === 'application/pdf' ? await renderPdfPages(filePath, 1) : [];
+  const imagePath = rendered.length > 0 ? rendered[0].path : filePath;
+  if (mimetype === 'application/pdf' && rendered.length === 0) throw new Error('Could not render the first PDF page');
+
+  const comparison = [];
+  try {
+    for (const name of names) {
+      console.log(`🧪 Testing preprocessing profile: ${name}`);
+      const outputPath = `${imagePath}_${name}.png`;
+      const entry = {
+        profile: name,
+        success: false,
+        error: null,
+        textLength: 0,
+        quality: 0,
+        validWords: 0,
+        confidence: null,
+        hasCompanyIndicators: false,
+        extractedText: '',
+        preview: '',
+        processingTime: 0
+      };
+      const startTime = Date.now();
+
+      try {
+        const prepared = await imagePreprocessing.preprocessImage(imagePath, name, outputPath);
+        const { data } = await runTesseract(prepared.path, tesseractLanguage);
+        const text = cleanText(data.text || '');
+        const quality = analyzeTextQuality(text);
+
+        Object.assign(entry, {
+          appliedProfile: prepared.profile,
+          reason: prepared.reason,
+          steps: prepared.steps,
+          deskewAngle: prepared.deskewAngle,
+          crop: prepared.crop,
+          success: text.length > 0,
+          textLength: text.length,
+          quality: quality.readableRatio,
+          validWords: quality.validWordCount,
+          confidence: Math.round(data.confidence),
+          hasCompanyIndicators: ocr.checkForCompanyIndicators(text) > 0,
+          extractedText: text,
+          preview: text.substring(0, 300)
+        });
+        console.log(`✅ ${name}: ${quality.readableRatio}% quality, confidence ${entry.confidence}%`);
+      } catch (profileError) {
+        entry.error = profileError.message;
+        console.log(`❌ ${name}: ${profileError.message}`);
+      } finally {
+        entry.processingTime = Date.now() - startTime;
+        if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+      }
+      comparison.push(entry);
+    }
+  } finally {
+    if (imagePath !== filePath && fs.existsSync(imagePath)) fs.unlinkSync(imagePath);
+  }
+
+  return comparison;
+}
+
+module.exports = {
+  name: 'tesseract',
+  description: 'Local Tesseract.js OCR (needs tesseract.js, pdf2pic and sharp)',
+  mimetypes: ['application/pdf', 'image/png', 'image/jpeg', 'image/jpg'],
+  searchablePdf: true,
+  unavailableReason,
+  recognize,
+  compareProfiles
+};
@@ -0,0 +1,135 @@
+// utils/pdfPages.js - Per-page text layer reading and single-page PDF splitting for mixed PDFs
+const fs = require('fs');
+const path = require('path');
+const pdf = require('pdf-parse');
+const { PAGE_BREAK, analyzeTextQuality } = require('./textUtils');
+
+// A page's text layer is used as is when it passes these; other pages go to OCR
+const MIN_PAGE_CHARS = 50;
+const MIN_PAGE_READABLE_RATIO = 70;
+const MIN_PAGE_VALID_WORDS = 5;
+
+// pdf-lib copies single pages out of a PDF (optional - without it the whole file is OCR'd once)
+let PDFDocument = null;
+try {
+  ({ PDFDocument } = require('pdf-lib'));
+  console.log('✅ pdf-lib available - mixed PDFs are OCR\'d page by page');
+} catch (error) {
+  console.log('⚠️ pdf-lib not available (optional) - mixed PDFs are OCR\'d as whole documents');
+}
+
+// Words of a text item with their boxes in points from the top-left of the page. pdf.js gives
+// one box per item, so each word gets the share of the width its characters take up.
+function itemWords(item, pageHeight) {
+  const fontHeight = Math.hypot(item.transform[2], item.transform[3]) || item.height || 0;
+  const x = item.transform[4];
+  const baseline = pageHeight - item.transform[5];
+  const charWidth = item.str.length > 0 ? item.width / item.str.length : 0;
+  const words = [];
+  const regex = /\S+/g;
+  let match;
+
+  while ((match = regex.exec(item.str)) !== null) {
+    words.push({
+      text: match[0],
+      confidence: null,
+      bbox: {
+        x0: Math.round((x + match.index * charWidth) * 10) / 10,
+        y0: Math.round((baseline - fontHeight) * 10) / 10,
+        x1: Math.round((x + (match.index + match[0].length) * charWidth) * 10) / 10,
+        y1: Math.round(baseline * 10) / 10
+      }
+    });
+  }
+  return words;
+}
+
+// Text and word boxes of one page; the text keeps line breaks where the baseline changes
+async function readPageContent(pageData) {
+  const viewport = pageData.getViewport(1);
+  const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  let lastY;
+  let text = '';
+  const words = [];
+
+  for (const item of textContent.items) {
+    text += (lastY === item.transform[5] || !lastY) ? item.str : '\n' + item.str;
+    lastY = item.transform[5];
+    words.push(...itemWords(item, viewport.height));
+  }
+
+  return { text, words, width: Math.round(viewport.width), height: Math.round(viewport.height) };
+}
+
+// Read the text layer page by page: { text, pages: [{ pageNumber, text, words, width, height }] },
+// with word boxes in points. Pages pdf-parse cannot render come back empty.
+async function readTextLayer(pdfBuffer, parseOptions = {}) {
+  const pageContents = [];
+  // pdf.js reads the Buffer's underlying ArrayBuffer, which small files share with Node's buffer
+  // pool, so it gets a copy of its own
+  const pdfData = await pdf(new Uint8Array(pdfBuffer), {
+    ...parseOptions,
+    // Each page ends with a page break so layout survives
+    pagerender: pageData => readPageContent(pageData).then(content => {
+      pageContents[pageData.pageNumber - 1] = content;
+      return content.text + PAGE_BREAK;
+    })
+  });
+
+  const pages = Array.from({ length: pdfData.numpages || pageContents.length }, (value, index) => ({
+    pageNumber: index + 1,
+    text: '',
+    words: [],
+    width: null,
+    height: null,
+    ...pageContents[index]
+  }));
+
+  return { text: pdfData.text || '', pages };
+}
+
+// Whether a page's text layer is good enough to skip OCR: missing or garbled text is not
+function isUsableTextLayer(text) {
+  const quality = analyzeTextQuality(text);
+  return text.trim().length >= MIN_PAGE_CHARS &&
+    quality.readableRatio >= MIN_PAGE_READABLE_RATIO &&
+    quality.validWordCount >= MIN_PAGE_VALID_WORDS;
+}
+
+function canSplitPages() {
+  return !!PDFDocument;
+}
+
+// Write one page of a PDF to `<directory>/page-<n>.pdf` and return its path
+async function writeSinglePagePdf(pdfBuffer, pageNumber, directory) {
+  const source = await PDFDocument.load(pdfBuffer, { ignoreEncryption: true });
+  const target = await PDFDocument.create();
+  const [page] = await target.copyPages(source, [pageNumber - 1]);
+  target.addPage(page);
+
+  const filePath = path.join(directory, `page-${pageNumber}.pdf`);
+  fs.writeFileSync(filePath, await target.save());
+  return filePath;
+}
+
+// Join PDFs into one, pages in order. One PDF is returned as is; more need pdf-lib.
+async function joinPdfs(pdfBuffers) {
+  if (pdfBuffers.length === 1) return pdfBuffers[0];
+  if (!PDFDocument) throw new Error('pdf-lib is not installed - cannot join pages into one PDF');
+
+  const target = await PDFDocument.create();
+  for (const pdfBuffer of pdfBuffers) {
+    const source = await PDFDocument.load(pdfBuffer, { ignoreEncryption: true });
+    const pages = await target.copyPages(source, source.getPageIndices());
+    pages.forEach(page => target.addPage(page));
+  }
+  return Buffer.from(await target.save());
+}
+
+module.exports = {
+  readTextLayer,
+  isUsableTextLayer,
+  canSplitPages,
+  writeSinglePagePdf,
+  joinPdfs
+};
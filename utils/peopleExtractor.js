@@ -0,0 +1,145 @@
+// utils/peopleExtractor.js
+const { getContext } = require('./textUtils');
+const { detectEntitySuffix } = require('./entitySuffixes');
+
+// Role labels as they appear on formation documents; longer labels first so
+// "Managing Member" is not read as "Member"
+const ROLE_LABELS = [
+  { role: 'managing_member', source: 'managing\\s+members?' },
+  { role: 'organizer', source: 'organi[sz]ers?' },
+  { role: 'incorporator', source: 'incorporators?' },
+  { role: 'registered_agent', source: 'registered\\s+agent' },
+  { role: 'authorized_person', source: 'authorized\\s+(?:person|representative|signatory)' },
+  { role: 'vice_president', source: 'vice[\\s-]+president' },
+  { role: 'president', source: 'president' },
+  { role: 'ceo', source: 'chief\\s+executive\\s+officer|CEO' },
+  { role: 'cfo', source: 'chief\\s+financial\\s+officer|CFO' },
+  { role: 'secretary', source: 'secretary(?!\\s+of\\s+state)' },
+  { role: 'treasurer', source: 'treasurer' },
+  { role: 'director', source: 'directors?' },
+  { role: 'manager', source: 'managers?' },
+  { role: 'member', source: 'members?' }
+];
+
+const ROLE_LABEL_SOURCE = ROLE_LABELS.map(label => `(?:${label.source})`).join('|');
+
+// Names in any script's capitals ("José García"), for regexes with the u flag. Words are joined
+// by spaces or tabs only: a line break ends the name ("Jane Doe" / "Mailing Address")
+const PERSON_SOURCE = [
+  "\\p{Lu}\\p{Ll}+(?:[^\\S\\n]+\\p{Lu}\\.?)?(?:[^\\S\\n]+\\p{Lu}[\\p{Ll}'\\-]+){1,2}",
+  "\\p{Lu}{2,}(?:[^\\S\\n]+\\p{Lu}\\.?)?(?:[^\\S\\n]+\\p{Lu}[\\p{Lu}'\\-]+){1,2}"
+].join('|');
+const PERSON_SUFFIX_SOURCE = '(?:,?[^\\S\\n]+(?:Jr|Sr|II|III|IV|Esq)\\.?)?';
+
+// Words that never belong in a person's name on these documents
+const NON_NAME_WORDS = /\b(?:the|state|limited|liability|company|articles?|secretary|registered|agent|members?|managers?|street|avenue|suite|office|county|department|certificate|organization|formation|name|address|signature|date|title|by|its|of|and|llc|inc|corp|mailing|phone|telephone|fax|email|effective|prepared)\b/i;
+
+function roleForLabel(label) {
+  const entry = ROLE_LABELS.find(candidate => new RegExp(`^(?:${candidate.source})$`, 'i').test(label.trim()));
+  return entry ? entry.role : null;
+}
+
+// Read a person's name at the start of `value`, rejecting companies and label words
+function readPersonName(value) {
+  const match = new RegExp(`^\\s*(?:\\/s\\/\\s*)?((?:${PERSON_SOURCE})${PERSON_SUFFIX_SOURCE})`, 'u').exec(value);
+  if (!match) return null;
+
+  if (detectEntitySuffix(value.slice(0, match[0].length + 12))) return null;
+
+  // Drop trailing words until no label word is left ("Jane Doe Name" -> "Jane Doe")
+  const words = match[1].replace(/\s+/g, ' ').trim().split(' ');
+  for (let count = words.length; count >= 2; count--) {
+    const name = words.slice(0, count).join(' ').replace(/,$/, '');
+    if (!NON_NAME_WORDS.test(name) && !/^\p{Lu}\.?$/u.test(words[count - 1])) return name;
+  }
+
+  return null;
+}
+
+function addMention(people, text, name, role, confidence, patternName, matchText) {
+  const key = name.toLowerCase().replace(/\P{L}/gu, '');
+  let person = people.get(key);
+
+  if (!person) {
+    person = { name, roles: [], confidence: 0, mentions: [] };
+    people.set(key, person);
+  }
+
+  if (!person.roles.includes(role)) person.roles.push(role);
+  person.confidence = Math.min(99, Math.max(person.confidence, confidence) + (person.mentions.length > 0 ? 5 : 0));
+  person.mentions.push({ role, patternName, context: getContext(text.replace(/\s+/g, ' '), matchText.replace(/\s+/g, ' ')) });
+}
+
+// "Organizer: Jane Doe", "Managing Member - John Smith"
+function findLabelFirst(text, people) {
+  const regex = new RegExp(`\\b(${ROLE_LABEL_SOURCE})(?:'s)?(?:\\s+name)?(?:\\s+(?:is|are))?\\s*[:\\-]\\s*`, 'gi');
+  let match;
+
+  while ((match = regex.exec(text)) !== null) {
+    const role = roleForLabel(match[1]);
+    const following = text.slice(match.index + match[0].length, match.index + match[0].length + 80);
+    const name = readPersonName(following);
+
+    if (role && name) {
+      addMention(people, text, name, role, 80, 'Role Label', `${match[0]}${name}`);
+    }
+  }
+}
+
+// "Jane Doe, Managing Member" / "John Smith, its President"
+function findNameThenRole(text, people) {
+  const regex = new RegExp(`\\s*,\\s*(?:its\\s+|as\\s+)?(${ROLE_LABEL_SOURCE})\\b`, 'gi');
+  const nameAtEnd = new RegExp(`((?:${PERSON_SOURCE})${PERSON_SUFFIX_SOURCE})$`, 'u');
+  let match;
+
+  while ((match = regex.exec(text)) !== null) {
+    const before = nameAtEnd.exec(text.slice(Math.max(0, match.index - 60), match.index));
+    const role = roleForLabel(match[1]);
+    const name = before ? readPersonName(before[1]) : null;
+
+    if (role && name) {
+      addMention(people, text, name, role, 70, 'Name With Title', `${before[1]}${match[0]}`);
+    }
+  }
+}
+
+// Signature blocks: "By: /s/ Jane Doe Name: Jane Doe Title: Manager"
+function findSignatureBlocks(text, people) {
+  const regex = /\b(?:By|BY|Signature|SIGNATURE|Signed|SIGNED)\s*(?::|\/s\/|_{3,})[\s_]*(?:\/s\/\s*)?/g;
+  let match;
+
+  while ((match = regex.exec(text)) !== null) {
+    const after = text.slice(match.index + match[0].length, match.index + match[0].length + 160);
+    let name = readPersonName(after);
+    const printedName = /\bName\s*:\s*/i.exec(after);
+    if (!name && printedName) name = readPersonName(after.slice(printedName.index + printedName[0].length));
+    if (!name) continue;
+
+    const title = new RegExp(`\\b(?:Title|Its|Capacity)\\s*:?\\s*(${ROLE_LABEL_SOURCE})\\b`, 'i').exec(after);
+    const role = title ? roleForLabel(title[1]) : 'authorized_signer';
+
+    addMention(people, text, name, role || 'authorized_signer', title ? 75 : 60, 'Signature Block', `${match[0]}${after.slice(0, after.indexOf(name) + name.length)}`);
+  }
+}
+
+// People named on formation documents with their roles (organizer, members, managers,
+// officers, registered agent, signers), merged by name across mentions. Line breaks are kept
+// because they end names.
+function extractPeople(text) {
+  if (!text || text.length < 10) return [];
+
+  const cleanText = text.replace(/\r\n?|\f/g, '\n').replace(/[^\S\n]+/g, ' ').replace(/ ?\n ?/g, '\n').trim();
+  const people = new Map();
+
+  findLabelFirst(cleanText, people);
+  findNameThenRole(cleanText, people);
+  findSignatureBlocks(cleanText, people);
+
+  const results = Array.from(people.values()).sort((a, b) => b.confidence - a.confidence);
+  console.log(`👤 People extraction: ${results.length} found`);
+  results.forEach(person => console.log(`   ${person.name} (${person.roles.join(', ')}) ${person.confidence}%`));
+
+  return results;
+}
+
+module.exports = { extractPeople, ROLE_LABELS };
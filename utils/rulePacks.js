@@ -0,0 +1,349 @@
+// utils/rulePacks.js
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const knownCompanies = require('./knownCompanies');
+const { ENTITY_SUFFIX_SOURCE, DISTINCTIVE_SUFFIX_SOURCE } = require('./entitySuffixes');
+const { OCR_SUFFIX_SOURCE } = require('./ocrCorrection');
+const { LATIN_UPPER, LATIN_LOWER, LATIN_LETTER } = require('./textUtils');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'rules');
+const DEFAULT_PACK = 'default';
+const SECTIONS = ['enhanced', 'standard'];
+const PLACEHOLDERS = {
+  ENTITY_SUFFIX: ENTITY_SUFFIX_SOURCE,
+  DISTINCTIVE_SUFFIX: DISTINCTIVE_SUFFIX_SOURCE,
+  OCR_SUFFIX: OCR_SUFFIX_SOURCE,
+  // Character class contents, used inside brackets: "[{{UPPER}}][{{LETTER}}\\s]+"
+  UPPER: LATIN_UPPER,
+  LOWER: LATIN_LOWER,
+  LETTER: LATIN_LETTER
+};
+const SECTION_DEFAULTS = {
+  aggressive: false,
+  fragmentMatching: false,
+  minLength: 1,
+  maxLength: 80,
+  maxMatchesPerRule: null,
+  exclusions: [],
+  rules: []
+};
+
+let rulesDir = process.env.RULES_DIR || DEFAULT_DIR;
+let packs = new Map();
+let loadErrors = {};
+let watcher = null;
+
+function readPackFile(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  if (/\.ya?ml$/i.test(filePath)) {
+    return yaml.load(raw);
+  }
+  return JSON.parse(raw);
+}
+
+function fillPlaceholders(pattern, where, errors) {
+  return pattern.replace(/\{\{\s*([A-Z_]+)\s*\}\}/g, (placeholder, key) => {
+    if (!(key in PLACEHOLDERS)) {
+      errors.push(`${where}: unknown placeholder ${placeholder} (known: ${Object.keys(PLACEHOLDERS).join(', ')})`);
+      return '';
+    }
+    return PLACEHOLDERS[key];
+  });
+}
+
+function compileRegex(spec, defaultFlags, where, errors) {
+  const { pattern, flags = defaultFlags } = typeof spec === 'string' ? { pattern: spec } : (spec || {});
+
+  if (typeof pattern !== 'string' || !pattern) {
+    errors.push(`${where}: "pattern" must be a non-empty string`);
+    return null;
+  }
+
+  try {
+    return new RegExp(fillPlaceholders(pattern, where, errors), flags);
+  } catch (error) {
+    errors.push(`${where}: invalid regex (${error.message})`);
+    return null;
+  }
+}
+
+// extractName maps a match to the candidate name:
+//   "entity" (default) rebuilds "<name>, <suffix>" from capture group 1
+//   { "type": "group", "group": 2 } takes a capture group as written
+//   { "type": "fixed", "value": "Acme, LLC" } always reports the given name
+function compileExtractName(spec, where, errors) {
+  if (spec === undefined || spec === 'entity') return null;
+
+  const type = typeof spec === 'string' ? spec : spec && spec.type;
+  if (type === 'group') {
+    const group = Number.isInteger(spec.group) ? spec.group : 1;
+    return match => (match[group] || '').replace(/[^\p{L}\p{M}\p{N}_\s&\.\-',]/gu, ' ').replace(/\s+/g, ' ').replace(/[\s,]+$/, '').trim();
+  }
+  if (type === 'fixed' && typeof spec.value === 'string' && spec.value.trim()) {
+    const value = spec.value.trim();
+    return () => value;
+  }
+
+  errors.push(`${where}: extractName must be "entity", { "type": "group", "group": N } or { "type": "fixed", "value": "..." }`);
+  return null;
+}
+
+function compileRule(rule, where, defaultFlags, errors) {
+  if (!rule || typeof rule.name !== 'string' || !rule.name.trim()) {
+    errors.push(`${where}: rule requires a "name"`);
+    return null;
+  }
+  where = `${where} "${rule.name}"`;
+
+  if (rule.source !== undefined) {
+    if (rule.source !== 'knownCompanies') errors.push(`${where}: unknown source "${rule.source}" (known: knownCompanies)`);
+    return { name: rule.name, source: rule.source };
+  }
+
+  const confidence = rule.confidence === undefined ? null : rule.confidence;
+  if (confidence !== null && (typeof confidence !== 'number' || confidence < 0 || confidence > 100)) {
+    errors.push(`${where}: "confidence" must be a number from 0 to 100`);
+  }
+
+  const regex = compileRegex(rule, defaultFlags, where, errors);
+  if (regex && !regex.global) errors.push(`${where}: "flags" must include g`);
+
+  return {
+    name: rule.name,
+    regex,
+    confidence,
+    entityType: rule.entityType || null,
+    exclusions: (rule.exclusions || []).map((exclusion, i) => compileRegex(exclusion, 'i', `${where} exclusions[${i}]`, errors)),
+    extractName: compileExtractName(rule.extractName, where, errors)
+  };
+}
+
+// Rules of a child pack replace parent rules with the same name ({ "name": ..., "disabled": true }
+// drops one); new names are appended
+function mergeRules(parentRules = [], childRules = []) {
+  const merged = parentRules.map(rule => ({ ...rule }));
+
+  childRules.forEach(rule => {
+    const index = merged.findIndex(existing => existing.name === rule.name);
+    if (index === -1) {
+      merged.push(rule);
+    } else {
+      merged[index] = { ...merged[index], ...rule };
+    }
+  });
+
+  return merged.filter(rule => !rule.disabled);
+}
+
+function mergePacks(parent, child) {
+  const merged = { ...parent, ...child, indicators: mergeRules(parent.indicators, child.indicators) };
+
+  SECTIONS.forEach(section => {
+    const parentSection = parent[section] || {};
+    const childSection = child[section] || {};
+    merged[section] = {
+      ...parentSection,
+      ...childSection,
+      rules: mergeRules(parentSection.rules, childSection.rules)
+    };
+  });
+
+  return merged;
+}
+
+// Follow "extends" chains so every pack is complete on its own
+function resolvePack(name, rawPacks, seen = []) {
+  const raw = rawPacks[name];
+  if (!raw) throw new Error(`extends unknown pack "${name}"`);
+  if (seen.includes(name)) throw new Error(`extends cycle ${[...seen, name].join(' -> ')}`);
+  if (!raw.extends) return raw;
+  return mergePacks(resolvePack(raw.extends, rawPacks, [...seen, name]), raw);
+}
+
+// Validate a resolved pack and compile its regexes; throws with every problem found
+function compilePack(name, pack, file) {
+  const errors = [];
+  const compiled = {
+    name,
+    description: pack.description || '',
+    extends: pack.extends || null,
+    file: path.basename(file),
+    indicators: []
+  };
+
+  SECTIONS.forEach(section => {
+    const settings = { ...SECTION_DEFAULTS, ...(pack[section] || {}) };
+    if (!Array.isArray(settings.rules)) errors.push(`${section}.rules must be an array`);
+
+    compiled[section] = {
+      aggressive: !!settings.aggressive,
+      fragmentMatching: !!settings.fragmentMatching,
+      minLength: settings.minLength,
+      maxLength: settings.maxLength,
+      maxMatchesPerRule: settings.maxMatchesPerRule,
+      exclusions: (settings.exclusions || []).map((exclusion, i) => compileRegex(exclusion, 'i', `${section}.exclusions[${i}]`, errors)),
+      rules: (settings.rules || []).map((rule, i) => compileRule(rule, `${section}.rules[${i}]`, 'g', errors)).filter(Boolean)
+    };
+
+    compiled[section].rules.forEach(rule => {
+      if (!rule.source && rule.confidence === null) errors.push(`${section} rule "${rule.name}": "confidence" is required`);
+    });
+  });
+
+  compiled.indicators = (pack.indicators || [])
+    .map((rule, i) => compileRule({ confidence: 0, ...rule }, `indicators[${i}]`, 'gi', errors))
+    .filter(Boolean);
+
+  if (errors.length > 0) {
+    throw new Error(`Rule pack "${name}" is invalid:\n  - ${errors.join('\n  - ')}`);
+  }
+  return compiled;
+}
+
+// Load every .json/.yaml pack in the rules directory. A pack that fails validation keeps its
+// last good version; the default pack must always be available.
+function loadRulePacks(dir = rulesDir) {
+  rulesDir = dir;
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(file => /\.(json|ya?ml)$/i.test(file)) : [];
+  const rawPacks = {};
+  const fileFor = {};
+  const errors = {};
+
+  files.forEach(file => {
+    const name = file.replace(/\.(json|ya?ml)$/i, '');
+    try {
+      rawPacks[name] = readPackFile(path.join(dir, file)) || {};
+      fileFor[name] = file;
+    } catch (error) {
+      errors[name] = error.message;
+    }
+  });
+
+  const nextPacks = new Map();
+  Object.keys(rawPacks).forEach(name => {
+    try {
+      nextPacks.set(name, compilePack(name, resolvePack(name, rawPacks), fileFor[name]));
+    } catch (error) {
+      errors[name] = error.message;
+    }
+  });
+
+  Object.entries(errors).forEach(([name, message]) => {
+    console.error(`❌ Rule pack "${name}" not loaded: ${message}`);
+    if (packs.has(name)) {
+      console.log(`⚠️ Keeping the previous version of rule pack "${name}"`);
+      nextPacks.set(name, packs.get(name));
+    }
+  });
+
+  if (!nextPacks.has(DEFAULT_PACK)) {
+    throw new Error(`Rule pack "${DEFAULT_PACK}" is missing or invalid in ${dir}`);
+  }
+
+  packs = nextPacks;
+  loadErrors = errors;
+  console.log(`📏 Loaded ${packs.size} rule packs: ${Array.from(packs.keys()).join(', ')}`);
+  return listRulePacks();
+}
+
+// Reload packs when files in the rules directory change
+function watchRulePacks() {
+  if (watcher || !fs.existsSync(rulesDir)) return;
+
+  let timer = null;
+  watcher = fs.watch(rulesDir, (eventType, file) => {
+    if (file && !/\.(json|ya?ml)$/i.test(file)) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      console.log(`🔄 Rule files changed (${file || 'unknown file'}) - reloading rule packs`);
+      try {
+        loadRulePacks();
+      } catch (error) {
+        console.error('❌ Rule pack reload failed:', error.message);
+      }
+    }, 300);
+  });
+  console.log(`👀 Watching ${rulesDir} for rule pack changes`);
+}
+
+function hasRulePack(name) {
+  return packs.has(name);
+}
+
+function getRulePack(name = DEFAULT_PACK) {
+  return packs.get(name) || packs.get(DEFAULT_PACK);
+}
+
+// A pack asked for by name wins, then the pack named after the document's rule set, then default
+function selectRulePack({ requested, documentType } = {}) {
+  if (requested && packs.has(requested)) return packs.get(requested);
+  if (documentType && packs.has(documentType.ruleSet)) return packs.get(documentType.ruleSet);
+  return packs.get(DEFAULT_PACK);
+}
+
+function listRulePacks() {
+  return {
+    directory: rulesDir,
+    packs: Array.from(packs.values()).map(pack => ({
+      name: pack.name,
+      description: pack.description,
+      extends: pack.extends,
+      file: pack.file,
+      enhancedRules: pack.enhanced.rules.map(rule => rule.name),
+      standardRules: pack.standard.rules.map(rule => rule.name),
+      indicators: pack.indicators.length
+    })),
+    errors: loadErrors
+  };
+}
+
+// Runnable patterns for a pack section; "knownCompanies" rules expand to the dictionary's
+// direct search and character hunt patterns. Regexes are fresh copies so lastIndex is never shared.
+function buildPatterns(section) {
+  return section.rules.flatMap(rule => {
+    if (rule.source === 'knownCompanies') {
+      return knownCompanies.getKnownCompanies().flatMap(company => [
+        {
+          name: `${company.core} Direct Search`,
+          regex: knownCompanies.buildDirectSearchRegex(company),
+          confidence: company.confidence.direct,
+          entityType: null,
+          exclusions: [],
+          knownCompany: true,
+          extractName: () => company.name
+        },
+        {
+          name: `${company.core} Character Hunt`,
+          regex: knownCompanies.buildCharacterHuntRegex(company),
+          confidence: company.confidence.characterHunt,
+          entityType: null,
+          exclusions: [],
+          knownCompany: true,
+          extractName: () => company.name
+        }
+      ]);
+    }
+    return [{ ...rule, regex: new RegExp(rule.regex.source, rule.regex.flags) }];
+  });
+}
+
+function buildIndicatorPatterns(pack) {
+  return pack.indicators.flatMap(rule => rule.source === 'knownCompanies'
+    ? knownCompanies.getKnownCompanies().map(knownCompanies.buildIndicatorRegex)
+    : [new RegExp(rule.regex.source, rule.regex.flags)]);
+}
+
+loadRulePacks();
+
+module.exports = {
+  loadRulePacks,
+  watchRulePacks,
+  hasRulePack,
+  getRulePack,
+  selectRulePack,
+  listRulePacks,
+  buildPatterns,
+  buildIndicatorPatterns,
+  PLACEHOLDERS
+};
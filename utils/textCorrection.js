@@ -0,0 +1,230 @@
+// utils/textCorrection.js - Dictionary-backed correction of OCR text: misspelled words and words
+// broken by stray spaces or line-end hyphens are fixed against an English word list and a
+// legal/corporate vocabulary by edit distance
+const { detectLanguage } = require('./languages');
+const { foldAccents } = require('./nameNormalizer');
+
+// English word list. Without it a real word cannot be told from a misspelling, so no text is corrected.
+let englishWords = [];
+try {
+  englishWords = require('an-array-of-english-words');
+  console.log(`✅ English word list available (${englishWords.length} words) for OCR text correction`);
+} catch (error) {
+  console.log('⚠️ an-array-of-english-words not available - OCR text correction is off');
+}
+
+// Terms of state filings, IRS letters and operating agreements. Garbled capitalized tokens (which
+// may be names) are only ever corrected to these.
+const LEGAL_VOCABULARY = [
+  'Articles of Organization', 'Articles of Incorporation', 'Certificate of Formation',
+  'Certificate of Good Standing', 'Certificate of Amendment', 'Statement of Information',
+  'Registered Agent', 'Registered Office', 'Principal Office', 'Mailing Address',
+  'Limited Liability Company', 'Limited Partnership', 'Professional Corporation',
+  'Incorporated', 'Corporation', 'Company', 'Entity', 'Domestic', 'Foreign',
+  'Secretary of State', 'Department of State', 'Division of Corporations', 'Commonwealth',
+  'Organizer', 'Incorporator', 'Member', 'Members', 'Manager', 'Managers', 'Managed',
+  'Management', 'Officer', 'Director', 'President', 'Treasurer', 'Authorized', 'Representative',
+  'Signature', 'Business', 'Purpose', 'Lawful', 'Duration', 'Perpetual', 'Dissolution',
+  'Effective Date', 'Filing Date', 'Filed', 'Filing', 'Number', 'Document', 'Statute',
+  'Statutory', 'Pursuant', 'Section', 'Hereby', 'Certify', 'Certifies', 'Witness', 'Whereof',
+  'Operating Agreement', 'Employer Identification Number', 'Internal Revenue Service',
+  'Department of the Treasury', 'Assigned', 'Taxpayer', 'Fictitious', 'Assumed', 'Trade Name',
+  'Doing Business As', 'Existence', 'Amendment', 'Restated', 'Formation', 'Organization',
+  'Incorporation', 'Jurisdiction', 'Partnership', 'Liability', 'Limited', 'Professional',
+  'Nonprofit', 'Cooperative', 'Association', 'Shares', 'Stock', 'Capital'
+];
+
+const MIN_WORD_LENGTH = 4;
+// Tokens that may only become legal terms need to be longer: short ones are too often names
+const MIN_LEGAL_ONLY_LENGTH = 7;
+// A token that is a dictionary word with another of these endings is a different word, not a
+// misspelling: "Formations", "Domestica", "organized" next to "organizer"
+const WORD_ENDINGS = ['s', 'a', 'ed', 'er'];
+
+let dictionary = null;
+
+function buildDictionary() {
+  const legal = new Set(LEGAL_VOCABULARY
+    .flatMap(phrase => phrase.split(/\s+/))
+    .map(word => word.toLowerCase())
+    .filter(word => word.length >= MIN_WORD_LENGTH));
+  const words = new Set([...englishWords, ...legal]);
+
+  // Words by length and by their first and second letter, so a lookup only measures the words
+  // that could be close. An OCR error rarely changes both of the first two letters.
+  const buckets = new Map();
+  const add = (key, word) => {
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(word);
+  };
+  words.forEach(word => {
+    if (word.length < MIN_WORD_LENGTH - 1) return;
+    add(`${word.length}:0:${word[0]}`, word);
+    add(`${word.length}:1:${word[1]}`, word);
+  });
+
+  return { words, legal, buckets };
+}
+
+function getDictionary() {
+  if (!dictionary) dictionary = buildDictionary();
+  return dictionary;
+}
+
+// Levenshtein distance, or Infinity as soon as it must be more than `max`
+function boundedDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return Infinity;
+  let previous = Array.from({ length: b.length + 1 }, (value, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return Infinity;
+    previous = current;
+  }
+
+  return previous[b.length] <= max ? previous[b.length] : Infinity;
+}
+
+function maxDistance(word) {
+  return word.length >= 8 ? 2 : 1;
+}
+
+// The dictionary word closest to `lower`, or null when none is close enough or the closest are a
+// tie. Legal terms win ties with ordinary words; `legalOnly` ignores ordinary words.
+function closestWord(lower, { legal, buckets }, legalOnly) {
+  const max = maxDistance(lower);
+  const seen = new Set();
+  let best = [];
+  let bestDistance = Infinity;
+
+  for (let length = lower.length - max; length <= lower.length + max; length++) {
+    [`${length}:0:${lower[0]}`, `${length}:1:${lower[1]}`].forEach(key => {
+      (buckets.get(key) || []).forEach(word => {
+        if (seen.has(word) || (legalOnly && !legal.has(word))) return;
+        seen.add(word);
+        const distance = boundedDistance(lower, word, Math.min(max, bestDistance));
+        if (distance === Infinity) return;
+        if (distance < bestDistance) {
+          best = [word];
+          bestDistance = distance;
+        } else if (distance === bestDistance) {
+          best.push(word);
+        }
+      });
+    });
+  }
+
+  if (best.length === 0) return null;
+  const legalBest = best.filter(word => legal.has(word));
+  if (legalBest.length === 1) return { word: legalBest[0], distance: bestDistance };
+  return best.length === 1 ? { word: best[0], distance: bestDistance } : null;
+}
+
+// Spell the correction the way the token was written: "ORGANlZATION" -> "ORGANIZATION"
+function matchCase(word, token) {
+  const upper = (token.match(/\p{Lu}/gu) || []).length;
+  const lower = (token.match(/\p{Ll}/gu) || []).length;
+  if (upper > 1 && upper > lower) return word.toUpperCase();
+  if (/^\p{Lu}/u.test(token)) return word.charAt(0).toUpperCase() + word.slice(1);
+  return word;
+}
+
+// Clearly misread: digits or "|" in place of letters, or no vowel at all ("0rganization", "Cmpny")
+function isGarbled(token) {
+  return /[0-9|]/.test(token) || !/[aeiouy]/i.test(foldAccents(token));
+}
+
+// Proper nouns (names of people, places and companies) are never changed: a token with a capital
+// letter is only corrected when it is clearly garbled, then only into a legal term, and one the
+// document repeats is taken as spelled on purpose
+function correctionScope(token, counts) {
+  if (!/\p{Lu}/u.test(token)) return 'any';
+  if (!isGarbled(token) || token.length < MIN_LEGAL_ONLY_LENGTH || counts.get(token) > 1) return null;
+  return 'legal';
+}
+
+// The word without one of WORD_ENDINGS, and the word itself
+function stems(word) {
+  return [word, ...WORD_ENDINGS.filter(ending => word.length > ending.length + 2 && word.endsWith(ending))
+    .map(ending => word.slice(0, -ending.length))];
+}
+
+function differsOnlyByEnding(a, b) {
+  const stemsOfB = stems(b);
+  return stems(a).some(stem => stemsOfB.includes(stem));
+}
+
+function correctWord(token, dict, counts, corrections) {
+  const lower = token.toLowerCase();
+  if (lower.length < MIN_WORD_LENGTH || dict.words.has(lower)) return token;
+  // Codes such as "2nd", "W9" or "A1B2C3" are left alone; "0rganization" is a misread word
+  const letters = (lower.match(/\p{L}/gu) || []).length;
+  if (letters < 3 || letters < lower.length - letters + 2) return token;
+
+  const scope = correctionScope(token, counts);
+  if (!scope) return token;
+
+  const match = closestWord(lower, dict, scope === 'legal');
+  if (!match || differsOnlyByEnding(lower, match.word)) return token;
+
+  const corrected = matchCase(match.word, token);
+  corrections.push({ from: token, to: corrected, reason: 'misspelling', distance: match.distance, vocabulary: dict.legal.has(match.word) ? 'legal' : 'english' });
+  return corrected;
+}
+
+// Join "Organi zation" and "Organi-\nzation" when the pieces are not both words and the joined
+// word is. The second piece must not start a new capitalized word ("New York" stays apart).
+function joinBrokenWords(text, dict, corrections) {
+  // Odd entries are runs of letters, even entries what lies between them
+  const parts = text.split(/(\p{L}+)/u);
+
+  for (let i = 1; i + 2 < parts.length; i += 2) {
+    const [first, separator, second] = parts.slice(i, i + 3);
+    // Pieces of a token with digits ("0rgani zation") are left to the word correction
+    const attached = /[0-9|]$/.test(parts[i - 1]) || /^[0-9|]/.test(parts[i + 3] || '');
+    if (attached || !/^(?: |-[^\S\n\f]*\n[^\S\f]*)$/.test(separator)) continue;
+
+    const bothWords = dict.words.has(first.toLowerCase()) && dict.words.has(second.toLowerCase());
+    const continues = second === second.toLowerCase() || (first === first.toUpperCase() && second === second.toUpperCase());
+    if (!dict.words.has((first + second).toLowerCase()) || (bothWords && separator === ' ') || !continues) continue;
+
+    corrections.push({ from: first + separator.replace(/\s+/g, ' ') + second, to: first + second, reason: 'broken word' });
+    parts.splice(i, 3, first + second);
+    i -= 2;
+  }
+
+  return parts.join('');
+}
+
+// Correct OCR text word by word. Returns the corrected text; each change is pushed to `corrections`
+// as { from, to, reason ('misspelling' or 'broken word'), distance, vocabulary }. Text in another
+// language, or any text without the English word list, is returned unchanged.
+function correctText(text, corrections = []) {
+  if (!text || englishWords.length === 0) return text;
+
+  const language = detectLanguage(text);
+  if (language.code && language.code !== 'en') {
+    console.log(`📖 Dictionary correction skipped - text is ${language.name}`);
+    return text;
+  }
+
+  const dict = getDictionary();
+
+  const joined = joinBrokenWords(text, dict, corrections);
+  const counts = new Map();
+  (joined.match(/[\p{L}0-9|]+/gu) || []).forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+
+  // A token is a run of letters, or letters with the digits OCR reads in their place ("0rganizat1on")
+  return joined.replace(/(?<![\p{L}0-9])[\p{L}0-9|]*\p{L}[\p{L}0-9|]*(?![\p{L}0-9])/gu,
+    token => correctWord(token, dict, counts, corrections));
+}
+
+module.exports = {
+  LEGAL_VOCABULARY,
+  correctText
+};
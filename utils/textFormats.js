@@ -0,0 +1,222 @@
+// utils/textFormats.js - Plain text from text-based document formats: plain text in any common
+// encoding, RTF, HTML and OpenDocument text (.odt)
+const { PAGE_BREAK } = require('./textUtils');
+
+// jszip opens the .odt archive (installed with mammoth)
+let JSZip = null;
+try {
+  JSZip = require('jszip');
+} catch (error) {
+  console.log('⚠️ jszip not available - ODT files cannot be read');
+}
+
+// Windows-1252 code points that differ from Latin-1 (Node's TextDecoder treats the two as one)
+const CP1252 = {
+  0x80: 0x20AC, 0x82: 0x201A, 0x83: 0x0192, 0x84: 0x201E, 0x85: 0x2026, 0x86: 0x2020, 0x87: 0x2021,
+  0x88: 0x02C6, 0x89: 0x2030, 0x8A: 0x0160, 0x8B: 0x2039, 0x8C: 0x0152, 0x8E: 0x017D, 0x91: 0x2018,
+  0x92: 0x2019, 0x93: 0x201C, 0x94: 0x201D, 0x95: 0x2022, 0x96: 0x2013, 0x97: 0x2014, 0x98: 0x02DC,
+  0x99: 0x2122, 0x9A: 0x0161, 0x9B: 0x203A, 0x9C: 0x0153, 0x9E: 0x017E, 0x9F: 0x0178
+};
+
+function decodeCp1252(bytes) {
+  return Array.from(bytes, byte => String.fromCharCode(CP1252[byte] || byte)).join('');
+}
+
+// Text of a file whose encoding is not declared: a byte order mark decides, else UTF-8 when the
+// bytes are valid UTF-8, else Windows-1252
+function decodeText(buffer) {
+  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return buffer.toString('utf8', 3);
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) return buffer.toString('utf16le', 2);
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) return Buffer.from(buffer.subarray(2)).swap16().toString('utf16le');
+
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (error) {
+    return decodeCp1252(buffer);
+  }
+}
+
+// No-break spaces, blank runs before line ends and long runs of blank lines, as every format
+// leaves them
+function tidyText(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/\u00A0/g, ' ')
+    .replace(/[^\S\n\f]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// RTF groups whose text is not part of the document: tables of fonts, colors and styles, document
+// properties, pictures and the instructions of fields (their results are kept)
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'listtable', 'listoverridetable', 'rsidtbl',
+  'generator', 'xmlnstbl', 'themedata', 'colorschememapping', 'datastore', 'latentstyles',
+  'fldinst', 'filetbl', 'revtbl', 'objdata', 'bkmkstart', 'bkmkend', 'annotation', 'atnid', 'atnauthor'
+]);
+
+const RTF_CHARACTERS = {
+  par: '\n', line: '\n', row: '\n', page: PAGE_BREAK, sect: PAGE_BREAK, tab: '\t', cell: '\t',
+  emdash: '—', endash: '–', lquote: '‘', rquote: '’', ldblquote: '“',
+  rdblquote: '”', bullet: '•', emspace: ' ', enspace: ' ', qmspace: ' '
+};
+
+const RTF_SYMBOLS = { '~': ' ', '_': '-', '-': '', '\\': '\\', '{': '{', '}': '}' };
+
+// Text of an RTF document. 8-bit characters (\'hh) are read as Windows-1252; \uN characters skip
+// the fallback characters that follow them (\ucN, default 1).
+function rtfToText(rtf) {
+  if (!/^\s*\{\\rtf/.test(rtf)) throw new Error('Not an RTF document');
+
+  const token = /\\([a-z]{1,32})(-?\d{1,10})? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|[\r\n]+|([^\\{}\r\n]+)/gi;
+  const stack = [];
+  let group = { skip: false, unicodeSkip: 1 };
+  let pendingSkip = 0;
+  let text = '';
+  let match;
+
+  const write = chars => {
+    if (pendingSkip > 0) {
+      const skipped = Math.min(pendingSkip, chars.length);
+      pendingSkip -= skipped;
+      chars = chars.slice(skipped);
+    }
+    if (!group.skip) text += chars;
+  };
+
+  while ((match = token.exec(rtf)) !== null) {
+    const [, word, parameter, hex, symbol, brace, run] = match;
+
+    if (brace === '{') {
+      stack.push(group);
+      group = { ...group };
+    } else if (brace === '}') {
+      group = stack.pop() || group;
+      pendingSkip = 0;
+    } else if (word) {
+      const lower = word.toLowerCase();
+      if (RTF_SKIPPED_DESTINATIONS.has(lower)) {
+        group.skip = true;
+      } else if (lower === 'u' && parameter !== undefined) {
+        const code = Number(parameter);
+        write(String.fromCharCode(code < 0 ? code + 65536 : code));
+        pendingSkip = group.unicodeSkip;
+      } else if (lower === 'uc' && parameter !== undefined) {
+        group.unicodeSkip = Number(parameter);
+      } else if (lower in RTF_CHARACTERS) {
+        write(RTF_CHARACTERS[lower]);
+      }
+    } else if (hex) {
+      write(decodeCp1252([parseInt(hex, 16)]));
+    } else if (symbol) {
+      // \* marks a destination that readers which do not know it should skip
+      if (symbol === '*') group.skip = true;
+      else if (symbol in RTF_SYMBOLS) write(RTF_SYMBOLS[symbol]);
+    } else if (run) {
+      write(run);
+    }
+  }
+
+  return tidyText(text);
+}
+
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', reg: '®',
+  trade: '™', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’',
+  ldquo: '“', rdquo: '”', hellip: '…', bull: '•', middot: '·',
+  sect: '§', para: '¶', deg: '°', eacute: 'é', egrave: 'è',
+  aacute: 'á', agrave: 'à', iacute: 'í', oacute: 'ó', uacute: 'ú',
+  ntilde: 'ñ', ccedil: 'ç', auml: 'ä', ouml: 'ö', uuml: 'ü',
+  Auml: 'Ä', Ouml: 'Ö', Uuml: 'Ü', szlig: 'ß', Eacute: 'É'
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+\d*);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+    }
+    return HTML_ENTITIES[name] !== undefined ? HTML_ENTITIES[name] : entity;
+  });
+}
+
+// Elements that start a new line of text
+const HTML_BLOCK_TAGS = 'address|article|aside|blockquote|br|caption|dd|div|dl|dt|fieldset|figcaption|figure|footer|form|h[1-6]|header|hr|li|main|nav|ol|p|pre|section|table|tbody|thead|tfoot|tr|ul';
+
+// Text of an HTML page: scripts, styles and the head are dropped, block elements become lines and
+// table cells tabs
+function htmlToText(html) {
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|template|noscript)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/\s+/g, ' ')
+    .replace(new RegExp(`<\\/?(?:${HTML_BLOCK_TAGS})\\b[^>]*>`, 'gi'), '\n')
+    .replace(/<\/t[dh]\s*>/gi, '\t')
+    .replace(/<[^>]*>/g, '');
+
+  return tidyText(decodeEntities(text)
+    .replace(/[^\S\n\f]*\n[^\S\n\f]*/g, '\n')
+    .replace(/[ \t]{2,}/g, ' '));
+}
+
+// Text of OpenDocument XML: paragraphs and headings become lines, table cells tabs and rows lines.
+// Comments and deleted text of tracked changes are dropped; notes are returned on their own.
+// Whitespace in the XML collapses to one space, as in ODF; repeated spaces are <text:s/>.
+function openDocumentXmlToText(xml) {
+  const notes = [];
+  const text = xml
+    .replace(/\s+/g, ' ')
+    .replace(/<office:annotation\b[\s\S]*?<\/office:annotation>/g, '')
+    .replace(/<text:tracked-changes\b[\s\S]*?<\/text:tracked-changes>/g, '')
+    .replace(/<text:note-citation\b[^>]*>[\s\S]*?<\/text:note-citation>/g, '')
+    .replace(/<text:note-body>([\s\S]*?)<\/text:note-body>/g, (body, content) => {
+      notes.push(content);
+      return '';
+    })
+    .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (space, count) => ' '.repeat(Number(count) || 1))
+    .replace(/<text:tab\s*\/>/g, '\t')
+    .replace(/<text:line-break\s*\/>/g, '\n')
+    // A cell's last paragraph ends at the tab of the cell
+    .replace(/<\/text:(?:p|h)>\s*<\/table:table-cell>/g, '</table:table-cell>')
+    .replace(/<\/table:table-cell>/g, '\t')
+    .replace(/<\/table:table-row>/g, '\n')
+    .replace(/<\/text:(?:p|h)>|<text:(?:p|h)\b[^>]*\/>/g, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return {
+    text: tidyText(decodeEntities(text).replace(/\n[^\S\n\f]+/g, '\n')),
+    notes: notes.map(note => openDocumentXmlToText(note).text).filter(note => note.length > 0)
+  };
+}
+
+// Read an .odt file. Returns { text, stories: { body, headers, notes } }; `text` is the body
+// followed by the page headers and footers and the notes.
+async function readOpenDocument(buffer) {
+  if (!JSZip) throw new Error('jszip is not installed - cannot read ODT files');
+
+  const zip = await JSZip.loadAsync(buffer);
+  const content = zip.file('content.xml');
+  if (!content) throw new Error('Not an OpenDocument file (no content.xml)');
+
+  const body = openDocumentXmlToText(await content.async('string'));
+
+  // Page headers and footers live in the master pages of styles.xml
+  const styles = zip.file('styles.xml');
+  const stylesXml = styles ? await styles.async('string') : '';
+  const headers = (stylesXml.match(/<style:(header|footer)(?:-left|-first)?\b[^>]*>[\s\S]*?<\/style:\1(?:-left|-first)?>/g) || [])
+    .map(part => openDocumentXmlToText(part).text)
+    .filter(part => part.length > 0);
+
+  const stories = { body: body.text, headers: Array.from(new Set(headers)).join('\n'), notes: body.notes.join('\n') };
+  const text = [stories.body, stories.headers, stories.notes].filter(story => story.length > 0).join('\n\n');
+
+  return { text, stories };
+}
+
+module.exports = {
+  decodeCp1252,
+  decodeText,
+  rtfToText,
+  htmlToText,
+  readOpenDocument
+};
@@ -0,0 +1,80 @@
+// utils/textUtils.js
+
+// Form feed between pages; parsers and OCR join page text with it so layout can be recovered
+const PAGE_BREAK = '\f';
+
+// Character class bodies for Latin letters with accents (Latin-1 and Latin Extended-A), for regexes
+// without the u flag: "[${LATIN_UPPER}][${LATIN_LETTER}]+" matches "Müller" and "Łódź"
+const LATIN_UPPER = 'A-ZÀ-ÖØ-ÞĀ-ſ';
+const LATIN_LOWER = 'a-zß-öø-ÿĀ-ſ';
+const LATIN_LETTER = 'A-Za-zÀ-ÖØ-öø-ÿĀ-ſ';
+const VOWELS = /[aeiouyàáâãäåæèéêëìíîïòóôõöøùúûüýÿāăąēĕėęěīĭįıōŏőœūŭůűų]/gi;
+
+// Page texts of a document with whitespace normalized inside each page. Blank pages are kept
+// as empty strings so page numbers stay right; a page break at the very end only closes the
+// last page.
+function splitPages(text) {
+  if (!text) return [];
+  const pages = text.endsWith(PAGE_BREAK) ? text.slice(0, -PAGE_BREAK.length) : text;
+  return pages.split(PAGE_BREAK).map(page => page.replace(/\s+/g, ' ').trim());
+}
+
+// Surrounding text for a match, used as the source snippet on extracted values
+function getContext(text, match) {
+  const index = text.indexOf(match);
+  if (index === -1) return '';
+  const start = Math.max(0, index - 50);
+  const end = Math.min(text.length, index + match.length + 50);
+  return text.substring(start, end);
+}
+
+// Enhanced text quality analysis
+function analyzeTextQuality(text) {
+  if (!text || text.length === 0) {
+    return { readableRatio: 0, validWordCount: 0, garbledRatio: 1 };
+  }
+  
+  // Count different types of characters
+  const totalChars = text.length;
+  const readableChars = (text.match(/[\p{L}\p{N}\s\.,;:!?\-()&]/gu) || []).length;
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  const garbledChars = (text.match(/[^\p{L}\p{N}_\s\.,;:!?\-()&]/gu) || []).length;
+  
+  // Extract potential words (any script, so accented and non-Latin words count)
+  const words = text.match(/\p{L}{2,}/gu) || [];
+  
+  // Count valid English-like words (simple heuristic)
+  const validWords = words.filter(word => {
+    // Filter out obvious OCR garbage
+    if (word.length < 2) return false;
+    if (word.length > 20) return false; // Very long words are usually OCR errors
+    
+    // Check for reasonable vowel/consonant distribution
+    const vowels = (word.match(VOWELS) || []).length;
+    const consonants = word.length - vowels;
+    
+    // Reject words with no vowels (unless very short) or too many consonants in a row
+    if (vowels === 0 && word.length > 3 && /^[\p{Script=Latin}]+$/u.test(word)) return false;
+    if (/[bcdfghjklmnpqrstvwxyzBCDFGHJKLMNPQRSTVWXYZ]{5,}/.test(word)) return false;
+    
+    return true;
+  });
+  
+  return {
+    readableRatio: Math.round((readableChars / totalChars) * 100),
+    validWordCount: validWords.length,
+    garbledRatio: garbledChars / totalChars,
+    totalWords: words.length,
+    avgWordLength: words.length > 0 ? words.reduce((sum, w) => sum + w.length, 0) / words.length : 0
+  };
+}
+
+module.exports = {
+  PAGE_BREAK,
+  LATIN_UPPER,
+  LATIN_LOWER,
+  LATIN_LETTER,
+  splitPages,
+  getContext,
+  analyzeTextQuality
+};
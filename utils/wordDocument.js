@@ -0,0 +1,170 @@
+// utils/wordDocument.js - Text of Word 97-2003 (.doc) files: the FIB in the WordDocument stream
+// gives the story lengths and where the piece table (CLX) sits in the table stream, and the
+// pieces give the text as 8-bit or UTF-16 runs
+const { openCompoundFile } = require('./compoundFile');
+const { PAGE_BREAK } = require('./textUtils');
+const { decodeCp1252 } = require('./textFormats');
+
+const WORD_IDENT = 0xA5EC;
+// Word 97 and later; older files (Word 6/95) use another layout
+const MIN_NFIB = 0x00C1;
+const FIB_FLAG_ENCRYPTED = 0x0100;
+const FIB_FLAG_TABLE_1 = 0x0200;
+
+// Stories in the order they follow each other in character positions (FibRgLw97)
+const STORIES = ['main', 'footnotes', 'headers', 'macros', 'comments', 'endnotes', 'textboxes', 'headerTextboxes'];
+
+// Story lengths and the CLX location from the File Information Block. The FIB grows between
+// Word versions, so each part is found from the counts before it.
+function readFib(wordStream) {
+  if (wordStream.length < 0x9A || wordStream.readUInt16LE(0) !== WORD_IDENT) {
+    throw new Error('WordDocument stream has no Word file information block');
+  }
+
+  const nFib = wordStream.readUInt16LE(2);
+  const flags = wordStream.readUInt16LE(0x0A);
+  if (nFib < MIN_NFIB) throw new Error(`Word 6/95 documents are not supported (nFib 0x${nFib.toString(16)})`);
+  if (flags & FIB_FLAG_ENCRYPTED) throw new Error('Word document is password protected');
+
+  const cswOffset = 0x20;
+  const cslwOffset = cswOffset + 2 + wordStream.readUInt16LE(cswOffset) * 2;
+  const rgLwOffset = cslwOffset + 2;
+  const cbRgFcLcbOffset = rgLwOffset + wordStream.readUInt16LE(cslwOffset) * 4;
+  const rgFcLcbOffset = cbRgFcLcbOffset + 2;
+
+  // ccpText is the fourth long of FibRgLw97, followed by the other story lengths
+  const storyLengths = {};
+  STORIES.forEach((story, index) => {
+    storyLengths[story] = wordStream.readInt32LE(rgLwOffset + (3 + index) * 4);
+  });
+
+  // fcClx/lcbClx is pair 33 of FibRgFcLcb97 (at 0x1A2 in a Word 97 FIB)
+  const clxOffset = rgFcLcbOffset + 33 * 8;
+  return {
+    nFib,
+    tableStream: flags & FIB_FLAG_TABLE_1 ? '1Table' : '0Table',
+    storyLengths,
+    fcClx: wordStream.readUInt32LE(clxOffset),
+    lcbClx: wordStream.readUInt32LE(clxOffset + 4)
+  };
+}
+
+// The piece table from the CLX: [{ cpStart, cpEnd, fc, compressed }]. Formatting (Prc) entries
+// come first and are skipped.
+function readPieceTable(tableStream, fib) {
+  if (fib.lcbClx === 0 || fib.fcClx + fib.lcbClx > tableStream.length) throw new Error('Word document has no piece table');
+  const clx = tableStream.subarray(fib.fcClx, fib.fcClx + fib.lcbClx);
+  let offset = 0;
+
+  while (offset < clx.length && clx[offset] === 0x01) {
+    offset += 3 + clx.readInt16LE(offset + 1);
+  }
+  if (clx[offset] !== 0x02) throw new Error('Word document piece table is malformed');
+
+  const length = clx.readUInt32LE(offset + 1);
+  const plc = clx.subarray(offset + 5, offset + 5 + length);
+  const count = (length - 4) / 12;
+  if (!Number.isInteger(count) || count < 1) throw new Error('Word document piece table is malformed');
+
+  const pieces = [];
+  for (let i = 0; i < count; i++) {
+    const fcCompressed = plc.readUInt32LE((count + 1) * 4 + i * 8 + 2);
+    const compressed = (fcCompressed & 0x40000000) !== 0;
+    const fc = fcCompressed & 0x3FFFFFFF;
+    pieces.push({
+      cpStart: plc.readUInt32LE(i * 4),
+      cpEnd: plc.readUInt32LE((i + 1) * 4),
+      // An 8-bit piece's fc counts in 16-bit units
+      fc: compressed ? fc / 2 : fc,
+      compressed
+    });
+  }
+  return pieces;
+}
+
+function decodePiece(wordStream, piece, from, to) {
+  if (piece.compressed) {
+    // 8-bit pieces are Windows-1252
+    return decodeCp1252(wordStream.subarray(piece.fc + from, piece.fc + to));
+  }
+  return wordStream.toString('utf16le', piece.fc + from * 2, piece.fc + to * 2);
+}
+
+// Characters from `cpStart` to `cpEnd` across the pieces that cover them
+function readRange(wordStream, pieces, cpStart, cpEnd) {
+  let text = '';
+  pieces.forEach(piece => {
+    const from = Math.max(cpStart, piece.cpStart);
+    const to = Math.min(cpEnd, piece.cpEnd);
+    if (from < to) text += decodePiece(wordStream, piece, from - piece.cpStart, to - piece.cpStart);
+  });
+  return text;
+}
+
+// Keep what fields show and drop their codes: 0x13 code 0x14 result 0x15, which can nest
+function stripFieldCodes(text) {
+  const stack = [];
+  let result = '';
+
+  for (const char of text) {
+    if (char === '\x13') {
+      stack.push({ showing: false });
+    } else if (char === '\x14' && stack.length > 0) {
+      stack[stack.length - 1].showing = true;
+    } else if (char === '\x15' && stack.length > 0) {
+      stack.pop();
+    } else if (stack.every(field => field.showing)) {
+      result += char;
+    }
+  }
+  return result;
+}
+
+// Word's control characters as plain text: paragraph and line breaks become newlines, page and
+// section breaks page breaks, table cells tabs; anchors for pictures and notes are dropped
+function toPlainText(text) {
+  return stripFieldCodes(text)
+    .replace(/\r/g, '\n')
+    .replace(/\x0B/g, '\n')
+    .replace(/\x0C/g, PAGE_BREAK)
+    // A row ends with the last cell's mark and its own
+    .replace(/\x07\x07/g, '\n')
+    .replace(/\x07/g, '\t')
+    .replace(/\x1E/g, '-')
+    .replace(/\u00A0/g, ' ')
+    .replace(/[\x00-\x06\x08\x1F]/g, '')
+    .replace(/[^\S\n\f]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Read the text of a .doc file. Returns { text, stories: { main, footnotes, headers, comments,
+// endnotes, textboxes, headerTextboxes } }; `text` is the body followed by the text boxes, headers
+// and footers, footnotes and endnotes (comments are left out).
+function readWordDocument(buffer) {
+  const compoundFile = openCompoundFile(buffer);
+  if (!compoundFile.hasStream('WordDocument')) throw new Error('Not a Word document (no WordDocument stream)');
+
+  const wordStream = compoundFile.readStream('WordDocument');
+  const fib = readFib(wordStream);
+  if (!compoundFile.hasStream(fib.tableStream)) throw new Error(`Word document has no ${fib.tableStream} stream`);
+  const pieces = readPieceTable(compoundFile.readStream(fib.tableStream), fib);
+
+  const stories = {};
+  let cp = 0;
+  STORIES.forEach(story => {
+    const length = Math.max(0, fib.storyLengths[story]);
+    if (story !== 'macros') stories[story] = toPlainText(readRange(wordStream, pieces, cp, cp + length));
+    cp += length;
+  });
+
+  const text = [stories.main, stories.textboxes, stories.headerTextboxes, stories.headers, stories.footnotes, stories.endnotes]
+    .filter(story => story.length > 0)
+    .join('\n\n');
+
+  return { text, stories };
+}
+
+module.exports = {
+  readWordDocument
+};